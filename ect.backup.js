@@ -3,32 +3,163 @@
  * Access Forensics SKU-A v3.0 Executor (Forensic-Grade)
  *
  * Generates a sealed evidence packet under:
- *   runs/<YYYYMMDDTHHMMSSZ>_<case_label>/
+ *   runs/<YYYYMMDDTHHMMSSZ>_<case_label>_<flow_id>/Deliverable_Packet/
  *
  * Required artifacts (per SKU-A v3.0):
- *   screenshots/
- *     screenshot_<flow_id>_step_<NNN>.png
- *     html/page_<flow_id>_step_<NNN>.html
- *     ax/ax_<flow_id>_step_<NNN>.json
- *   network.har
- *   trace.zip
- *   video.webm
- *   journal.ndjson
- *   run_metadata.json
- *   interaction_log.json
- *   evidence_index.json
- *   console.json
- *   manifest.json
- *   packet_hash.txt  (sha256(manifest.json bytes))
+ *   01_Report/
+ *     flow_plan.sealed.json (normalized plan, hashed before launch)
+ *     Execution_Report.txt  (rendered post-seal from sealed artifacts)
+ *     interaction_log.json
+ *     evidence_index.json
+ *     focus_sequence.json   (focused element after every Tab press, per tab step)
+ *   02_Exhibits/
+ *     Screenshots_By_Step/
+ *       screenshot_<flow_id>_step_<NNN>.png
+ *       html/page_<flow_id>_step_<NNN>.html
+ *       ax/ax_<flow_id>_step_<NNN>.json
+ *       transcript/transcript_<flow_id>_step_<NNN>.json|.txt (reading order derived from the AX file)
+ *       (the goal check, if declared, is step GOAL: screenshot_<flow_id>_step_GOAL.png, ...)
+ *       focus/screenshot_<flow_id>_step_<NNN>_press_<PPP>.png (tab steps with screenshot_each_press)
+ *       mirror/mirror_<flow_id>_step_<NNN>.html (flow "mirror": true, see lib/mirror.js)
+ *       mirror/resources/<sha256>.<ext>         (resources bundled from recorded responses)
+ *       styles/styles_<flow_id>_step_<NNN>.json (flow "css_allowlist", see lib/computed_styles.js)
+ *       diff/diff_step_<NNN>_to_<MMM>.json|.png (consecutive captures: AX, HTML, pixel mask; lib/step_diff.js)
+ *     video.webm
+ *   03_Verification/
+ *     network.har
+ *     trace.zip
+ *     journal.ndjson      (hash-chained: { prev_hash, data, hash })
+ *     run_metadata.json
+ *     console.json
+ *     third_party_domains.json (hostnames other than start_url's, first seen in HAR or journal)
+ *     manifest_core.json  (every packet file except the seal files; mirror_resources: the
+ *                          resource map, each referenced URL with its bundled file or the reason it has none;
+ *                          step_diffs: each diff exhibit with the two steps it compares)
+ *     packet_hash.txt     (sha256(manifest_core.json bytes))
+ *     STATUS.txt          (rendered post-seal from sealed artifacts)
+ *     manifest.json       (manifest_core entries + seal entries)
+ *     redaction_ledger.json (every redaction: path, rules, replacement, salted hash of the original)
+ *   04_Restricted/        (only with a redaction profile that redacted something)
+ *     <packet path of each redacted artifact> (the unredacted original)
+ *     redaction_salt.txt
+ *
+ * Replay (node ect.js --replay <source run dir | Deliverable_Packet dir>):
+ *   The source packet is verified, its flow_plan.sealed.json (the 04_Restricted/ original
+ *   when the plan was redacted; refused when that is withheld) is re-executed with every
+ *   request served from its network.har (unmatched requests abort, no live network),
+ *   and the new packet's sealed plan and manifest_core.json carry replay_of with the
+ *   source packet hash.
+ *
+ * Profile matrix (flow "profiles": [...], see lib/device_profiles.js):
+ *   One invocation runs the flow once per profile, each in its own child process, into
+ *     runs/<run_id>_matrix/profiles/<profile_id>/Deliverable_Packet/
+ *   then verifies every child packet and seals matrix_index.json (child packet hashes)
+ *   with matrix_hash.txt = sha256(matrix_index.json bytes).
+ *
+ * Batch (node ect.js --batch <flow dir | matter.json> [--concurrency N]):
+ *   Every flow runs in its own child process (its own browser), at most N at a time,
+ *   continuing past failures, into runs/<ts>_<matter_id>_matter/flows/<NNN>_<name>/
+ *   (child output in logs/<NNN>_<name>.log). matter_index.json records each run id,
+ *   status, packet hash and flow-plan hash; matter_hash.txt = sha256(matter_index.json bytes).
+ *
+ * Compare (node ect.js --compare <run dir A> <run dir B>, see lib/run_compare.js):
+ *   Both packets are verified, then aligned by flow_id and step index into
+ *   runs/<ts>_<flow_id>_compare/: comparison.json (final URLs, step results, console errors,
+ *   third-party requests, AX inventories), comparison_hash.txt = sha256(comparison.json bytes),
+ *   and Comparison_Report.txt rendered from the sealed comparison.
+ *
+ * A run directory that already exists (same flow, same second) gets a _2, _3, ... suffix.
+ *
+ * Settle (flow "settle", see lib/settle.js):
+ *   Before every evidence capture the page is given up to max_wait_ms to reach mutation
+ *   quiescence and network idle, load fonts and paint animation frames. The outcome
+ *   (settled or max wait reached, elapsed ms, mutation count) is in that step's
+ *   interaction_log.json entry.
+ *
+ * Redaction (flow "redaction": none | form_values | contact_pii | skua_denylist, see lib/redaction.js):
+ *   AX snapshots, HTML snapshots, the journal and the sealed plan are written redacted; each
+ *   original is kept under 04_Restricted/ and sealed like every other file. A sanitized copy is
+ *   the packet without 04_Restricted/: it still verifies, and the ledger shows where it differs.
+ *   Screenshots, video, trace, HAR, console.json and the 01_Report logs are not redacted.
+ *
+ * Flow schema (docs/flow.schema.json, see lib/flow_schema.js):
+ *   Every field of a source flow and of each step type is checked before anything is
+ *   written; unknown keys, wrong types and out-of-range values are refused with every
+ *   problem listed by JSON path. node tools/lint_flow.js runs the same check on its own.
+ *
+ * Capture policy:
+ *   capture_mode "passive" (default, also implied by visual_only: true) permits
+ *   observe and viewport steps only. capture_mode "interactive" permits all
+ *   classified steps (keyboard, pointer, input and navigation as well). Disallowed
+ *   steps are rejected before the browser launches. Steps that act on an element
+ *   (click_selector, type_selector, hover, focus_selector, select_option, check)
+ *   require a visible selector with exactly one match.
+ *   allow_multiple_matches is honored for wait_selector, and in interactive mode for
+ *   the steps that act on an element when act_on_match names the match (0-based, in
+ *   document order) to act on; every use is recorded in interaction_log.json and
+ *   disclosed in run_metadata.deviations.
+ *   goal_selector is checked for exactly one match after the final step (step GOAL).
+ *   goal_text is a free-text (evaluative) goal and is rejected in passive mode.
  */
 
 "use strict";
 
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
 const os = require("os");
+const { spawn, spawnSync } = require("child_process");
 const { chromium } = require("playwright");
+const {
+  REPORT_FORMAT,
+  loadForbiddenTerms,
+  renderStatus,
+  renderExecutionReport,
+  renderComparisonReport,
+} = require("./lib/report");
+const {
+  PACKET_DIR,
+  TIER_REPORT,
+  TIER_EXHIBITS,
+  TIER_VERIFICATION,
+  TIER_RESTRICTED,
+  EXHIBITS_BY_STEP,
+  PACKET_FILES,
+  SEAL_FILES,
+  restrictedPath,
+  ensureDir,
+  writeJson,
+  readJson,
+  sha256Bytes,
+  sha256File,
+  statSize,
+  writeStableJson,
+  hashTree,
+} = require("./lib/packet_io");
+const { GENESIS_HASH, createJournalChain } = require("./lib/journal_chain");
+const {
+  hostnameOf,
+  harObservations,
+  buildThirdPartyDomains,
+  validateThirdPartyDomains,
+} = require("./lib/third_party_domains");
+const { countTabbable, readFocus, analyzeFocusSequence } = require("./lib/focus_order");
+const { resolvePacketDir, verifyPacket } = require("./lib/packet_verify");
+const { resolveProfiles } = require("./lib/device_profiles");
+const {
+  normalizeMediaFeatures,
+  contextMediaOptions,
+  applyPageMediaFeatures,
+  probeMediaFeatures,
+  mediaFeatureMismatches,
+} = require("./lib/media_features");
+const { installMutationCounter, normalizeSettlePolicy, trackNetwork, settlePage } = require("./lib/settle");
+const { normalizeRedactionProfile, createRedactor } = require("./lib/redaction");
+const { recordResponses, buildMirror } = require("./lib/mirror");
+const { normalizeCssAllowlist, captureComputedStyles } = require("./lib/computed_styles");
+const { linearizeAxSnapshot, renderTranscript } = require("./lib/reading_order");
+const { diffAx, diffHtml, diffScreenshots } = require("./lib/step_diff");
+const { loadComparablePair, compareRuns } = require("./lib/run_compare");
+const { lintFlow, formatProblem } = require("./lib/flow_schema");
 
 // --- Playwright Version (package bound) ---
 let playwrightVersion = "unknown";
@@ -53,186 +184,838 @@ function safeToken(s) {
     .replace(/^_+|_+$/g, "");
 }
 
-function ensureDir(p) {
-  fs.mkdirSync(p, { recursive: true });
+function formatRunTimestampUTC(d = new Date()) {
+  // YYYYMMDDTHHMMSSZ
+  const yyyy = String(d.getUTCFullYear());
+  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  const HH = String(d.getUTCHours()).padStart(2, "0");
+  const MM = String(d.getUTCMinutes()).padStart(2, "0");
+  const SS = String(d.getUTCSeconds()).padStart(2, "0");
+  return `${yyyy}${mm}${dd}T${HH}${MM}${SS}Z`;
 }
 
-function writeJson(p, obj) {
-  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf-8");
+function assertRequiredFile(absPath, label) {
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`REQUIRED ARTIFACT MISSING: ${label} (${absPath})`);
+  }
+  const st = fs.statSync(absPath);
+  if (!st.isFile() && !st.isDirectory()) {
+    throw new Error(`REQUIRED ARTIFACT INVALID: ${label} (${absPath})`);
+  }
 }
 
-function readJson(p) {
-  return JSON.parse(fs.readFileSync(p, "utf-8"));
+/**
+ * Tags an Error with a mechanical classification that is sealed as run_metadata.error_type.
+ */
+function classifiedError(errorType, message) {
+  const e = new Error(message);
+  e.error_type = errorType;
+  return e;
 }
 
-function sha256Bytes(buf) {
-  return crypto.createHash("sha256").update(buf).digest("hex");
+function errorTypeOf(e) {
+  if (e && e.error_type) return e.error_type;
+  if (e && e.name === "TimeoutError") return "Timeout";
+  return "ExecutionError";
 }
 
-// Returns null if missing, throws on read error (never silently swallows integrity failures)
-function sha256File(filePath) {
-  try {
-    const buf = fs.readFileSync(filePath);
-    return sha256Bytes(buf);
-  } catch (e) {
-    if (e && e.code === "ENOENT") return null;
-    throw e;
+// --- Flow plan normalization ---
+// Single source of step defaults. The executor only ever reads the normalized plan,
+// so flow_plan.sealed.json is exactly what was executed.
+const STEP_DEFAULTS = {
+  wait_selector: { timeout_ms: 8000, delay_ms: 0, allow_multiple_matches: false },
+  assert_url_contains: { text: "" },
+  assert_text_present: { text: "", timeout_ms: 5000 },
+  scroll: { deltaY: 1200, delay_ms: 250 },
+  tab: { count: 10, delay_ms: 80, screenshot_each_press: false },
+  click_selector: { timeout_ms: 5000, delay_ms: 500 },
+  type_selector: { text: "", timeout_ms: 5000, delay_ms: 250 },
+  press: { key: "Enter", delay_ms: 300 },
+  hover: { timeout_ms: 5000, delay_ms: 500 },
+  focus_selector: { timeout_ms: 5000, delay_ms: 250 },
+  select_option: { timeout_ms: 5000, delay_ms: 250 },
+  check: { checked: true, timeout_ms: 5000, delay_ms: 250 },
+  key_sequence: { delay_ms: 80 },
+  wait_for_url: { match: "contains", timeout_ms: 10000 },
+  navigate: { wait_until: "domcontentloaded", timeout_ms: 30000, delay_ms: 0 },
+};
+
+// wait_for_url "match": how the page URL is tested against the step's "url"
+const URL_MATCH_MODES = ["contains", "exact", "regex"];
+
+const PLAN_DEFAULTS = {
+  navigation: { wait_until: "domcontentloaded", timeout_ms: 30000 },
+  browser_context: {
+    viewport: { width: 1366, height: 768 },
+    device_scale_factor: 1,
+    is_mobile: false,
+    has_touch: false,
+    user_agent: null,
+    locale: "en-US",
+    timezone_id: "UTC",
+    media_features: null,
+  },
+  goal: { expectation: "present", timeout_ms: 5000 },
+};
+
+// A goal states an end state to observe; "present" (exactly one match) is the only expectation.
+const GOAL_EXPECTATIONS = ["present"];
+
+const FLOW_PLAN_VERSION = 1;
+
+const MATRIX_INDEX_FILE = "matrix_index.json";
+const MATRIX_HASH_FILE = "matrix_hash.txt";
+
+// evidence_index.json fields naming exhibits derived from another exhibit (absent when it failed)
+const DERIVED_EXHIBITS = ["transcript", "transcript_text"];
+
+// evidence_index.json fields naming exhibits that exist only when the flow enables them
+const OPTIONAL_EXHIBITS = ["mirror", "styles"];
+
+const MATTER_INDEX_FILE = "matter_index.json";
+const MATTER_HASH_FILE = "matter_hash.txt";
+
+const COMPARISON_FILE = "comparison.json";
+const COMPARISON_HASH_FILE = "comparison_hash.txt";
+const COMPARISON_REPORT_FILE = "Comparison_Report.txt";
+
+function normalizeGoal(flow) {
+  if (flow.goal_selector === undefined && flow.goal_text === undefined) return null;
+  return {
+    selector: flow.goal_selector === undefined ? null : flow.goal_selector,
+    text: flow.goal_text === undefined ? null : flow.goal_text,
+    expectation: flow.goal_expectation || PLAN_DEFAULTS.goal.expectation,
+    timeout_ms: Number(flow.goal_timeout_ms || PLAN_DEFAULTS.goal.timeout_ms),
+  };
+}
+
+/**
+ * Materializes every default into the flow. Falsy values fall back to the default,
+ * matching the executor's historical `value || default` behavior. A matrix child passes
+ * its resolved profile, which overrides the flow's browser_context.
+ */
+function normalizeFlowPlan(flow, source, profile = null) {
+  const steps = flow.steps.map((s, i) => {
+    const defaults = STEP_DEFAULTS[s.type] || {};
+    const out = { ...s, step_index: i + 2 };
+    for (const [k, d] of Object.entries(defaults)) {
+      if (typeof d === "number") out[k] = Number(s[k] || d);
+      else if (typeof d === "string") out[k] = String(s[k] || d);
+      else out[k] = s[k] === undefined ? d : s[k];
+    }
+    return out;
+  });
+
+  return {
+    ...flow,
+    flow_plan_version: FLOW_PLAN_VERSION,
+    source,
+    capture_mode: flow.capture_mode === undefined ? "passive" : flow.capture_mode,
+    visual_only: flow.visual_only === undefined ? false : flow.visual_only,
+    navigation: { ...PLAN_DEFAULTS.navigation, ...(flow.navigation || {}) },
+    browser_context: {
+      ...PLAN_DEFAULTS.browser_context,
+      ...(flow.browser_context || {}),
+      ...(profile
+        ? {
+            viewport: profile.viewport,
+            device_scale_factor: profile.device_scale_factor,
+            is_mobile: profile.is_mobile,
+            has_touch: profile.has_touch,
+            user_agent: profile.user_agent,
+          }
+        : {}),
+      media_features: normalizeMediaFeatures((flow.browser_context || {}).media_features),
+    },
+    profile: profile || (flow.profile === undefined ? null : flow.profile),
+    goal: normalizeGoal(flow),
+    settle: normalizeSettlePolicy(flow.settle),
+    redaction: normalizeRedactionProfile(flow.redaction),
+    mirror: flow.mirror === undefined ? false : flow.mirror,
+    css_allowlist: normalizeCssAllowlist(flow.css_allowlist),
+    css_scope: flow.css_scope === undefined ? null : flow.css_scope,
+    steps,
+  };
+}
+
+// --- Capture policy ---
+// Every step type is classified by the kind of page interaction it performs.
+// A step type without a class can never be permitted by the policy gate.
+const STEP_INTERACTION_CLASS = {
+  wait_selector: "observe",
+  assert_url_contains: "observe",
+  assert_text_present: "observe",
+  scroll: "viewport",
+  wait_for_url: "observe",
+  tab: "keyboard",
+  press: "keyboard",
+  key_sequence: "keyboard",
+  focus_selector: "keyboard",
+  click_selector: "pointer",
+  hover: "pointer",
+  type_selector: "input",
+  select_option: "input",
+  check: "input",
+  navigate: "navigation",
+};
+
+// allow_multiple_matches is an observation override. A step that acts on the matched element
+// honors it only in interactive mode, and only with act_on_match: the plan names the match.
+const MULTI_MATCH_OVERRIDE_STEPS = ["wait_selector"];
+const MULTI_MATCH_ACTING_STEPS = ["click_selector", "type_selector", "hover", "focus_selector", "select_option", "check"];
+
+// Passive capture enforces zero interaction: only observation and viewport movement.
+const CAPTURE_MODE_PERMITTED_CLASSES = {
+  passive: ["observe", "viewport"],
+  interactive: ["observe", "viewport", "keyboard", "pointer", "input", "navigation"],
+};
+
+/**
+ * Resolves the effective capture mode from capture_mode / visual_only.
+ * Undeclared flows are passive. Only an explicit capture_mode "interactive" enables interaction.
+ */
+function resolveCaptureMode(flow) {
+  const declared = flow.capture_mode;
+  const visualOnly = flow.visual_only;
+
+  if (declared !== undefined && !Object.prototype.hasOwnProperty.call(CAPTURE_MODE_PERMITTED_CLASSES, declared)) {
+    throw classifiedError(
+      "PolicyViolation",
+      `Policy Violation: capture_mode "${declared}" is not recognized (expected "passive" or "interactive").`
+    );
+  }
+  if (visualOnly !== undefined && typeof visualOnly !== "boolean") {
+    throw classifiedError("PolicyViolation", "Policy Violation: visual_only must be a boolean.");
+  }
+  if (declared === "interactive" && visualOnly === true) {
+    throw classifiedError(
+      "PolicyViolation",
+      'Policy Violation: capture_mode "interactive" contradicts visual_only: true.'
+    );
   }
+
+  return declared || "passive";
 }
 
-function statSize(filePath) {
-  try {
-    return fs.statSync(filePath).size;
-  } catch (e) {
-    if (e && e.code === "ENOENT") return 0;
-    throw e;
+/**
+ * Classifies every plan step against the capture mode. Pure, runs before any browser launch.
+ * Step indexes match the sealed step numbering (Step 001 is navigation, plan steps start at 002).
+ */
+function classifyFlowPolicy(flow, captureMode) {
+  const permittedClasses = CAPTURE_MODE_PERMITTED_CLASSES[captureMode];
+  const steps = flow.steps.map((s, i) => {
+    const interactionClass = STEP_INTERACTION_CLASS[s.type] || null;
+    const permitted = interactionClass !== null && permittedClasses.includes(interactionClass);
+    let violation = null;
+
+    if (!interactionClass) {
+      violation = `Policy Violation: step type "${s.type}" has no interaction class and cannot be permitted.`;
+    } else if (!permitted) {
+      violation =
+        `Policy Violation: ${s.type} (${interactionClass}) is not permitted in ${captureMode} capture mode.`;
+    } else if (s.allow_multiple_matches !== undefined && typeof s.allow_multiple_matches !== "boolean") {
+      violation = `Policy Violation: ${s.type} allow_multiple_matches must be a boolean.`;
+    } else if (
+      s.act_on_match !== undefined &&
+      !(captureMode === "interactive" && MULTI_MATCH_ACTING_STEPS.includes(s.type) && s.allow_multiple_matches === true)
+    ) {
+      violation =
+        `Policy Violation: act_on_match is only permitted with allow_multiple_matches on ` +
+        `${MULTI_MATCH_ACTING_STEPS.join(", ")} in interactive capture mode.`;
+    } else if (s.allow_multiple_matches === true && !MULTI_MATCH_OVERRIDE_STEPS.includes(s.type) && s.act_on_match === undefined) {
+      violation =
+        `Policy Violation: allow_multiple_matches is only permitted for ${MULTI_MATCH_OVERRIDE_STEPS.join(", ")}` +
+        ` (${s.type} acts on the matched element).`;
+    }
+
+    return {
+      step_index: i + 2,
+      type: s.type,
+      interaction_class: interactionClass,
+      permitted,
+      violation,
+    };
+  });
+
+  // The goal check is classified like a step so it appears in the same policy record
+  if (flow.goal) {
+    const goal = flow.goal;
+    let violation = null;
+    if (goal.text !== null && captureMode === "passive") {
+      violation =
+        "Policy Violation: goal_text is forbidden in passive capture mode " +
+        "(a free-text goal is evaluative; declare goal_selector instead).";
+    } else if (goal.text !== null && (typeof goal.text !== "string" || !goal.text)) {
+      violation = "Policy Violation: goal_text must be a non-empty string.";
+    } else if (goal.selector !== null && (typeof goal.selector !== "string" || !goal.selector)) {
+      violation = "Policy Violation: goal_selector must be a non-empty string.";
+    } else if (!GOAL_EXPECTATIONS.includes(goal.expectation)) {
+      violation = `Policy Violation: goal_expectation "${goal.expectation}" is not recognized (expected "present").`;
+    }
+    steps.push({
+      step_index: "GOAL",
+      type: "verify_goal",
+      interaction_class: "observe",
+      permitted: permittedClasses.includes("observe"),
+      violation,
+    });
   }
+
+  return {
+    capture_mode: captureMode,
+    visual_only: flow.visual_only === true,
+    permitted_classes: permittedClasses.slice(),
+    steps,
+    violations: steps.filter((c) => c.violation !== null),
+  };
 }
 
-function formatRunTimestampUTC(d = new Date()) {
-  // YYYYMMDDTHHMMSSZ
-  const yyyy = String(d.getUTCFullYear());
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(d.getUTCDate()).padStart(2, "0");
-  const HH = String(d.getUTCHours()).padStart(2, "0");
-  const MM = String(d.getUTCMinutes()).padStart(2, "0");
-  const SS = String(d.getUTCSeconds()).padStart(2, "0");
-  return `${yyyy}${mm}${dd}T${HH}${MM}${SS}Z`;
+/**
+ * Verifies a source packet for replay. Returns the plan path, HAR path and the replay_of
+ * reference, or throws: an unverifiable packet is never replayed.
+ */
+function loadReplaySource(target) {
+  const sourceDir = resolvePacketDir(target);
+  const verification = verifyPacket(sourceDir);
+  if (!verification.ok) {
+    const first = verification.failures[0];
+    throw new Error(`source packet failed verification (${verification.failure_class}: ${first.path || "-"} ${first.detail})`);
+  }
+
+  const harAbs = path.join(sourceDir, PACKET_FILES.network_har);
+  if (!fs.existsSync(harAbs)) throw new Error("source packet has no network.har (no browser session was recorded).");
+
+  // A redacted plan is replayed from its original; the served copy would type the replacements
+  const planOriginal = restrictedPath(PACKET_FILES.flow_plan_sealed);
+  const core = readJson(path.join(sourceDir, PACKET_FILES.manifest_core));
+  const planRedacted = core.files.some((f) => f.path === planOriginal);
+  if (planRedacted && !fs.existsSync(path.join(sourceDir, planOriginal))) {
+    throw new Error(`source plan was redacted and its original (${planOriginal}) is withheld.`);
+  }
+  return {
+    planPath: path.join(sourceDir, planRedacted ? planOriginal : PACKET_FILES.flow_plan_sealed),
+    harAbs,
+    ref: {
+      packet_hash: verification.packet_hash.recomputed,
+      run_id: core.run_id,
+      flow_plan_sha256: core.flow_plan_sha256,
+      network_har_sha256: sha256File(harAbs),
+    },
+  };
+}
+
+// --profile and --run-dir are set by the matrix and batch parents for each child run
+function parseArgs(argv) {
+  const args = { flowPath: null, replay: null, profileId: null, runDir: null, batch: null, concurrency: null, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--replay") args.replay = argv[++i] || "";
+    else if (argv[i] === "--compare") args.compare = [argv[++i], argv[++i]].filter(Boolean);
+    else if (argv[i] === "--profile") args.profileId = argv[++i] || "";
+    else if (argv[i] === "--run-dir") args.runDir = argv[++i] || "";
+    else if (argv[i] === "--batch") args.batch = argv[++i] || "";
+    else if (argv[i] === "--concurrency") args.concurrency = argv[++i] || "";
+    else if (!args.flowPath) args.flowPath = argv[i];
+  }
+  return args;
+}
+
+// Two runs of one flow in the same second would otherwise share a directory (and journal)
+function uniqueRunId(runId, dirFor) {
+  let id = runId;
+  for (let n = 2; fs.existsSync(dirFor(id)); n++) id = `${runId}_${n}`;
+  return id;
 }
 
 /**
- * Stable JSON stringify: recursively sorts keys so manifest.json bytes are deterministic.
- * Arrays preserve order (we explicitly sort manifest.files by path before stringify).
+ * Runs every profile as a child process, verifies each child packet, and seals the index.
  */
-function stableStringify(value, indent = 2) {
-  const seen = new WeakSet();
+function runMatrix({ flowPath, flowBytes, flowId, runId, profiles, matrixDir }) {
+  ensureDir(matrixDir);
 
-  function sorter(v) {
-    if (v === null || typeof v !== "object") return v;
+  const children = profiles.map((profile) => {
+    const childRel = `profiles/${profile.id}`;
+    const childDir = path.join(matrixDir, childRel);
+    console.log(`MATRIX PROFILE: ${profile.id}`);
 
-    if (seen.has(v)) {
-      // Cycles should never exist in our data, but if they do, we hard fail
-      throw new Error("Non-deterministic structure: cyclic reference detected");
-    }
-    seen.add(v);
+    const child = spawnSync(process.execPath, [__filename, flowPath, "--profile", profile.id, "--run-dir", childDir], {
+      stdio: "inherit",
+    });
 
-    if (Array.isArray(v)) {
-      return v.map(sorter);
-    }
+    const verification = verifyPacket(childDir);
+    let meta = null;
+    try {
+      meta = readJson(path.join(verification.packet_dir, PACKET_FILES.run_metadata));
+    } catch (_) {}
+
+    return {
+      profile,
+      run_dir: childRel,
+      run_id: meta ? meta.run_id : null,
+      status: meta ? meta.status : null,
+      error_type: meta ? meta.error_type : null,
+      exit_code: child.status,
+      packet_hash: verification.packet_hash.recorded,
+      verified: verification.ok,
+      verification_failure_class: verification.failure_class,
+    };
+  });
+
+  const indexBytes = writeStableJson(path.join(matrixDir, MATRIX_INDEX_FILE), {
+    matrix_id: `${runId}_matrix`,
+    flow_id: flowId,
+    flow_source: { path: path.basename(flowPath), sha256: sha256Bytes(flowBytes) },
+    created_at_utc: nowIso(),
+    profiles: children,
+  });
+  const matrixHash = sha256Bytes(indexBytes);
+  fs.writeFileSync(path.join(matrixDir, MATRIX_HASH_FILE), matrixHash + "\n", "utf-8");
+
+  console.log(`MATRIX COMPLETE. Profiles: ${children.length} | Dir: ${matrixDir}`);
+  console.log(`MATRIX HASH: ${matrixHash}`);
+  if (children.some((c) => c.status !== "success" || !c.verified)) process.exitCode = 1;
+}
 
-    const keys = Object.keys(v).sort((a, b) => a.localeCompare(b));
-    const out = {};
-    for (const k of keys) out[k] = sorter(v[k]);
-    return out;
+/**
+ * Lists a batch source: a directory (every *.json in it, sorted by name) or a matter file
+ * { matter_id?, concurrency?, flows: [path, ...] } with paths relative to the matter file.
+ */
+function loadBatchSource(sourcePath) {
+  const stat = fs.statSync(sourcePath);
+  if (stat.isDirectory()) {
+    const flows = fs
+      .readdirSync(sourcePath)
+      .filter((f) => f.toLowerCase().endsWith(".json"))
+      .sort()
+      .map((f) => path.join(sourcePath, f));
+    return {
+      matterId: safeToken(path.basename(path.resolve(sourcePath))),
+      concurrency: null,
+      source: { kind: "directory", path: sourcePath, sha256: null },
+      flows,
+    };
   }
 
-  const sorted = sorter(value);
-  return JSON.stringify(sorted, null, indent) + "\n";
+  const bytes = fs.readFileSync(sourcePath);
+  const matter = JSON.parse(bytes.toString("utf-8").replace(/^\uFEFF/, ""));
+  if (!matter || !Array.isArray(matter.flows) || matter.flows.some((f) => typeof f !== "string" || !f)) {
+    throw new Error("matter file must declare flows: [path, ...] (non-empty strings).");
+  }
+  return {
+    matterId: safeToken(matter.matter_id || path.basename(sourcePath, path.extname(sourcePath))),
+    concurrency: matter.concurrency === undefined ? null : matter.concurrency,
+    source: { kind: "matter_file", path: sourcePath, sha256: sha256Bytes(bytes) },
+    flows: matter.flows.map((f) => path.resolve(path.dirname(sourcePath), f)),
+  };
 }
 
-function assertRequiredFile(absPath, label) {
-  if (!fs.existsSync(absPath)) {
-    throw new Error(`REQUIRED ARTIFACT MISSING: ${label} (${absPath})`);
+// Runs one flow as a child into its own run dir; stdout/stderr go to the run's log file
+function runBatchChild(flowPath, childDir, logPath) {
+  return new Promise((resolve) => {
+    const logFd = fs.openSync(logPath, "w");
+    const child = spawn(process.execPath, [__filename, flowPath, "--run-dir", childDir], {
+      stdio: ["ignore", logFd, logFd],
+    });
+    child.on("error", (e) => {
+      fs.writeSync(logFd, `SPAWN ERROR: ${e && e.message ? e.message : String(e)}\n`);
+    });
+    child.on("close", (code) => {
+      fs.closeSync(logFd);
+      resolve(code);
+    });
+  });
+}
+
+// A flow with profiles leaves a matrix index instead of a packet
+function describeBatchChild(childDir) {
+  const matrixIndexPath = path.join(childDir, MATRIX_INDEX_FILE);
+  if (fs.existsSync(matrixIndexPath)) {
+    const index = readJson(matrixIndexPath);
+    const profiles = index.profiles || [];
+    return {
+      kind: "matrix",
+      run_id: index.matrix_id || null,
+      status: profiles.length && profiles.every((p) => p.status === "success") ? "success" : "error",
+      error_type: null,
+      packet_hash: null,
+      flow_plan_sha256: null,
+      matrix_hash: sha256File(matrixIndexPath),
+      verified: profiles.length > 0 && profiles.every((p) => p.verified),
+      verification_failure_class: null,
+    };
   }
-  const st = fs.statSync(absPath);
-  if (!st.isFile() && !st.isDirectory()) {
-    throw new Error(`REQUIRED ARTIFACT INVALID: ${label} (${absPath})`);
+
+  const verification = verifyPacket(childDir);
+  let meta = null;
+  try {
+    meta = readJson(path.join(verification.packet_dir, PACKET_FILES.run_metadata));
+  } catch (_) {}
+  return {
+    kind: "run",
+    run_id: meta ? meta.run_id : null,
+    status: meta ? meta.status : null,
+    error_type: meta ? meta.error_type : null,
+    packet_hash: verification.packet_hash.recorded,
+    flow_plan_sha256: meta ? meta.flow_plan_sha256 : null,
+    matrix_hash: null,
+    verified: verification.ok,
+    verification_failure_class: verification.failure_class,
+  };
+}
+
+/**
+ * Runs every flow of a directory or matter file as its own child process (its own browser),
+ * at most `concurrency` at a time, continuing past failures, and seals matter_index.json
+ * with matter_hash.txt = sha256(matter_index.json bytes).
+ */
+async function runBatch({ sourcePath, concurrencyArg }) {
+  let batch;
+  try {
+    batch = loadBatchSource(sourcePath);
+  } catch (e) {
+    console.error("FATAL: Batch source invalid:", e && e.message ? e.message : String(e));
+    process.exitCode = 1;
+    return;
+  }
+
+  const concurrency = Number(concurrencyArg !== null ? concurrencyArg : batch.concurrency === null ? 1 : batch.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error("FATAL: concurrency must be a positive integer.");
+    process.exitCode = 1;
+    return;
   }
+  if (batch.flows.length === 0) {
+    console.error("FATAL: Batch source lists no flows.");
+    process.exitCode = 1;
+    return;
+  }
+
+  const matterRunId = uniqueRunId(`${formatRunTimestampUTC(new Date())}_${batch.matterId || "matter"}`, (id) =>
+    path.join("runs", `${id}_matter`)
+  );
+  const matterDir = path.join("runs", `${matterRunId}_matter`);
+  ensureDir(path.join(matterDir, "logs"));
+
+  const runs = new Array(batch.flows.length);
+  let next = 0;
+  async function worker() {
+    while (next < batch.flows.length) {
+      const i = next++;
+      const flowPath = batch.flows[i];
+      const name = `${pad3(i + 1)}_${safeToken(path.basename(flowPath, path.extname(flowPath))) || "flow"}`;
+      const childRel = `flows/${name}`;
+      const logRel = `logs/${name}.log`;
+      let flowSha256 = null;
+      try {
+        flowSha256 = sha256File(flowPath);
+      } catch (_) {}
+
+      const exitCode = await runBatchChild(flowPath, path.join(matterDir, childRel), path.join(matterDir, logRel));
+      runs[i] = {
+        flow_source: { path: path.relative(process.cwd(), flowPath).split(path.sep).join("/"), sha256: flowSha256 },
+        run_dir: childRel,
+        exit_code: exitCode,
+        ...describeBatchChild(path.join(matterDir, childRel)),
+        log: { path: logRel, sha256: sha256File(path.join(matterDir, logRel)) },
+      };
+      console.log(`BATCH FLOW ${i + 1}/${batch.flows.length}: ${name} | ${runs[i].status || "NO PACKET"} | verified: ${runs[i].verified}`);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, batch.flows.length) }, worker));
+
+  const indexBytes = writeStableJson(path.join(matterDir, MATTER_INDEX_FILE), {
+    matter_id: batch.matterId,
+    matter_run_id: `${matterRunId}_matter`,
+    source: batch.source,
+    concurrency,
+    created_at_utc: nowIso(),
+    runs,
+  });
+  const matterHash = sha256Bytes(indexBytes);
+  fs.writeFileSync(path.join(matterDir, MATTER_HASH_FILE), matterHash + "\n", "utf-8");
+
+  console.log(`BATCH COMPLETE. Flows: ${runs.length} | Dir: ${matterDir}`);
+  console.log(`MATTER HASH: ${matterHash}`);
+  if (runs.some((r) => r.status !== "success" || !r.verified)) process.exitCode = 1;
+}
+
+/**
+ * Verifies two packets of one flow, seals comparison.json and renders Comparison_Report.txt.
+ */
+function runCompare({ targets, runDir }) {
+  let runs;
+  try {
+    runs = loadComparablePair(targets[0], targets[1]);
+  } catch (e) {
+    console.error("FATAL: Comparison refused:", e && e.message ? e.message : String(e));
+    process.exitCode = 1;
+    return;
+  }
+  const comparison = compareRuns(runs[0], runs[1]);
+
+  const compareId = `${formatRunTimestampUTC(new Date())}_${safeToken(comparison.flow_id) || "flow"}`;
+  const compareDir = runDir || path.join("runs", `${uniqueRunId(compareId, (id) => path.join("runs", `${id}_compare`))}_compare`);
+  ensureDir(compareDir);
+
+  const comparisonBytes = writeStableJson(path.join(compareDir, COMPARISON_FILE), {
+    created_at_utc: nowIso(),
+    ...comparison,
+  });
+  const comparisonHash = sha256Bytes(comparisonBytes);
+  fs.writeFileSync(path.join(compareDir, COMPARISON_HASH_FILE), comparisonHash + "\n", "utf-8");
+
+  // Rendered from the sealed bytes, like the packet reports
+  const sealed = readJson(path.join(compareDir, COMPARISON_FILE));
+  fs.writeFileSync(
+    path.join(compareDir, COMPARISON_REPORT_FILE),
+    renderComparisonReport({ comparison: sealed, comparisonHash }, loadForbiddenTerms()),
+    "utf-8"
+  );
+
+  const sum = comparison.summary;
+  console.log(
+    `COMPARISON COMPLETE. Steps aligned: ${sum.steps_aligned} | different result: ${sum.steps_with_different_result} | Dir: ${compareDir}`
+  );
+  console.log(`COMPARISON HASH: ${comparisonHash}`);
 }
 
 // --- Main ---
 async function main() {
-  const flowPath = process.argv[2];
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.compare !== null) {
+    if (args.compare.length !== 2) {
+      console.error("USAGE: node ect.js --compare runs/<run_id A> runs/<run_id B>");
+      process.exitCode = 1;
+      return;
+    }
+    runCompare({ targets: args.compare, runDir: args.runDir });
+    return;
+  }
+
+  if (args.batch !== null) {
+    if (!args.batch) {
+      console.error("USAGE: node ect.js --batch <flow dir | matter.json> [--concurrency N]");
+      process.exitCode = 1;
+      return;
+    }
+    await runBatch({ sourcePath: args.batch, concurrencyArg: args.concurrency });
+    return;
+  }
+  let flowPath = args.flowPath;
+  let replay = null;
+
+  if (args.replay !== null) {
+    if (!args.replay) {
+      console.error("USAGE: node ect.js --replay runs/<run_id>");
+      process.exitCode = 1;
+      return;
+    }
+    try {
+      replay = loadReplaySource(args.replay);
+    } catch (e) {
+      console.error("FATAL: Replay refused:", e && e.message ? e.message : String(e));
+      process.exitCode = 1;
+      return;
+    }
+    flowPath = replay.planPath;
+  }
+
   if (!flowPath) {
-    console.error("USAGE: node ect.js flows/<target_flow>.json");
+    console.error("USAGE: node ect.js flows/<target_flow>.json | --replay runs/<run_id>");
     process.exitCode = 1;
     return;
   }
 
   // ---- Parse flow ----
   let flow;
+  let flowBytes;
   try {
-    flow = readJson(flowPath);
+    flowBytes = fs.readFileSync(flowPath);
+    flow = JSON.parse(flowBytes.toString("utf-8").replace(/^\uFEFF/, ""));
   } catch (e) {
     console.error("FATAL: Could not parse flow JSON:", e && e.message ? e.message : String(e));
     process.exitCode = 1;
     return;
   }
 
-  // ---- Validate flow schema (strict) ----
+  // ---- Validate flow schema (strict, docs/flow.schema.json) ----
+  // A replayed plan is the sealed normalization of a flow that already passed it
+  if (!replay) {
+    const problems = lintFlow(flow);
+    if (problems.length) {
+      console.error(`FATAL: flow invalid (${problems.length} problem${problems.length === 1 ? "" : "s"}):`);
+      for (const p of problems) console.error(`  ${formatProblem(p)}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  // The schema requires flow_id with an alphanumeric character, so the token is never empty
   const flowId = safeToken(flow.flow_id);
-  if (!flowId) {
-    console.error('FATAL: flow.flow_id missing/invalid (expected non-empty string).');
+
+  // A replayed plan already carries its resolved profile; only a source flow fans out
+  let profiles = null;
+  let profile = null;
+  if (flow.profiles !== undefined && !replay) {
+    try {
+      profiles = resolveProfiles(flow.profiles);
+    } catch (e) {
+      console.error("FATAL: flow.profiles invalid:", e && e.message ? e.message : String(e));
+      process.exitCode = 1;
+      return;
+    }
+  }
+  if (args.profileId !== null) {
+    profile = profiles ? profiles.find((p) => p.id === args.profileId) : null;
+    if (!profile) {
+      console.error(`FATAL: --profile "${args.profileId}" is not declared in flow.profiles.`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  try {
+    normalizeMediaFeatures((flow.browser_context || {}).media_features);
+  } catch (e) {
+    console.error("FATAL: flow.browser_context invalid:", e && e.message ? e.message : String(e));
     process.exitCode = 1;
     return;
   }
-  if (!flow.start_url || typeof flow.start_url !== "string") {
-    console.error("FATAL: flow.start_url missing/invalid (expected string).");
+  try {
+    normalizeSettlePolicy(flow.settle);
+  } catch (e) {
+    console.error("FATAL: flow.settle invalid:", e && e.message ? e.message : String(e));
     process.exitCode = 1;
     return;
   }
-  if (!Array.isArray(flow.steps)) {
-    console.error("FATAL: flow.steps missing/invalid (expected array).");
+  try {
+    normalizeRedactionProfile(flow.redaction);
+  } catch (e) {
+    console.error("FATAL: flow.redaction invalid:", e && e.message ? e.message : String(e));
     process.exitCode = 1;
     return;
   }
-  for (let i = 0; i < flow.steps.length; i++) {
-    const s = flow.steps[i];
-    if (!s || typeof s !== "object") {
-      console.error(`FATAL: flow.steps[${i}] invalid (expected object).`);
-      process.exitCode = 1;
-      return;
-    }
-    if (!s.type || typeof s.type !== "string") {
-      console.error(`FATAL: flow.steps[${i}].type missing/invalid (expected string).`);
-      process.exitCode = 1;
-      return;
-    }
+  if (flow.mirror !== undefined && typeof flow.mirror !== "boolean") {
+    console.error("FATAL: flow.mirror invalid (expected boolean).");
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    normalizeCssAllowlist(flow.css_allowlist);
+  } catch (e) {
+    console.error("FATAL: flow.css_allowlist invalid:", e && e.message ? e.message : String(e));
+    process.exitCode = 1;
+    return;
+  }
+  if (flow.css_scope !== undefined && (typeof flow.css_scope !== "string" || !flow.css_scope.trim() || flow.css_allowlist === undefined)) {
+    console.error("FATAL: flow.css_scope invalid (expected a non-empty selector string, with css_allowlist).");
+    process.exitCode = 1;
+    return;
   }
 
   const caseLabel = safeToken(flow.case_label || flow.case || flow.matter || flow.flow_id);
   const runTs = formatRunTimestampUTC(new Date());
-  const runId = `${runTs}_${caseLabel || flowId}`;
-  const runDir = path.join("runs", runId);
+  // <timestamp>_<case_label>_<flow_id>; the flow id is not repeated when it is the case label
+  const baseRunId = caseLabel && caseLabel !== flowId ? `${runTs}_${caseLabel}_${flowId}` : `${runTs}_${flowId}`;
+
+  if (profiles && !profile) {
+    const runId = args.runDir ? baseRunId : uniqueRunId(baseRunId, (id) => path.join("runs", `${id}_matrix`));
+    const matrixDir = args.runDir || path.join("runs", `${runId}_matrix`);
+    runMatrix({ flowPath, flowBytes, flowId, runId, profiles, matrixDir });
+    return;
+  }
 
-  // Folder layout per spec
-  const screenshotsDir = path.join(runDir, "screenshots");
+  const suffixedRunId = baseRunId + (profile ? `_${profile.id}` : "") + (replay ? "_replay" : "");
+  const runId = args.runDir ? suffixedRunId : uniqueRunId(suffixedRunId, (id) => path.join("runs", id));
+  const runDir = args.runDir || path.join("runs", runId);
+  const packetDir = path.join(runDir, PACKET_DIR);
+
+  // Folder layout per spec (tiers live under Deliverable_Packet/, video_temp stays outside it)
+  const reportDir = path.join(packetDir, TIER_REPORT);
+  const exhibitsDir = path.join(packetDir, TIER_EXHIBITS);
+  const verificationDir = path.join(packetDir, TIER_VERIFICATION);
+  const screenshotsDir = path.join(packetDir, EXHIBITS_BY_STEP);
   const htmlDir = path.join(screenshotsDir, "html");
   const axDir = path.join(screenshotsDir, "ax");
+  const transcriptDir = path.join(screenshotsDir, "transcript");
   const videoTempDir = path.join(runDir, "video_temp");
 
+  ensureDir(reportDir);
+  ensureDir(verificationDir);
   ensureDir(htmlDir);
   ensureDir(axDir);
-
-  const journalPath = path.join(runDir, "journal.ndjson");
-  const journal = fs.createWriteStream(journalPath, { flags: "a" });
+  ensureDir(transcriptDir);
+
+  // Built from the raw flow (same texts normalizeFlowPlan seals) so the first event is already redacted
+  const redactor = createRedactor(normalizeRedactionProfile(flow.redaction), {
+    typedTexts: flow.steps.filter((s) => s.type === "type_selector").map((s) => String(s.text || "")),
+  });
+
+  const journalPath = path.join(packetDir, PACKET_FILES.journal_ndjson);
+  const restrictedJournalPath = path.join(packetDir, restrictedPath(PACKET_FILES.journal_ndjson));
+  // Open synchronously so the journal exists even if the run ends before the first await
+  const journal = fs.createWriteStream(journalPath, { fd: fs.openSync(journalPath, "a") });
+  if (redactor.active) ensureDir(path.dirname(restrictedJournalPath));
+  const restrictedJournal = redactor.active
+    ? fs.createWriteStream(restrictedJournalPath, { fd: fs.openSync(restrictedJournalPath, "a") })
+    : null;
+
+  // Every event is chained to its predecessor (seeded from the genesis value). With a redaction
+  // profile the served journal chains the redacted events and the restricted one the originals.
+  const journalChain = createJournalChain((line) => journal.write(line), GENESIS_HASH);
+  const restrictedChain = restrictedJournal ? createJournalChain((line) => restrictedJournal.write(line), GENESIS_HASH) : null;
 
   const emit = (event) => {
     if (!journal || journal.destroyed || journal.writableEnded) return;
-    journal.write(
-      JSON.stringify({
-        timestamp_utc: nowIso(),
-        run_id: runId,
-        ...event,
-      }) + "\n"
-    );
+    const data = { timestamp_utc: nowIso(), run_id: runId, ...event };
+    if (!restrictedChain) {
+      journalChain.append(data);
+      return;
+    }
+    restrictedChain.append(data);
+    const basePath = `$[${journalChain.state().length}].data`;
+    journalChain.append(redactor.redactJson(data, PACKET_FILES.journal_ndjson, { basePath, keys: false }).value);
   };
 
-  const runMetadataPath = path.join(runDir, "run_metadata.json");
-  const interactionLogPath = path.join(runDir, "interaction_log.json");
-  const evidenceIndexPath = path.join(runDir, "evidence_index.json");
-  const consoleLogPath = path.join(runDir, "console.json");
-  const harPath = path.join(runDir, "network.har");
-  const tracePath = path.join(runDir, "trace.zip");
-  const manifestPath = path.join(runDir, "manifest.json");
-  const packetHashPath = path.join(runDir, "packet_hash.txt");
+  const flowPlanPath = path.join(packetDir, PACKET_FILES.flow_plan_sealed);
+  const runMetadataPath = path.join(packetDir, PACKET_FILES.run_metadata);
+  const interactionLogPath = path.join(packetDir, PACKET_FILES.interaction_log);
+  const evidenceIndexPath = path.join(packetDir, PACKET_FILES.evidence_index);
+  const focusSequencePath = path.join(packetDir, PACKET_FILES.focus_sequence);
+  const consoleLogPath = path.join(packetDir, PACKET_FILES.console_json);
+  const thirdPartyDomainsPath = path.join(packetDir, PACKET_FILES.third_party_domains);
+  const redactionLedgerPath = path.join(packetDir, PACKET_FILES.redaction_ledger);
+  const reportTermsPath = path.join(packetDir, PACKET_FILES.report_terms);
+  const harPath = path.join(packetDir, PACKET_FILES.network_har);
+  const tracePath = path.join(packetDir, PACKET_FILES.trace_zip);
+  const videoPath = path.join(packetDir, PACKET_FILES.video_webm);
+  const manifestCorePath = path.join(packetDir, PACKET_FILES.manifest_core);
+  const manifestPath = path.join(packetDir, PACKET_FILES.manifest);
+  const packetHashPath = path.join(packetDir, PACKET_FILES.packet_hash);
+  const statusPath = path.join(packetDir, PACKET_FILES.status);
+  const executionReportPath = path.join(packetDir, PACKET_FILES.execution_report);
 
   const interactionLog = [];
   const evidenceIndex = [];
   const consoleEvents = [];
+  const deviations = [];
+  const domainEvents = []; // first request per hostname, as journaled
+  const focusSequence = []; // one entry per tab step
+  const mirrorResources = new Map(); // "<url> <sha256>" -> resource map entry with the steps that referenced it
 
   let runStatus = "running";
   let runError = null;
+  let runErrorType = null;
+
+  // First recorded error wins; later failures are journaled but never replace the root cause.
+  function failRun(message, errorType) {
+    runStatus = "error";
+    if (!runError) {
+      runError = message;
+      runErrorType = errorType || "ExecutionError";
+    }
+  }
 
   // ---- Run metadata (initial) ----
   const runMetadata = {
@@ -244,6 +1027,16 @@ async function main() {
     finished_at_utc: null,
     status: runStatus,
     error: null,
+    error_type: null,
+    flow_plan_sha256: null,
+    journal_chain: null,
+    capture_mode: null,
+    policy: null,
+    goal: null,
+    profile: null,
+    replay_of: replay ? replay.ref : null,
+    redaction: { profile: redactor.profile, ledger: PACKET_FILES.redaction_ledger, entries: null, restricted_files: [] },
+    deviations,
     environment: {
       node_version: process.version,
       playwright_version: playwrightVersion,
@@ -255,43 +1048,88 @@ async function main() {
       timezone_reported: Intl.DateTimeFormat().resolvedOptions().timeZone || "unknown",
       locale_reported: Intl.DateTimeFormat().resolvedOptions().locale || "unknown",
     },
+    // Paths are relative to Deliverable_Packet/. The packet hash is never stored here:
+    // run_metadata.json is itself sealed by manifest_core.json.
     artifacts: {
-      screenshots_dir: "screenshots/",
-      network_har: "network.har",
-      trace_zip: "trace.zip",
+      packet_dir: `${PACKET_DIR}/`,
+      screenshots_dir: `${EXHIBITS_BY_STEP}/`,
+      ...PACKET_FILES,
       video_webm: null,
-      journal_ndjson: "journal.ndjson",
-      run_metadata: "run_metadata.json",
-      interaction_log: "interaction_log.json",
-      evidence_index: "evidence_index.json",
-      console_json: "console.json",
-      manifest: "manifest.json",
-      packet_hash: "packet_hash.txt",
     },
-    packet_hash: null,
   };
 
   writeJson(runMetadataPath, runMetadata);
 
+  // ---- Sealed flow plan (pre-execution commitment, first journal event) ----
+  const plan = normalizeFlowPlan(
+    replay ? { ...flow, replay_of: replay.ref } : flow,
+    { path: path.basename(flowPath), sha256: sha256Bytes(flowBytes) },
+    profile
+  );
+  // The committed hash is always the executed plan's. With a redaction profile the served plan
+  // is redacted (typed text) and the original is kept in 04_Restricted/, like any exhibit.
+  const servedPlan = redactor.active ? redactor.redactJson(plan, PACKET_FILES.flow_plan_sealed, { keys: false }) : null;
+  const planRedacted = servedPlan !== null && servedPlan.entries.length > 0;
+  const committedPlanPath = planRedacted ? path.join(packetDir, restrictedPath(PACKET_FILES.flow_plan_sealed)) : flowPlanPath;
+  if (planRedacted) {
+    ensureDir(path.dirname(committedPlanPath));
+    writeStableJson(flowPlanPath, servedPlan.value);
+  }
+  const planSha256 = sha256Bytes(writeStableJson(committedPlanPath, plan));
+  runMetadata.profile = plan.profile;
+  // observed/verified stay null until the first capture probes the page
+  runMetadata.environment.media_features = {
+    requested: plan.browser_context.media_features,
+    observed: null,
+    verified: null,
+    captures_probed: 0,
+    mismatches: [],
+  };
+  // observed stays null unless the goal check runs (a failed earlier step leaves it unevaluated)
+  runMetadata.goal = plan.goal
+    ? { selector: plan.goal.selector, text: plan.goal.text, expectation: plan.goal.expectation, observed: null, match_count: null }
+    : null;
+  runMetadata.flow_plan_sha256 = planSha256;
+  writeJson(runMetadataPath, runMetadata);
+  emit({ event: "plan.sealed", path: PACKET_FILES.flow_plan_sealed, sha256: planSha256 });
+
   // ---- Playwright runtime handles ----
   let browser = null;
   let context = null;
   let page = null;
+  let network = null;
+  let responses = null;
 
   // ---- Evidence capture ----
   let stepIndex = 0;
+  let stepOverride = null; // set by strictLocator when an acting step honors allow_multiple_matches
+
+  // Writes the served (redacted) text; an artifact with any redaction keeps its original in 04_Restricted/
+  function writeExhibit(rel, original, redacted, redactions) {
+    fs.writeFileSync(path.join(packetDir, rel), redacted, "utf-8");
+    if (redactions === 0) return;
+    const abs = path.join(packetDir, restrictedPath(rel));
+    ensureDir(path.dirname(abs));
+    fs.writeFileSync(abs, original, "utf-8");
+  }
+
+  // step defaults to the current numbered step; the goal check passes "GOAL".
+  // Every capture waits for plan.settle first; the outcome is returned for interaction_log.
+  async function captureEvidence(label, step = stepIndex) {
+    const settle = await settlePage(page, plan.settle, network);
+    emit({ event: "capture.settle", step_index: step, ...settle });
 
-  async function captureEvidence(label) {
-    const stepStr = pad3(stepIndex);
+    const stepStr = typeof step === "number" ? pad3(step) : step;
     const base = `${flowId}_step_${stepStr}`;
 
-    const relScreenshot = `screenshots/screenshot_${base}.png`;
-    const relHtml = `screenshots/html/page_${base}.html`;
-    const relAx = `screenshots/ax/ax_${base}.json`;
+    const relScreenshot = `${EXHIBITS_BY_STEP}/screenshot_${base}.png`;
+    const relHtml = `${EXHIBITS_BY_STEP}/html/page_${base}.html`;
+    const relAx = `${EXHIBITS_BY_STEP}/ax/ax_${base}.json`;
+    let relTranscript = null;
+    let relTranscriptText = null;
 
-    const absScreenshot = path.join(runDir, relScreenshot);
-    const absHtml = path.join(runDir, relHtml);
-    const absAx = path.join(runDir, relAx);
+    const absScreenshot = path.join(packetDir, relScreenshot);
+    const absAx = path.join(packetDir, relAx);
 
     // Screenshot
     try {
@@ -302,10 +1140,14 @@ async function main() {
       emit({ event: "capture.error", type: "screenshot", error: msg });
     }
 
+    const redactions = { html: 0, ax: 0, mirror: 0 };
+
     // HTML
     try {
       const html = await page.content().catch(() => "");
-      fs.writeFileSync(absHtml, html, "utf-8");
+      const redacted = redactor.redactHtml(html, relHtml);
+      redactions.html = redacted.entries.length;
+      writeExhibit(relHtml, html, redacted.html, redactions.html);
     } catch (e) {
       const msg = `HTML save failed: ${e && e.message ? e.message : String(e)}`;
       consoleEvents.push({ timestamp_utc: nowIso(), type: "evidence_error", text: msg });
@@ -314,48 +1156,220 @@ async function main() {
 
     // AX snapshot
     try {
-      const ax = await page.accessibility.snapshot({ interestingOnly: false });
-      writeJson(absAx, ax || { note: "AX snapshot returned null" });
+      const ax = (await page.accessibility.snapshot({ interestingOnly: false })) || { note: "AX snapshot returned null" };
+      const redacted = redactor.redactJson(ax, relAx);
+      redactions.ax = redacted.entries.length;
+      const toText = (v) => JSON.stringify(v, null, 2) + "\n";
+      writeExhibit(relAx, toText(ax), toText(redacted.value), redactions.ax);
+
+      // Reading order, derived from the AX file as served (redactions carry over)
+      const reading = linearizeAxSnapshot(redacted.value);
+      const source = {
+        ax: relAx,
+        ax_sha256: sha256Bytes(Buffer.from(toText(redacted.value), "utf-8")),
+        step_index: step,
+        label: label || null,
+      };
+      relTranscript = `${EXHIBITS_BY_STEP}/transcript/transcript_${base}.json`;
+      relTranscriptText = `${EXHIBITS_BY_STEP}/transcript/transcript_${base}.txt`;
+      writeJson(path.join(packetDir, relTranscript), { source, ...reading });
+      fs.writeFileSync(path.join(packetDir, relTranscriptText), renderTranscript(reading, source), "utf-8");
     } catch (e) {
       const msg = `AX snapshot failed: ${e && e.message ? e.message : String(e)}`;
       emit({ event: "capture.error", type: "ax", error: msg });
       writeJson(absAx, { error: "AX snapshot failed", message: msg });
     }
 
+    // Mirror: the DOM (shadow roots, same-origin iframes) with resources bundled from recorded responses
+    let relMirror = null;
+    let mirrorStats = null;
+    if (plan.mirror) {
+      try {
+        const rel = `${EXHIBITS_BY_STEP}/mirror/mirror_${base}.html`;
+        const mirror = await buildMirror(page, responses, { outDir: path.join(packetDir, EXHIBITS_BY_STEP, "mirror") });
+        const redacted = redactor.redactHtml(mirror.html, rel);
+        redactions.mirror = redacted.entries.length;
+        writeExhibit(rel, mirror.html, redacted.html, redactions.mirror);
+        for (const r of mirror.resources) {
+          const key = `${r.url} ${r.sha256}`;
+          if (!mirrorResources.has(key)) {
+            mirrorResources.set(key, { ...r, path: r.path ? `${EXHIBITS_BY_STEP}/mirror/${r.path}` : null, steps: [] });
+          }
+          mirrorResources.get(key).steps.push(step);
+        }
+        relMirror = rel;
+        mirrorStats = {
+          ...mirror.stats,
+          resources: mirror.resources.length,
+          resources_unresolved: mirror.resources.filter((r) => r.path === null).length,
+          frames_not_mirrored: mirror.frames_not_mirrored,
+        };
+      } catch (e) {
+        const msg = `Mirror capture failed: ${e && e.message ? e.message : String(e)}`;
+        consoleEvents.push({ timestamp_utc: nowIso(), type: "evidence_error", text: msg });
+        emit({ event: "capture.error", type: "mirror", error: msg });
+      }
+    }
+
+    // Computed styles: the allow-listed properties and bounding box of each AX-tree (or scoped) element
+    let relStyles = null;
+    let stylesCount = null;
+    if (plan.css_allowlist) {
+      try {
+        const rel = `${EXHIBITS_BY_STEP}/styles/styles_${base}.json`;
+        const styles = await captureComputedStyles(page, { properties: plan.css_allowlist, scope: plan.css_scope });
+        ensureDir(path.join(packetDir, EXHIBITS_BY_STEP, "styles"));
+        writeJson(path.join(packetDir, rel), styles);
+        relStyles = rel;
+        stylesCount = styles.element_count;
+      } catch (e) {
+        const msg = `Computed style capture failed: ${e && e.message ? e.message : String(e)}`;
+        consoleEvents.push({ timestamp_utc: nowIso(), type: "evidence_error", text: msg });
+        emit({ event: "capture.error", type: "styles", error: msg });
+      }
+    }
+
+    // Media features as the page reports them at this capture (matchMedia, not the request)
+    let mediaObserved = null;
+    try {
+      mediaObserved = await probeMediaFeatures(page);
+      const media = runMetadata.environment.media_features;
+      const mismatches = mediaFeatureMismatches(media.requested, mediaObserved);
+      media.observed = mediaObserved;
+      media.captures_probed++;
+      media.verified = media.verified !== false && mismatches.length === 0;
+      for (const m of mismatches) {
+        media.mismatches.push({ step_index: step, ...m });
+        const msg = `Media feature ${m.feature}: requested "${m.requested}", matchMedia reported "${m.observed}"`;
+        consoleEvents.push({ timestamp_utc: nowIso(), type: "evidence_error", text: msg });
+        emit({ event: "media_features.mismatch", step_index: step, ...m });
+        failRun(msg, "IntegrityError");
+      }
+    } catch (e) {
+      const msg = `Media feature probe failed: ${e && e.message ? e.message : String(e)}`;
+      consoleEvents.push({ timestamp_utc: nowIso(), type: "evidence_error", text: msg });
+      emit({ event: "capture.error", type: "media_features", error: msg });
+    }
+
     const ev = {
-      step_index: stepIndex,
+      step_index: step,
       label: label || null,
       screenshot: relScreenshot,
       html: relHtml,
       ax: relAx,
+      transcript: relTranscript,
+      transcript_text: relTranscriptText,
+      media_features: mediaObserved,
+      redactions,
+      ...(plan.mirror ? { mirror: relMirror, mirror_stats: mirrorStats } : {}),
+      ...(plan.css_allowlist ? { styles: relStyles, styles_element_count: stylesCount } : {}),
     };
 
     evidenceIndex.push(ev);
     emit({ event: "evidence.captured", ...ev });
-    return ev;
+    return { ...ev, settle };
+  }
+
+  // All matches are read in one evaluation so count, boxes and hashes describe the same DOM state.
+  async function snapshotMatches(loc) {
+    const raw = await loc.evaluateAll((els) =>
+      els.map((el) => {
+        const r = el.getBoundingClientRect();
+        return {
+          bounding_box: { x: r.x, y: r.y, width: r.width, height: r.height },
+          outer_html: el.outerHTML,
+        };
+      })
+    );
+    return raw.map((m, i) => ({
+      match_index: i,
+      bounding_box: m.bounding_box,
+      outer_html_sha256: sha256Bytes(Buffer.from(m.outer_html, "utf-8")),
+    }));
+  }
+
+  // Every honored allow_multiple_matches is a disclosed deviation. actedOn is the match index
+  // an acting step used (null for wait_selector, which only observes).
+  function recordMatchOverride(s, sel, matches, actedOn) {
+    deviations.push({
+      step_index: stepIndex,
+      type: "allow_multiple_matches",
+      action: s.type,
+      selector: sel,
+      match_count: matches.length,
+      acted_on_match_index: actedOn,
+    });
+    emit({ event: "selector.override", step_index: stepIndex, selector: sel, match_count: matches.length, acted_on_match_index: actedOn });
+    return { selector: sel, match_count: matches.length, acted_on_match_index: actedOn, matches };
+  }
+
+  // Steps that act on an element: the selector must be visible and match exactly one element,
+  // unless allow_multiple_matches with act_on_match was permitted by the policy gate (interactive mode)
+  async function strictLocator(s) {
+    const sel = String(s.selector || "");
+    if (!sel) throw new Error(`${s.type} requires selector`);
+
+    await page.waitForSelector(sel, { state: "visible", timeout: s.timeout_ms });
+
+    const loc = page.locator(sel);
+    if (s.allow_multiple_matches === true) {
+      const matches = await snapshotMatches(loc);
+      if (matches.length === 0) throw classifiedError("SelectorNotFound", `Selector "${sel}" disappeared (0 matches).`);
+      if (s.act_on_match >= matches.length) {
+        throw classifiedError(
+          "SelectorNotFound",
+          `Selector "${sel}" matched ${matches.length} elements; act_on_match ${s.act_on_match} does not exist.`
+        );
+      }
+      stepOverride = recordMatchOverride(s, sel, matches, s.act_on_match);
+      return loc.nth(s.act_on_match);
+    }
+
+    const count = await loc.count();
+    if (count === 0) throw classifiedError("SelectorNotFound", `Selector "${sel}" disappeared (0 matches).`);
+    if (count > 1) {
+      throw classifiedError(
+        "SelectorAmbiguity",
+        `Ambiguity Error: Selector "${sel}" matched ${count} elements (expected 1).`
+      );
+    }
+    return loc;
   }
 
   // ---- Step handlers (strict) ----
+  // Steps come from the normalized plan, so every default is already materialized.
+  // Handlers return an optional detail object that is merged into the step's interaction_log entry.
   async function handleStep(s) {
     if (s.type === "wait_selector") {
       const sel = String(s.selector || "");
-      const timeout = Number(s.timeout_ms || 8000);
-      const delay = Number(s.delay_ms || 0);
+      const timeout = s.timeout_ms;
+      const delay = s.delay_ms;
 
       if (!sel) throw new Error("wait_selector requires selector");
 
       await page.waitForSelector(sel, { state: "visible", timeout });
 
+      if (s.allow_multiple_matches === true) {
+        const matches = await snapshotMatches(page.locator(sel));
+        if (matches.length === 0) throw classifiedError("SelectorNotFound", `Selector "${sel}" not found (0 matches).`);
+
+        const override = recordMatchOverride(s, sel, matches, null);
+        if (delay > 0) await page.waitForTimeout(delay);
+        return { allow_multiple_matches: override };
+      }
+
       const count = await page.locator(sel).count();
-      if (count === 0) throw new Error(`Selector "${sel}" not found (0 matches).`);
-      if (count > 1) throw new Error(`Ambiguity Error: "${sel}" matched ${count} elements (expected 1).`);
+      if (count === 0) throw classifiedError("SelectorNotFound", `Selector "${sel}" not found (0 matches).`);
+      if (count > 1) {
+        throw classifiedError("SelectorAmbiguity", `Ambiguity Error: "${sel}" matched ${count} elements (expected 1).`);
+      }
 
       if (delay > 0) await page.waitForTimeout(delay);
       return;
     }
 
     if (s.type === "assert_url_contains") {
-      const expected = String(s.text || "");
+      const expected = s.text;
       if (!expected) throw new Error("assert_url_contains requires text");
       const current = page.url();
       if (!current.includes(expected)) {
@@ -365,8 +1379,8 @@ async function main() {
     }
 
     if (s.type === "assert_text_present") {
-      const expected = String(s.text || "");
-      const timeout = Number(s.timeout_ms || 5000);
+      const expected = s.text;
+      const timeout = s.timeout_ms;
       if (!expected) throw new Error("assert_text_present requires text");
 
       await page.waitForFunction(
@@ -379,76 +1393,321 @@ async function main() {
     }
 
     if (s.type === "scroll") {
-      const dy = Number(s.deltaY || 1200);
-      const delay = Number(s.delay_ms || 250);
+      const dy = s.deltaY;
+      const delay = s.delay_ms;
       await page.mouse.wheel(0, dy);
       if (delay > 0) await page.waitForTimeout(delay);
       return;
     }
 
     if (s.type === "tab") {
-      const count = Number(s.count || 10);
-      const delay = Number(s.delay_ms || 80);
-      for (let i = 0; i < count; i++) {
-        await page.keyboard.press("Tab");
-        if (delay > 0) await page.waitForTimeout(delay);
-      }
-      return;
-    }
+      const count = s.count;
+      const delay = s.delay_ms;
+      const tabbableCount = await page.evaluate(countTabbable);
+      const presses = [];
+      // Presses read before a failure are still recorded; the entry carries the error
+      let failure = null;
 
-    if (s.type === "click_selector" || s.type === "type_selector") {
-      const sel = String(s.selector || "");
-      const timeout = Number(s.timeout_ms || 5000);
-      const delay = Number(s.delay_ms || (s.type === "click_selector" ? 500 : 250));
+      try {
+        for (let i = 0; i < count; i++) {
+          await page.keyboard.press("Tab");
+          if (delay > 0) await page.waitForTimeout(delay);
+
+          const press = { press: i + 1, timestamp_utc: nowIso(), ...(await readFocus(page)) };
+
+          if (s.screenshot_each_press === true) {
+            const rel = `${EXHIBITS_BY_STEP}/focus/screenshot_${flowId}_step_${pad3(stepIndex)}_press_${pad3(i + 1)}.png`;
+            ensureDir(path.join(packetDir, EXHIBITS_BY_STEP, "focus"));
+            const png = await page.screenshot({ path: path.join(packetDir, rel), fullPage: false });
+            press.screenshot = rel;
+            press.screenshot_sha256 = sha256Bytes(png);
+          }
+
+          presses.push(press);
+          emit({
+            event: "focus.observed",
+            step_index: stepIndex,
+            press: press.press,
+            selector_path: press.selector_path,
+            focus_on_body: press.focus_on_body,
+          });
+        }
+      } catch (e) {
+        failure = e;
+      }
 
-      if (!sel) throw new Error(`${s.type} requires selector`);
+      const analysis = analyzeFocusSequence(presses, tabbableCount);
+      focusSequence.push({
+        step_index: stepIndex,
+        count,
+        document_tabbable_count: tabbableCount,
+        ...analysis,
+        presses,
+        error: failure ? (failure.message ? failure.message : String(failure)) : null,
+      });
+      if (failure) throw failure;
 
-      await page.waitForSelector(sel, { state: "visible", timeout });
+      return {
+        focus_sequence: {
+          record: PACKET_FILES.focus_sequence,
+          presses: presses.length,
+          focus_on_body_presses: analysis.focus_on_body_presses,
+          focus_traps: analysis.focus_traps.length,
+        },
+      };
+    }
 
-      const loc = page.locator(sel);
-      const count = await loc.count();
-      if (count === 0) throw new Error(`Selector "${sel}" disappeared (0 matches).`);
-      if (count > 1) throw new Error(`Ambiguity Error: Selector "${sel}" matched ${count} elements (expected 1).`);
+    if (s.type === "click_selector" || s.type === "type_selector") {
+      const timeout = s.timeout_ms;
+      const delay = s.delay_ms;
+      const loc = await strictLocator(s);
 
       if (s.type === "click_selector") {
         await loc.click({ timeout });
       } else {
-        await loc.fill(String(s.text || ""), { timeout });
+        await loc.fill(s.text, { timeout });
       }
 
       if (delay > 0) await page.waitForTimeout(delay);
       return;
     }
 
+    if (s.type === "hover") {
+      const loc = await strictLocator(s);
+      await loc.hover({ timeout: s.timeout_ms });
+      if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+      return;
+    }
+
+    // The element focused afterwards is RECORDED (it may differ, e.g. a delegating host)
+    if (s.type === "focus_selector") {
+      const loc = await strictLocator(s);
+      await loc.focus({ timeout: s.timeout_ms });
+      if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+      return { focus: await readFocus(page) };
+    }
+
+    // Exactly one of value, label, index names the option
+    if (s.type === "select_option") {
+      const named = ["value", "label", "index"].filter((k) => s[k] !== undefined);
+      if (named.length !== 1) throw new Error("select_option requires exactly one of value, label, index");
+      const key = named[0];
+      if (key === "index" ? !Number.isInteger(s.index) || s.index < 0 : typeof s[key] !== "string") {
+        throw new Error(`select_option ${key} invalid (expected ${key === "index" ? "a non-negative integer" : "a string"})`);
+      }
+
+      const loc = await strictLocator(s);
+      const selected = await loc.selectOption({ [key]: s[key] }, { timeout: s.timeout_ms });
+      if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+      return { selected_values: selected };
+    }
+
+    // Checkbox, radio or switch; the state afterwards is read back, not assumed
+    if (s.type === "check") {
+      if (typeof s.checked !== "boolean") throw new Error("check checked invalid (expected boolean)");
+      const loc = await strictLocator(s);
+      await loc.setChecked(s.checked, { timeout: s.timeout_ms });
+      if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+      return { checked_observed: await loc.isChecked() };
+    }
+
     if (s.type === "press") {
-      const key = String(s.key || "Enter");
-      const delay = Number(s.delay_ms || 300);
+      const key = s.key;
+      const delay = s.delay_ms;
       await page.keyboard.press(key);
       if (delay > 0) await page.waitForTimeout(delay);
       return;
     }
 
+    // Keys in order, each a key or chord ("Shift+Tab"); the focused element after each is RECORDED
+    if (s.type === "key_sequence") {
+      if (!Array.isArray(s.keys) || s.keys.length === 0 || s.keys.some((k) => typeof k !== "string" || !k)) {
+        throw new Error("key_sequence requires keys (non-empty array of key names or chords)");
+      }
+      const presses = [];
+      for (const [i, key] of s.keys.entries()) {
+        await page.keyboard.press(key);
+        if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+        const focus = await readFocus(page);
+        presses.push({ press: i + 1, key, timestamp_utc: nowIso(), ...focus });
+        emit({
+          event: "focus.observed",
+          step_index: stepIndex,
+          press: i + 1,
+          key,
+          selector_path: focus.selector_path,
+          focus_on_body: focus.focus_on_body,
+        });
+      }
+      return { key_sequence: presses };
+    }
+
+    if (s.type === "wait_for_url") {
+      const expected = typeof s.url === "string" ? s.url : "";
+      if (!expected) throw new Error("wait_for_url requires url");
+      if (!URL_MATCH_MODES.includes(s.match)) {
+        throw new Error(`wait_for_url match "${s.match}" is not recognized (expected ${URL_MATCH_MODES.join(", ")})`);
+      }
+      const re = s.match === "regex" ? new RegExp(expected) : null;
+      const test = (u) => {
+        const href = u.href;
+        if (s.match === "exact") return href === expected;
+        if (s.match === "regex") return re.test(href);
+        return href.includes(expected);
+      };
+      await page.waitForURL(test, { timeout: s.timeout_ms, waitUntil: "commit" });
+      return;
+    }
+
+    // Mid-flow navigation, recorded like the initial one: requested, resolved and redirect chain
+    if (s.type === "navigate") {
+      const requested = typeof s.url === "string" ? s.url : "";
+      if (!requested) throw new Error("navigate requires url");
+      let resolved;
+      try {
+        resolved = new URL(requested, page.url());
+      } catch (_) {
+        throw new Error(`navigate url "${requested}" is not a URL`);
+      }
+      if (resolved.protocol !== "http:" && resolved.protocol !== "https:") {
+        throw new Error(`navigate url "${requested}" is not http(s)`);
+      }
+
+      const response = await page.goto(resolved.href, { waitUntil: s.wait_until, timeout: s.timeout_ms });
+      const redirectChain = [];
+      for (let req = response ? response.request().redirectedFrom() : null; req; req = req.redirectedFrom()) {
+        redirectChain.unshift(req.url());
+      }
+      if (s.delay_ms > 0) await page.waitForTimeout(s.delay_ms);
+      return {
+        navigation: {
+          requested_url: requested,
+          resolved_url: resolved.href,
+          http_status: response ? response.status() : null,
+          redirect_chain: redirectChain,
+        },
+      };
+    }
+
     throw new Error(`Unknown step type: "${s.type}"`);
   }
 
+  // ---- Goal check (after the final step, recorded as step GOAL) ----
+  async function verifyGoal(goal) {
+    const detail = { goal_selector: goal.selector, goal_text: goal.text, goal_expectation: goal.expectation };
+
+    if (goal.selector !== null) {
+      try {
+        await page.waitForSelector(goal.selector, { state: "attached", timeout: goal.timeout_ms });
+      } catch (e) {
+        if (errorTypeOf(e) !== "Timeout") throw e;
+      }
+      const count = await page.locator(goal.selector).count();
+      detail.match_count = count;
+      runMetadata.goal.match_count = count;
+      if (count === 0) {
+        throw classifiedError("SelectorNotFound", `Goal Failed: Selector "${goal.selector}" not found (0 matches).`);
+      }
+      if (count > 1) {
+        throw classifiedError(
+          "SelectorAmbiguity",
+          `Goal Failed: Selector "${goal.selector}" matched ${count} elements (expected 1).`
+        );
+      }
+    }
+
+    if (goal.text !== null) {
+      try {
+        await page.waitForFunction(
+          (txt) => document.body && document.body.innerText && document.body.innerText.includes(txt),
+          goal.text,
+          { timeout: goal.timeout_ms }
+        );
+      } catch (e) {
+        if (errorTypeOf(e) !== "Timeout") throw e;
+        throw classifiedError("GoalNotObserved", `Goal Failed: goal_text not observed within ${goal.timeout_ms} ms.`);
+      }
+    }
+
+    return detail;
+  }
+
   try {
     emit({ event: "run.start", flow_id: flow.flow_id, start_url: flow.start_url });
 
+    // ---- Policy gate (before any browser launch) ----
+    const captureMode = resolveCaptureMode(plan);
+    const policy = classifyFlowPolicy(plan, captureMode);
+    runMetadata.capture_mode = captureMode;
+    runMetadata.policy = policy;
+    writeJson(runMetadataPath, runMetadata);
+
+    emit({ event: "policy.classified", capture_mode: captureMode, steps: policy.steps });
+
+    if (policy.violations.length > 0) {
+      for (const v of policy.violations) {
+        interactionLog.push({
+          step_index: v.step_index,
+          action: v.type,
+          result: "rejected",
+          error_type: "PolicyViolation",
+          error_message: v.violation,
+          interaction_class: v.interaction_class,
+          capture_mode: captureMode,
+          url: null,
+          note: typeof v.step_index === "number" ? plan.steps[v.step_index - 2].note || null : null,
+          timestamp_utc: nowIso(),
+        });
+        emit({ event: "policy.rejected", step_index: v.step_index, type: v.type, error: v.violation });
+      }
+      throw classifiedError("PolicyViolation", policy.violations[0].violation);
+    }
+
     browser = await chromium.launch({ headless: true });
     runMetadata.environment.chromium_version = await browser.version();
     writeJson(runMetadataPath, runMetadata);
 
     context = await browser.newContext({
-      viewport: { width: 1366, height: 768 },
-      locale: "en-US",
-      timezoneId: "UTC",
+      viewport: plan.browser_context.viewport,
+      deviceScaleFactor: plan.browser_context.device_scale_factor,
+      isMobile: plan.browser_context.is_mobile,
+      hasTouch: plan.browser_context.has_touch,
+      ...(plan.browser_context.user_agent ? { userAgent: plan.browser_context.user_agent } : {}),
+      locale: plan.browser_context.locale,
+      timezoneId: plan.browser_context.timezone_id,
+      ...contextMediaOptions(plan.browser_context.media_features),
       recordHar: { path: harPath },
       recordVideo: { dir: videoTempDir },
+      // Service workers would answer requests outside the HAR routing
+      serviceWorkers: replay ? "block" : "allow",
     });
 
     await context.tracing.start({ screenshots: true, snapshots: true, sources: true });
 
+    // Replay: every request is answered from the source HAR; anything it lacks is aborted
+    if (replay) {
+      await context.routeFromHAR(replay.harAbs, { notFound: "abort" });
+      emit({ event: "replay.routed", source: replay.ref });
+    }
+
+    // First request to each hostname is journaled (context-wide, so popups and workers count too)
+    const hostsSeen = new Set();
+    context.on("request", (req) => {
+      const host = hostnameOf(req.url());
+      if (!host || hostsSeen.has(host)) return;
+      hostsSeen.add(host);
+      const observed = { url: req.url(), timestamp_utc: nowIso() };
+      domainEvents.push(observed);
+      emit({ event: "network.host_first_seen", host, ...observed });
+    });
+
     page = await context.newPage();
+    await page.addInitScript(installMutationCounter);
+    network = trackNetwork(page);
+    if (plan.mirror) responses = recordResponses(page);
+    if (await applyPageMediaFeatures(context, page, plan.browser_context.media_features)) {
+      emit({ event: "media_features.applied", via: "cdp", features: plan.browser_context.media_features });
+    }
 
     page.on("console", (msg) => {
       consoleEvents.push({
@@ -466,53 +1725,100 @@ async function main() {
       });
     });
 
-    // ---- Initial navigation (Step 001) ----
+    // ---- Initial navigation (Step 001): start URL, resolved start URL, final URL ----
     stepIndex++;
-    emit({ event: "step.start", step_index: stepIndex, action: "navigate", url: flow.start_url });
+    emit({ event: "step.start", step_index: stepIndex, action: "navigate", url: plan.start_url });
+
+    let resolvedStartUrl = null;
+    try {
+      resolvedStartUrl = new URL(plan.start_url).href;
+    } catch (_) {}
+    for (const [action, url] of [
+      ["provenance_start_url", plan.start_url],
+      ["provenance_resolved_start_url", resolvedStartUrl],
+    ]) {
+      interactionLog.push({
+        step_index: stepIndex,
+        action,
+        result: "recorded",
+        error_type: null,
+        error_message: null,
+        url,
+        note: null,
+        timestamp_utc: nowIso(),
+      });
+    }
 
-    await page.goto(flow.start_url, { waitUntil: "domcontentloaded", timeout: 30000 });
+    let navErr = null;
+    let navResponse = null;
+    try {
+      navResponse = await page.goto(plan.start_url, {
+        waitUntil: plan.navigation.wait_until,
+        timeout: plan.navigation.timeout_ms,
+      });
+    } catch (e) {
+      navErr = e;
+      navErr.error_type = errorTypeOf(e);
+    }
+
+    // Redirects OBSERVED on the way to the document, oldest first
+    const redirectChain = [];
+    for (let req = navResponse ? navResponse.request().redirectedFrom() : null; req; req = req.redirectedFrom()) {
+      redirectChain.unshift(req.url());
+    }
 
     const ev0 = await captureEvidence("Initial page load");
 
     interactionLog.push({
       step_index: stepIndex,
-      action: "navigate",
-      result: "success",
-      error_message: null,
+      action: "provenance_final_url",
+      result: navErr ? "error" : "success",
+      error_type: navErr ? navErr.error_type : null,
+      error_message: navErr ? (navErr.message || String(navErr)) : null,
       url: page.url(),
+      redirect_chain: redirectChain,
       note: null,
       screenshot: ev0.screenshot,
       html: ev0.html,
       ax: ev0.ax,
+      settle: ev0.settle,
       timestamp_utc: nowIso(),
     });
 
-    emit({ event: "step.end", step_index: stepIndex, status: "success" });
+    emit({ event: "step.end", step_index: stepIndex, status: navErr ? "error" : "success" });
+    if (navErr) throw navErr;
 
     // ---- Process steps (fail fast) ----
-    for (const s of flow.steps) {
+    for (const s of plan.steps) {
       stepIndex++;
       emit({ event: "step.start", step_index: stepIndex, action: s.type, detail: s });
 
       let stepErr = null;
+      let stepDetail = null;
+      stepOverride = null;
       try {
-        await handleStep(s);
+        stepDetail = await handleStep(s);
       } catch (e) {
         stepErr = e;
+        stepErr.error_type = errorTypeOf(e);
       }
+      if (stepOverride) stepDetail = { ...(stepDetail || {}), allow_multiple_matches: stepOverride };
 
       const ev = await captureEvidence(s.note || s.type);
 
       interactionLog.push({
         step_index: stepIndex,
         action: s.type,
-        result: stepErr ? "failed_action" : "success",
+        result: stepErr ? "error" : "success",
+        error_type: stepErr ? stepErr.error_type : null,
         error_message: stepErr ? (stepErr.message || String(stepErr)) : null,
         url: page.url(),
         note: s.note || null,
         screenshot: ev.screenshot,
         html: ev.html,
         ax: ev.ax,
+        settle: ev.settle,
+        ...(stepDetail || {}),
         timestamp_utc: nowIso(),
       });
 
@@ -526,15 +1832,62 @@ async function main() {
       if (stepErr) throw stepErr;
     }
 
-    runStatus = "success";
+    if (plan.goal) {
+      emit({ event: "step.start", step_index: "GOAL", action: "verify_goal", detail: plan.goal });
+
+      let goalErr = null;
+      let goalDetail = null;
+      try {
+        goalDetail = await verifyGoal(plan.goal);
+      } catch (e) {
+        goalErr = e;
+        goalErr.error_type = errorTypeOf(e);
+      }
+      runMetadata.goal.observed = !goalErr;
+
+      const ev = await captureEvidence("Goal verification", "GOAL");
+
+      interactionLog.push({
+        step_index: "GOAL",
+        action: "verify_goal",
+        result: goalErr ? "error" : "success",
+        error_type: goalErr ? goalErr.error_type : null,
+        error_message: goalErr ? (goalErr.message || String(goalErr)) : null,
+        url: page.url(),
+        note: null,
+        screenshot: ev.screenshot,
+        html: ev.html,
+        ax: ev.ax,
+        settle: ev.settle,
+        ...(goalDetail || {
+          goal_selector: plan.goal.selector,
+          goal_text: plan.goal.text,
+          goal_expectation: plan.goal.expectation,
+          match_count: runMetadata.goal.match_count,
+        }),
+        timestamp_utc: nowIso(),
+      });
+
+      emit({
+        event: "step.end",
+        step_index: "GOAL",
+        status: goalErr ? "error" : "success",
+        error: goalErr ? (goalErr.message || String(goalErr)) : null,
+      });
+
+      if (goalErr) throw goalErr;
+    }
+
+    // A capture may already have failed the run without throwing (media feature mismatch)
+    if (!runError) runStatus = "success";
   } catch (err) {
-    runStatus = "error";
-    runError = err && err.message ? err.message : String(err);
+    failRun(err && err.message ? err.message : String(err), errorTypeOf(err));
   } finally {
     // ---- Forensic shutdown ----
     runMetadata.finished_at_utc = nowIso();
     runMetadata.status = runStatus;
     runMetadata.error = runError || null;
+    runMetadata.error_type = runErrorType;
 
     // Stop tracing (creates trace.zip)
     if (context) {
@@ -551,23 +1904,22 @@ async function main() {
     }
 
     // Move video.webm out of temp, enforce uniqueness
+    // A run rejected before launch never had a context, so there is no capture to recover.
     let videoRel = null;
     try {
-      if (fs.existsSync(videoTempDir)) {
+      if (!context) {
+        emit({ event: "video.skipped", reason: "No browser context was created." });
+      } else if (fs.existsSync(videoTempDir)) {
         const files = fs.readdirSync(videoTempDir).filter((f) => f.toLowerCase().endsWith(".webm"));
         if (files.length === 1) {
-          const src = path.join(videoTempDir, files[0]);
-          const dest = path.join(runDir, "video.webm");
-          fs.renameSync(src, dest);
-          videoRel = "video.webm";
+          fs.renameSync(path.join(videoTempDir, files[0]), videoPath);
+          videoRel = PACKET_FILES.video_webm;
         } else if (files.length > 1) {
           emit({ event: "video.error", error: `Multiple video files found: ${files.join(", ")}` });
-          runStatus = "error";
-          runError = runError || "Multiple video files found, cannot uniquely identify video artifact.";
+          failRun("Multiple video files found, cannot uniquely identify video artifact.", "ArtifactError");
         } else {
           emit({ event: "video.missing", error: "No video file generated." });
-          runStatus = "error";
-          runError = runError || "No video file generated.";
+          failRun("No video file generated.", "ArtifactError");
         }
 
         try {
@@ -575,13 +1927,11 @@ async function main() {
         } catch (_) {}
       } else {
         emit({ event: "video.missing", error: "video_temp directory missing." });
-        runStatus = "error";
-        runError = runError || "video_temp directory missing.";
+        failRun("video_temp directory missing.", "ArtifactError");
       }
     } catch (e) {
       emit({ event: "video.error", error: e && e.message ? e.message : String(e) });
-      runStatus = "error";
-      runError = runError || (e && e.message ? e.message : String(e));
+      failRun(e && e.message ? e.message : String(e), "ArtifactError");
     }
 
     // Close browser
@@ -593,12 +1943,36 @@ async function main() {
 
     // Write console log now (always)
     writeJson(consoleLogPath, consoleEvents);
+    writeJson(focusSequencePath, { flow_id: flowId, steps: focusSequence });
+
+    // Third-party domains (HAR is complete once the context is closed)
+    try {
+      const observation = buildThirdPartyDomains({
+        startUrl: plan.start_url,
+        sources: [
+          { artifact: PACKET_FILES.network_har, observations: harObservations(harPath) },
+          { artifact: PACKET_FILES.journal_ndjson, observations: domainEvents },
+        ],
+        generatedAt: nowIso(),
+      });
+      const schemaErrors = validateThirdPartyDomains(observation);
+      if (schemaErrors.length) {
+        throw new Error(
+          `third_party_domains.json failed schema validation: ${schemaErrors[0].path} ${schemaErrors[0].message}`
+        );
+      }
+      writeJson(thirdPartyDomainsPath, observation);
+      emit({ event: "third_party_domains.recorded", count: observation.domains.length });
+    } catch (e) {
+      emit({ event: "third_party_domains.error", error: e && e.message ? e.message : String(e) });
+      failRun(e && e.message ? e.message : String(e), "ArtifactError");
+    }
 
     // Evidence index hashing (post-run sealing)
     const evidenceIndexWithHashes = evidenceIndex.map((ev) => {
-      const ssAbs = path.join(runDir, ev.screenshot);
-      const htmlAbs = path.join(runDir, ev.html);
-      const axAbs = path.join(runDir, ev.ax);
+      const ssAbs = path.join(packetDir, ev.screenshot);
+      const htmlAbs = path.join(packetDir, ev.html);
+      const axAbs = path.join(packetDir, ev.ax);
 
       let ssHash = null;
       let htmlHash = null;
@@ -608,24 +1982,35 @@ async function main() {
         ssHash = fs.existsSync(ssAbs) ? sha256File(ssAbs) : null;
       } catch (e) {
         emit({ event: "hash.error", file: ev.screenshot, error: e.message || String(e) });
-        runStatus = "error";
-        runError = runError || `Hashing failed for ${ev.screenshot}`;
+        failRun(`Hashing failed for ${ev.screenshot}`, "IntegrityError");
       }
 
       try {
         htmlHash = fs.existsSync(htmlAbs) ? sha256File(htmlAbs) : null;
       } catch (e) {
         emit({ event: "hash.error", file: ev.html, error: e.message || String(e) });
-        runStatus = "error";
-        runError = runError || `Hashing failed for ${ev.html}`;
+        failRun(`Hashing failed for ${ev.html}`, "IntegrityError");
       }
 
       try {
         axHash = fs.existsSync(axAbs) ? sha256File(axAbs) : null;
       } catch (e) {
         emit({ event: "hash.error", file: ev.ax, error: e.message || String(e) });
-        runStatus = "error";
-        runError = runError || `Hashing failed for ${ev.ax}`;
+        failRun(`Hashing failed for ${ev.ax}`, "IntegrityError");
+      }
+
+      // Derived exhibits and exhibits a flow option enables are hashed the same way when the entry names them
+      const optional = {};
+      for (const key of [...DERIVED_EXHIBITS, ...OPTIONAL_EXHIBITS]) {
+        if (!ev[key]) continue;
+        const abs = path.join(packetDir, ev[key]);
+        try {
+          optional[`${key}_sha256`] = fs.existsSync(abs) ? sha256File(abs) : null;
+          optional[`${key}_size`] = fs.existsSync(abs) ? statSize(abs) : 0;
+        } catch (e) {
+          emit({ event: "hash.error", file: ev[key], error: e.message || String(e) });
+          failRun(`Hashing failed for ${ev[key]}`, "IntegrityError");
+        }
       }
 
       return {
@@ -636,6 +2021,7 @@ async function main() {
         html_size: fs.existsSync(htmlAbs) ? statSize(htmlAbs) : 0,
         ax_sha256: axHash,
         ax_size: fs.existsSync(axAbs) ? statSize(axAbs) : 0,
+        ...optional,
       };
     });
 
@@ -643,109 +2029,300 @@ async function main() {
     writeJson(interactionLogPath, interactionLog);
     writeJson(evidenceIndexPath, evidenceIndexWithHashes);
 
-    // Update metadata with video
-    runMetadata.artifacts.video_webm = videoRel;
-    runMetadata.status = runStatus;
-    runMetadata.error = runError || null;
-    writeJson(runMetadataPath, runMetadata);
+    // ---- Step diffs (each capture against the one before it, from the served exhibits) ----
+    const stepDiffs = [];
+    runMetadata.step_diffs = [];
+    const stepToken = (step) => (typeof step === "number" ? pad3(step) : step);
+    for (let i = 1; i < evidenceIndex.length; i++) {
+      const prev = evidenceIndex[i - 1];
+      const next = evidenceIndex[i];
+      const name = `diff_step_${stepToken(prev.step_index)}_to_${stepToken(next.step_index)}`;
+      const relDiff = `${EXHIBITS_BY_STEP}/diff/${name}.json`;
+      const relMask = `${EXHIBITS_BY_STEP}/diff/${name}.png`;
+      const diff = {
+        from_step: prev.step_index,
+        to_step: next.step_index,
+        from: { screenshot: prev.screenshot, html: prev.html, ax: prev.ax },
+        to: { screenshot: next.screenshot, html: next.html, ax: next.ax },
+        ax: null,
+        html: null,
+        screenshot: null,
+        mask: null,
+        errors: [],
+      };
+      const read = (rel) => fs.readFileSync(path.join(packetDir, rel));
+      const attempt = (exhibit, fn) => {
+        try {
+          fn();
+        } catch (e) {
+          const msg = e && e.message ? e.message : String(e);
+          diff.errors.push({ exhibit, error: msg });
+          emit({ event: "step_diff.error", from_step: prev.step_index, to_step: next.step_index, exhibit, error: msg });
+        }
+      };
 
-    // ---- Manifest build (deterministic) ----
-    const manifest = {
-      run_id: runId,
-      created_at_utc: nowIso(),
-      files: [],
-    };
+      attempt("ax", () => {
+        const [a, b] = [prev.ax, next.ax].map((rel) => JSON.parse(read(rel).toString("utf-8")));
+        if (a.error || b.error) throw new Error("AX snapshot not recorded for one of the steps");
+        diff.ax = diffAx(a, b);
+      });
+      attempt("html", () => {
+        diff.html = diffHtml(read(prev.html).toString("utf-8"), read(next.html).toString("utf-8"));
+      });
+      attempt("screenshot", () => {
+        const r = diffScreenshots(read(prev.screenshot), read(next.screenshot));
+        ensureDir(path.join(packetDir, EXHIBITS_BY_STEP, "diff"));
+        fs.writeFileSync(path.join(packetDir, relMask), r.mask);
+        diff.screenshot = r.summary;
+        diff.mask = relMask;
+      });
 
-    function walk(dirAbs) {
-      const entries = fs.readdirSync(dirAbs, { withFileTypes: true });
-      for (const ent of entries) {
-        const abs = path.join(dirAbs, ent.name);
-        const rel = path.relative(runDir, abs).replace(/\\/g, "/");
-
-        // Skip temp and seal outputs while building
-        if (rel.startsWith("video_temp/")) continue;
-        if (rel === "manifest.json") continue;
-        if (rel === "packet_hash.txt") continue;
-
-        if (ent.isDirectory()) {
-          walk(abs);
-        } else if (ent.isFile()) {
-          manifest.files.push({
-            path: rel,
-            sha256: sha256File(abs),
-            size_bytes: statSize(abs),
-          });
-        }
+      try {
+        ensureDir(path.join(packetDir, EXHIBITS_BY_STEP, "diff"));
+        writeJson(path.join(packetDir, relDiff), diff);
+        stepDiffs.push({ from_step: diff.from_step, to_step: diff.to_step, diff: relDiff, mask: diff.mask });
+        // Counts only; the report renders from run_metadata.json
+        runMetadata.step_diffs.push({
+          from_step: diff.from_step,
+          to_step: diff.to_step,
+          diff: relDiff,
+          mask: diff.mask,
+          ax: diff.ax && {
+            added: diff.ax.added_total,
+            removed: diff.ax.removed_total,
+            changed: diff.ax.changed_total,
+            focus_moved: diff.ax.focus.moved,
+          },
+          html: diff.html && {
+            elements_added: diff.html.elements_added,
+            elements_removed: diff.html.elements_removed,
+            text_identical: diff.html.text_identical,
+          },
+          pixel_difference_ratio: diff.screenshot ? diff.screenshot.pixel_difference_ratio : null,
+          errors: diff.errors.length,
+        });
+        emit({ event: "step_diff.recorded", from_step: diff.from_step, to_step: diff.to_step, diff: relDiff });
+      } catch (e) {
+        emit({ event: "step_diff.error", from_step: diff.from_step, to_step: diff.to_step, error: e && e.message ? e.message : String(e) });
+        failRun(`Step diff not written: ${relDiff}`, "ArtifactError");
       }
     }
 
-    try {
-      walk(runDir);
-    } catch (e) {
-      runStatus = "error";
-      runError = runError || (e && e.message ? e.message : String(e));
-      runMetadata.status = runStatus;
-      runMetadata.error = runError;
-      writeJson(runMetadataPath, runMetadata);
-    }
-
-    // Sort files deterministically
-    manifest.files.sort((a, b) => a.path.localeCompare(b.path));
-
-    // Write manifest deterministically and hash its exact bytes
-    const manifestBytes = Buffer.from(stableStringify(manifest, 2), "utf-8");
-    fs.writeFileSync(manifestPath, manifestBytes);
-
-    const packetHash = sha256Bytes(manifestBytes);
-    fs.writeFileSync(packetHashPath, packetHash + "\n", "utf-8");
-
-    // Final metadata write links packet hash
-    runMetadata.packet_hash = packetHash;
-    runMetadata.status = runStatus;
-    runMetadata.error = runError || null;
-    writeJson(runMetadataPath, runMetadata);
+    runMetadata.artifacts.video_webm = videoRel ? PACKET_FILES.video_webm : null;
 
-    // ---- Required artifact assertions (hard compliance gate) ----
+    // ---- Required artifact assertions (hard compliance gate, before sealing) ----
     try {
       // Required directories
-      assertRequiredFile(runDir, "run_dir");
+      assertRequiredFile(packetDir, "packet_dir");
+      assertRequiredFile(reportDir, TIER_REPORT);
+      assertRequiredFile(exhibitsDir, TIER_EXHIBITS);
+      assertRequiredFile(verificationDir, TIER_VERIFICATION);
       assertRequiredFile(screenshotsDir, "screenshots_dir");
       assertRequiredFile(htmlDir, "screenshots/html_dir");
       assertRequiredFile(axDir, "screenshots/ax_dir");
 
       // Required files
+      assertRequiredFile(flowPlanPath, "flow_plan.sealed.json");
       assertRequiredFile(journalPath, "journal.ndjson");
       assertRequiredFile(runMetadataPath, "run_metadata.json");
       assertRequiredFile(interactionLogPath, "interaction_log.json");
       assertRequiredFile(evidenceIndexPath, "evidence_index.json");
+      assertRequiredFile(focusSequencePath, "focus_sequence.json");
       assertRequiredFile(consoleLogPath, "console.json");
-      assertRequiredFile(harPath, "network.har");
-      assertRequiredFile(tracePath, "trace.zip");
-      assertRequiredFile(manifestPath, "manifest.json");
-      assertRequiredFile(packetHashPath, "packet_hash.txt");
+      assertRequiredFile(thirdPartyDomainsPath, "third_party_domains.json");
+
+      // Browser capture artifacts only exist once a context was created (not for policy rejections)
+      if (context) {
+        assertRequiredFile(harPath, "network.har");
+        assertRequiredFile(tracePath, "trace.zip");
 
-      // Video is required per spec, enforce
-      if (!videoRel) {
-        throw new Error("REQUIRED ARTIFACT MISSING: video.webm (no unique video saved)");
+        // Video is required per spec, enforce
+        if (!videoRel) {
+          throw new Error("REQUIRED ARTIFACT MISSING: video.webm (no unique video saved)");
+        }
+        assertRequiredFile(videoPath, "video.webm");
       }
-      assertRequiredFile(path.join(runDir, "video.webm"), "video.webm");
     } catch (e) {
-      runStatus = "error";
-      runError = runError || (e && e.message ? e.message : String(e));
+      failRun(e && e.message ? e.message : String(e), "ArtifactError");
+      emit({ event: "artifact.assertion_failed", error: e && e.message ? e.message : String(e) });
+    }
+
+    // The plan committed before launch must be byte-identical at seal time
+    const planShaAtSeal = sha256File(committedPlanPath);
+    if (planShaAtSeal !== planSha256) {
+      failRun(
+        `Sealed flow plan changed during run (committed ${planSha256}, found ${planShaAtSeal}).`,
+        "IntegrityError"
+      );
+      emit({ event: "plan.mismatch", committed_sha256: planSha256, found_sha256: planShaAtSeal });
+    }
+
+    // Emit end event and flush journal: nothing may be written to sealed files after this point
+    emit({ event: "run.end", status: runStatus, error: runError });
+    await new Promise((resolve) => journal.end(resolve));
+    if (restrictedJournal) await new Promise((resolve) => restrictedJournal.end(resolve));
+
+    // Redaction ledger: written once the journal is final, so every redaction is listed.
+    // An original is kept only for an artifact that was actually redacted.
+    try {
+      const ledgerArtifacts = [...redactor.artifacts].map(([rel, entries]) => ({
+        path: rel,
+        kind:
+          rel === PACKET_FILES.journal_ndjson
+            ? "journal"
+            : rel === PACKET_FILES.flow_plan_sealed
+              ? "plan"
+              : rel.endsWith(".html")
+                ? "html"
+                : "ax",
+        original: restrictedPath(rel),
+        entries,
+      }));
+      const journalRedacted = redactor.artifacts.has(PACKET_FILES.journal_ndjson);
+      if (restrictedJournal && !journalRedacted) fs.rmSync(restrictedJournalPath);
+
+      const restrictedDir = path.join(packetDir, TIER_RESTRICTED);
+      if (ledgerArtifacts.length) {
+        fs.writeFileSync(path.join(packetDir, PACKET_FILES.redaction_salt), redactor.salt + "\n", "utf-8");
+      } else {
+        fs.rmSync(restrictedDir, { recursive: true, force: true });
+      }
+
+      writeJson(redactionLedgerPath, {
+        profile: redactor.profile,
+        rules: redactor.rules,
+        original_sha256: "sha256(salt || original value); text as UTF-8, other JSON values as JSON text",
+        salt: ledgerArtifacts.length ? PACKET_FILES.redaction_salt : null,
+        restricted_journal_chain_head: journalRedacted ? restrictedChain.state().head : null,
+        not_redacted: [
+          `${EXHIBITS_BY_STEP}/**/*.png`,
+          `${EXHIBITS_BY_STEP}/mirror/resources/*`,
+          PACKET_FILES.video_webm,
+          PACKET_FILES.trace_zip,
+          PACKET_FILES.network_har,
+          PACKET_FILES.console_json,
+          PACKET_FILES.interaction_log,
+        ],
+        artifacts: ledgerArtifacts,
+      });
+
+      const counts = { ax: 0, html: 0, journal: 0, plan: 0 };
+      for (const a of ledgerArtifacts) counts[a.kind] += a.entries.length;
+      runMetadata.redaction.entries = counts;
+      runMetadata.redaction.restricted_files = fs.existsSync(restrictedDir)
+        ? hashTree(restrictedDir).map((f) => `${TIER_RESTRICTED}/${f.path}`)
+        : [];
+    } catch (e) {
+      failRun(e && e.message ? e.message : String(e), "ArtifactError");
+      console.error("REDACTION LEDGER ERROR:", e && e.message ? e.message : String(e));
+    }
+
+    // Terms list the reports are rendered with, sealed so the verifier re-renders with the same list
+    let forbiddenTerms = null;
+    try {
+      forbiddenTerms = loadForbiddenTerms();
+      writeJson(reportTermsPath, { report_format: REPORT_FORMAT, terms: forbiddenTerms });
+    } catch (e) {
+      console.error("REPORT ERROR: forbidden terms list could not be loaded:", e && e.message ? e.message : String(e));
+      process.exitCode = 1;
+    }
+
+    // Final metadata write (sealed by manifest_core.json)
+    runMetadata.journal_chain = journalChain.state();
+    runMetadata.status = runStatus;
+    runMetadata.error = runError || null;
+    runMetadata.error_type = runErrorType;
+    writeJson(runMetadataPath, runMetadata);
+
+    // ---- Seal (deterministic, non-circular) ----
+    // manifest_core.json lists every packet file except the seal files;
+    // packet_hash.txt = sha256(manifest_core.json bytes);
+    // manifest.json = manifest_core entries + the seal entries, so it covers every tier.
+    let coreFiles = [];
+    try {
+      coreFiles = hashTree(packetDir, SEAL_FILES);
+    } catch (e) {
+      failRun(e && e.message ? e.message : String(e), "IntegrityError");
       runMetadata.status = runStatus;
       runMetadata.error = runError;
+      runMetadata.error_type = runErrorType;
       writeJson(runMetadataPath, runMetadata);
-      emit({ event: "artifact.assertion_failed", error: runError });
+      console.error("SEAL ERROR: packet tree could not be hashed:", runError);
     }
 
-    // Emit end events
-    emit({ event: "packet.sealed", manifest: "manifest.json", packet_hash: packetHash });
-    emit({ event: "run.end", status: runStatus, error: runError });
+    // Resource map (flow "mirror"): one entry per URL and bundled body, with the steps that referenced it
+    const mirrorResourceMap = plan.mirror
+      ? [...mirrorResources.values()].sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0) || String(a.sha256).localeCompare(String(b.sha256)))
+      : null;
 
-    // Flush journal
-    await new Promise((resolve) => journal.end(resolve));
+    const createdAt = nowIso();
+    const manifestCoreBytes = writeStableJson(manifestCorePath, {
+      run_id: runId,
+      created_at_utc: createdAt,
+      flow_plan_sha256: planSha256,
+      journal_chain_head: journalChain.state().head,
+      replay_of: replay ? replay.ref : null,
+      mirror_resources: mirrorResourceMap,
+      step_diffs: stepDiffs,
+      files: coreFiles,
+    });
+
+    const packetHash = sha256Bytes(manifestCoreBytes);
+    fs.writeFileSync(packetHashPath, packetHash + "\n", "utf-8");
+
+    // ---- Post-seal documents (rendered only from the sealed artifacts on disk) ----
+    let sealedArtifacts = null;
+    try {
+      sealedArtifacts = {
+        runMetadata: readJson(runMetadataPath),
+        interactionLog: readJson(interactionLogPath),
+        evidenceIndex: readJson(evidenceIndexPath),
+        consoleEvents: readJson(consoleLogPath),
+        thirdPartyDomains: readJson(thirdPartyDomainsPath),
+        packetHash,
+      };
+    } catch (e) {
+      console.error("REPORT ERROR: sealed artifacts could not be read:", e && e.message ? e.message : String(e));
+      process.exitCode = 1;
+    }
+
+    if (sealedArtifacts && forbiddenTerms) {
+      for (const [absPath, render] of [
+        [statusPath, renderStatus],
+        [executionReportPath, renderExecutionReport],
+      ]) {
+        try {
+          fs.writeFileSync(absPath, render(sealedArtifacts, forbiddenTerms), "utf-8");
+        } catch (e) {
+          console.error(`REPORT ERROR: ${path.basename(absPath)} not written:`, e && e.message ? e.message : String(e));
+          process.exitCode = 1;
+        }
+      }
+    }
+
+    const sealEntries = SEAL_FILES.filter((rel) => rel !== PACKET_FILES.manifest)
+      .filter((rel) => fs.existsSync(path.join(packetDir, rel)))
+      .map((rel) => {
+        const abs = path.join(packetDir, rel);
+        return { path: rel, sha256: sha256File(abs), size_bytes: statSize(abs) };
+      });
+
+    writeStableJson(manifestPath, {
+      run_id: runId,
+      created_at_utc: createdAt,
+      packet_hash: packetHash,
+      flow_plan_sha256: planSha256,
+      journal_chain_head: journalChain.state().head,
+      replay_of: replay ? replay.ref : null,
+      mirror_resources: mirrorResourceMap,
+      step_diffs: stepDiffs,
+      manifest_core: PACKET_FILES.manifest_core,
+      files: coreFiles.concat(sealEntries).sort((a, b) => a.path.localeCompare(b.path)),
+    });
 
     console.log(`RUN COMPLETE. Status: ${String(runStatus).toUpperCase()} | Dir: ${runDir}`);
+    if (runError) console.error(`RUN ERROR (${runErrorType}): ${runError}`);
+    console.log(`PACKET HASH: ${packetHash}`);
 
     if (runStatus === "error") process.exitCode = 1;
   }
@@ -1,71 +1,115 @@
 const { chromium } = require('playwright');
 const fs = require('fs-extra');
-const crypto = require('crypto');
 const path = require('path');
+const { GENESIS_HASH, chainEntry } = require('./lib/journal_chain');
+const { sha256Bytes } = require('./lib/packet_io');
+const { resolveProfile, contextOptions } = require('./lib/device_profiles');
+const { installMutationCounter, normalizeSettlePolicy, trackNetwork, settlePage } = require('./lib/settle');
+const { normalizeRedactionProfile, createRedactor } = require('./lib/redaction');
+const { recordResponses, buildMirror } = require('./lib/mirror');
+const { normalizeCssAllowlist, captureComputedStyles } = require('./lib/computed_styles');
+
+// allowed_selectors entries may be plain selector strings or { id } objects (id is the selector)
+function normalizeAllowedSelectors(list) {
+    if (!Array.isArray(list)) throw new Error('allowed_selectors must be an array');
+    return list.map((s, i) => {
+        const selector = typeof s === 'string' ? s : (s && typeof s.id === 'string' ? s.id : null);
+        if (!selector || !selector.trim()) {
+            throw new Error(`allowed_selectors[${i}] must be a selector string or { id: <selector> }`);
+        }
+        return selector.trim();
+    });
+}
 
 class SKUAEngine {
     constructor(manifest) {
         this.manifest = manifest; 
-        this.prevHash = manifest.hash || '00000000000000000000000000000000';
-        this.allowedSelectors = new Set(manifest.allowed_selectors.map(s => s.id));
-        this.denylist = new Set(['name', 'value', 'description', 'help', 'url', 'text', 'title', 'placeholder', 'ariaLabel']);
+        this.prevHash = manifest.hash || GENESIS_HASH;
+        this.allowedSelectorList = normalizeAllowedSelectors(manifest.allowed_selectors);
+        this.allowedSelectors = new Set(this.allowedSelectorList);
+        this.settlePolicy = normalizeSettlePolicy(manifest.settle, 'manifest.settle');
+        // manifest.redaction names a lib/redaction.js profile; skua_denylist is the engine's original AX denylist
+        this.redactor = createRedactor(normalizeRedactionProfile(manifest.redaction || 'skua_denylist', 'manifest.redaction'));
+        this.cssAllowlist = normalizeCssAllowlist(manifest.css_allowlist, 'manifest.css_allowlist');
         this.outputDir = path.join('artifacts', `${manifest.matter_id}_${Date.now()}`);
         fs.ensureDirSync(this.outputDir);
+        // Journaled redaction hashes are salted. The salt is withheld from the published output (a
+        // sibling directory, never sealed or shared), so the journal alone cannot confirm a guessed value.
+        this.restrictedDir = `${this.outputDir}_restricted`;
+        fs.ensureDirSync(this.restrictedDir);
+        fs.writeFileSync(path.join(this.restrictedDir, 'redaction_salt.txt'), this.redactor.salt + '\n');
     }
     async initialize() {
         this.browser = await chromium.launch({ headless: true });
+        // manifest.profile (id or object, see lib/device_profiles.js) takes precedence over manifest.viewport
+        const device = this.manifest.profile !== undefined
+            ? contextOptions(resolveProfile(this.manifest.profile, 'manifest.profile'))
+            : { viewport: this.manifest.viewport };
         this.context = await this.browser.newContext({ 
             userAgent: "AccessForensics/SKU-A-Forensic-Observer/4.5.0", 
-            viewport: this.manifest.viewport, 
+            ...device,
             ignoreHTTPSErrors: true 
         });
         this.page = await this.context.newPage();
-        await this.page.addInitScript(() => {
-            window.__af_mutations = 0;
-            const observer = new MutationObserver(() => window.__af_mutations++);
-            observer.observe(document, { attributes: true, childList: true, subtree: true });
-        });
+        await this.page.addInitScript(installMutationCounter);
+        this.network = trackNetwork(this.page);
+        this.responses = recordResponses(this.page);
     }
+    // Self-contained mirror (lib/mirror.js) under mirror/: shadow roots and same-origin iframes
+    // serialized, resources bundled from the recorded responses; the resource map is mirror_manifest.json
     async captureMirror() {
-        await this.waitForSettled();
-        let content = await this.page.content();
-        const baseUrl = this.manifest.url;
-        content = content.replace('<head>', `<head><base href="${baseUrl}">`);
-        fs.writeFileSync(path.join(this.outputDir, 'verification_mirror.html'), content);
-        return content;
+        const settle = await this.waitForSettled();
+        const mirrorDir = path.join(this.outputDir, 'mirror');
+        const mirror = await buildMirror(this.page, this.responses, { outDir: mirrorDir });
+        const redacted = this.redactor.redactHtml(mirror.html, 'mirror/verification_mirror.html');
+        fs.writeFileSync(path.join(mirrorDir, 'verification_mirror.html'), redacted.html);
+        fs.writeJsonSync(path.join(mirrorDir, 'mirror_manifest.json'), {
+            url: this.manifest.url,
+            page_url: this.page.url(),
+            captured_at_utc: new Date().toISOString(),
+            settle,
+            mirror: { path: 'verification_mirror.html', sha256: sha256Bytes(Buffer.from(redacted.html, 'utf-8')) },
+            stats: mirror.stats,
+            frames_not_mirrored: mirror.frames_not_mirrored,
+            resources: mirror.resources
+        }, { spaces: 2 });
+        fs.writeJsonSync(path.join(this.outputDir, 'redaction_ledger.json'), {
+            profile: this.redactor.profile,
+            artifacts: [{ path: 'mirror/verification_mirror.html', kind: 'html', entries: redacted.entries }]
+        }, { spaces: 2 });
+        return redacted.html;
     }
-    async captureStep(selector) {
+    // Journals one observation of selector. An absent node is journaled too (ax_tree null),
+    // so a negative observation is as verifiable as a positive one.
+    async captureStep(selector, observation = {}) {
         const node = await this.page.$(selector);
-        if (!node) return null;
-        const axSnapshot = await this.page.accessibility.snapshot({ root: node });
-        this._redactRecursive(axSnapshot);
-        const telemetry = { timestamp: new Date().toISOString(), selector, ax_tree: axSnapshot };
-        const canonical = JSON.stringify(telemetry, Object.keys(telemetry).sort());
-        const hash = crypto.createHash('sha256').update(this.prevHash + canonical).digest('hex');
-        const entry = { prev_hash: this.prevHash, data: telemetry, hash };
-        this.prevHash = hash;
+        let axSnapshot = null;
+        let redactions = [];
+        let styles = null;
+        if (node) {
+            const redacted = this.redactor.redactJson(await this.page.accessibility.snapshot({ root: node }), 'journal.ndjson', { basePath: '$.ax_tree' });
+            axSnapshot = redacted.value;
+            redactions = redacted.entries;
+            // Allow-listed computed styles and boxes of the selector's elements (lib/computed_styles.js)
+            if (this.cssAllowlist) {
+                styles = await captureComputedStyles(this.page, { properties: this.cssAllowlist, scope: selector });
+            }
+        }
+        const telemetry = {
+            timestamp: new Date().toISOString(), selector, present: !!node, ...observation,
+            ax_tree: axSnapshot, ...(this.cssAllowlist ? { styles } : {}),
+            redaction: { profile: this.redactor.profile, entries: redactions }
+        };
+        // Same chain rule as the executor journal, so tools/verify_journal.js checks both
+        const entry = chainEntry(this.prevHash, telemetry);
+        this.prevHash = entry.hash;
         fs.appendFileSync(path.join(this.outputDir, 'journal.ndjson'), JSON.stringify(entry) + '\n');
         return entry;
     }
-    async waitForSettled(timeout = 10000) {
-        const start = Date.now();
-        let lastCount = await this.page.evaluate(() => window.__af_mutations);
-        while (Date.now() - start < timeout) {
-            await new Promise(r => setTimeout(r, 750));
-            const currentCount = await this.page.evaluate(() => window.__af_mutations);
-            if (currentCount === lastCount) return true;
-            lastCount = currentCount;
-        }
-    }
-    _redactRecursive(node) {
-        if (!node || typeof node !== 'object') return;
-        if (Array.isArray(node)) { node.forEach(i => this._redactRecursive(i)); }
-        else {
-            for (const k of Object.keys(node)) {
-                if (this.denylist.has(k)) node[k] = "[REDACTED]";
-                else this._redactRecursive(node[k]);
-            }
-        }
+    // Same settle policy as the executor (lib/settle.js); returns the outcome, settled or not
+    async waitForSettled(policy = this.settlePolicy) {
+        return settlePage(this.page, policy, this.network);
     }
 }
-module.exports = SKUAEngine;
\ No newline at end of file
+module.exports = SKUAEngine;
+module.exports.normalizeAllowedSelectors = normalizeAllowedSelectors;
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * lib/computed_styles.js
+ * Computed-style exhibit (flow "css_allowlist" / "css_scope", triage manifest "css_allowlist").
+ *
+ * For every element exposed in the accessibility tree (or, with a scope selector, every
+ * element matched by it and their descendants) the allow-listed computed style properties
+ * and the bounding box are RECORDED as the browser reports them. Nothing is derived.
+ * Elements are identified by structural selector path (same convention as lib/focus_order.js).
+ */
+
+"use strict";
+
+// Standard property names (lowercase, hyphenated) or custom properties (--name)
+const CSS_PROPERTY_RE = /^(?:--[A-Za-z0-9_-]+|-?[a-z]+(?:-[a-z0-9]+)*)$/;
+
+/**
+ * Validates an allow-list. Returns the property names (deduplicated, order kept) or null.
+ */
+function normalizeCssAllowlist(decl, where = "css_allowlist") {
+  if (decl === undefined || decl === null) return null;
+  if (!Array.isArray(decl) || decl.length === 0) throw new Error(`${where} must be a non-empty array of CSS property names.`);
+  decl.forEach((p, i) => {
+    if (typeof p !== "string" || !CSS_PROPERTY_RE.test(p)) {
+      throw new Error(`${where}[${i}] must be a CSS property name (e.g. "color", "outline-style").`);
+    }
+  });
+  return [...new Set(decl)];
+}
+
+// Runs in the page with `this` (or el) bound to an element. Returns null for non-elements.
+function describeStyledElement(el, properties) {
+  if (!el || el.nodeType !== 1) return null;
+
+  function structuralPath(node) {
+    const parts = [];
+    let cur = node;
+    while (cur && cur.nodeType === 1) {
+      let part = cur.localName;
+      const parent = cur.parentElement || (cur.parentNode && cur.parentNode.nodeType === 11 ? cur.parentNode : null);
+      if (parent) {
+        const same = Array.from(parent.children).filter((c) => c.localName === cur.localName);
+        if (same.length > 1) part += `:nth-of-type(${same.indexOf(cur) + 1})`;
+      }
+      parts.unshift(part);
+      cur = cur.parentElement;
+    }
+    return parts.join(" > ");
+  }
+
+  const segments = [];
+  let cur = el;
+  while (cur) {
+    segments.unshift(structuralPath(cur));
+    const root = cur.getRootNode();
+    cur = root && root.host ? root.host : null;
+  }
+
+  const rect = el.getBoundingClientRect();
+  const cs = getComputedStyle(el);
+  const styles = {};
+  for (const p of properties) styles[p] = cs.getPropertyValue(p);
+
+  return {
+    tag: el.localName,
+    selector_path: segments.join(" >>> "),
+    bounding_box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+    styles,
+  };
+}
+
+// Runs in the page: every element matched by scope (through open shadow roots) and its descendants
+function collectScopedStyles({ scope, properties }, describe) {
+  const seen = new Set();
+  const out = [];
+  let matchCount = 0;
+
+  function walk(el) {
+    if (seen.has(el)) return;
+    seen.add(el);
+    out.push(describe(el, properties));
+    if (el.shadowRoot) for (const c of Array.from(el.shadowRoot.children)) walk(c);
+    for (const c of Array.from(el.children)) walk(c);
+  }
+
+  for (const el of Array.from(document.querySelectorAll(scope))) {
+    matchCount++;
+    walk(el);
+  }
+  return { match_count: matchCount, elements: out };
+}
+
+/**
+ * Records the allow-listed computed styles. Returns { source, scope, scope_match_count,
+ * properties, element_count, elements }; AX-tree elements carry their AX role.
+ */
+async function captureComputedStyles(page, { properties, scope = null }) {
+  const describeSource = describeStyledElement.toString();
+
+  if (scope !== null) {
+    // Composed as one expression so describe needs no in-page eval (pages may forbid it by CSP)
+    const r = await page.evaluate(`(${collectScopedStyles})(${JSON.stringify({ scope, properties })}, ${describeSource})`);
+    return {
+      source: "scope",
+      scope,
+      scope_match_count: r.match_count,
+      properties,
+      element_count: r.elements.length,
+      elements: r.elements,
+    };
+  }
+
+  // Every non-ignored AX node backed by a DOM element, in AX tree order
+  const session = await page.context().newCDPSession(page);
+  const objectGroup = "af-computed-styles";
+  try {
+    const { nodes } = await session.send("Accessibility.getFullAXTree");
+    const elements = [];
+    const seen = new Set();
+    for (const node of nodes) {
+      if (node.ignored || !node.backendDOMNodeId || seen.has(node.backendDOMNodeId)) continue;
+      seen.add(node.backendDOMNodeId);
+      let object;
+      try {
+        ({ object } = await session.send("DOM.resolveNode", { backendNodeId: node.backendDOMNodeId, objectGroup }));
+      } catch (_) {
+        continue; // node detached between the tree read and the resolve
+      }
+      if (!object || !object.objectId) continue;
+      const { result } = await session.send("Runtime.callFunctionOn", {
+        objectId: object.objectId,
+        functionDeclaration: `function (properties) { return (${describeSource})(this, properties); }`,
+        arguments: [{ value: properties }],
+        returnByValue: true,
+      });
+      if (result && result.value) {
+        elements.push({ ax_node_id: node.nodeId, role: node.role ? node.role.value : null, ...result.value });
+      }
+    }
+    return { source: "ax_tree", scope: null, scope_match_count: null, properties, element_count: elements.length, elements };
+  } finally {
+    await session.send("Runtime.releaseObjectGroup", { objectGroup }).catch(() => {});
+    await session.detach().catch(() => {});
+  }
+}
+
+module.exports = {
+  normalizeCssAllowlist,
+  captureComputedStyles,
+};
@@ -0,0 +1,110 @@
+/**
+ * lib/device_profiles.js
+ * Viewport / device profiles for matrix runs (flow "profiles") and SKUAEngine.
+ *
+ * A profile entry is a built-in id ("desktop", "reflow_320", "mobile_touch", "zoom_200",
+ * "zoom_400") or an object { id, base?, viewport?, device_scale_factor?, is_mobile?,
+ * has_touch?, user_agent? } whose fields override the base (default "desktop").
+ *
+ * Zoom profiles emulate browser zoom the way the layout sees it: the CSS viewport is the
+ * desktop viewport divided by the zoom factor, rendered at deviceScaleFactor = zoom factor.
+ */
+
+"use strict";
+
+const DEVICE_PROFILES = {
+  desktop: { viewport: { width: 1366, height: 768 }, device_scale_factor: 1, is_mobile: false, has_touch: false },
+  // 320 CSS px wide: the reflow width (1280 px at 400%)
+  reflow_320: { viewport: { width: 320, height: 480 }, device_scale_factor: 1, is_mobile: false, has_touch: false },
+  mobile_touch: { viewport: { width: 390, height: 844 }, device_scale_factor: 3, is_mobile: true, has_touch: true },
+  zoom_200: { viewport: { width: 683, height: 384 }, device_scale_factor: 2, is_mobile: false, has_touch: false },
+  zoom_400: { viewport: { width: 342, height: 192 }, device_scale_factor: 4, is_mobile: false, has_touch: false },
+};
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function positiveNumber(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+/**
+ * Resolves one profile entry to { id, viewport, device_scale_factor, is_mobile, has_touch, user_agent }.
+ * Throws with the entry's position on anything unrecognized.
+ */
+function resolveProfile(entry, where = "profile") {
+  if (typeof entry === "string") {
+    if (!DEVICE_PROFILES[entry]) {
+      throw new Error(`${where}: unknown profile "${entry}" (built-in: ${Object.keys(DEVICE_PROFILES).join(", ")}).`);
+    }
+    return { id: entry, ...DEVICE_PROFILES[entry], user_agent: null };
+  }
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error(`${where}: expected a profile id or object.`);
+  }
+  if (typeof entry.id !== "string" || !PROFILE_ID_PATTERN.test(entry.id)) {
+    throw new Error(`${where}.id must match ${PROFILE_ID_PATTERN}.`);
+  }
+  const baseId = entry.base === undefined ? "desktop" : entry.base;
+  if (!DEVICE_PROFILES[baseId]) throw new Error(`${where}.base: unknown profile "${baseId}".`);
+
+  const profile = { id: entry.id, ...DEVICE_PROFILES[baseId], user_agent: null };
+  if (entry.viewport !== undefined) {
+    if (!entry.viewport || !positiveNumber(entry.viewport.width) || !positiveNumber(entry.viewport.height)) {
+      throw new Error(`${where}.viewport must be { width, height } with positive numbers.`);
+    }
+    profile.viewport = { width: entry.viewport.width, height: entry.viewport.height };
+  }
+  if (entry.device_scale_factor !== undefined) {
+    if (!positiveNumber(entry.device_scale_factor)) throw new Error(`${where}.device_scale_factor must be a positive number.`);
+    profile.device_scale_factor = entry.device_scale_factor;
+  }
+  for (const key of ["is_mobile", "has_touch"]) {
+    if (entry[key] !== undefined) {
+      if (typeof entry[key] !== "boolean") throw new Error(`${where}.${key} must be a boolean.`);
+      profile[key] = entry[key];
+    }
+  }
+  if (entry.user_agent !== undefined) {
+    if (typeof entry.user_agent !== "string" || !entry.user_agent) throw new Error(`${where}.user_agent must be a string.`);
+    profile.user_agent = entry.user_agent;
+  }
+  return profile;
+}
+
+/**
+ * Resolves a flow's profiles array. Ids must be unique (each names a child packet directory).
+ */
+function resolveProfiles(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("profiles must be a non-empty array.");
+  }
+  const resolved = entries.map((e, i) => resolveProfile(e, `profiles[${i}]`));
+  const seen = new Set();
+  for (const p of resolved) {
+    if (seen.has(p.id)) throw new Error(`profiles: duplicate id "${p.id}".`);
+    seen.add(p.id);
+  }
+  return resolved;
+}
+
+/**
+ * Playwright newContext options for a profile.
+ */
+function contextOptions(profile) {
+  const opts = {
+    viewport: profile.viewport,
+    deviceScaleFactor: profile.device_scale_factor,
+    isMobile: profile.is_mobile,
+    hasTouch: profile.has_touch,
+  };
+  if (profile.user_agent) opts.userAgent = profile.user_agent;
+  return opts;
+}
+
+module.exports = {
+  DEVICE_PROFILES,
+  resolveProfile,
+  resolveProfiles,
+  contextOptions,
+};
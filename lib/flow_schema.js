@@ -0,0 +1,98 @@
+/**
+ * lib/flow_schema.js
+ * Flow validation (docs/flow.schema.json) shared by ect.js startup and tools/lint_flow.js.
+ *
+ * lintFlow() returns every problem, never only the first: schema errors, then the
+ * cross-field rules the schema cannot state (unique profile ids, URLs that must parse,
+ * wait_for_url patterns that must compile). Each problem is { path, message } with a
+ * JSON path such as $.steps[2].timeout_ms. Capture policy is not checked here.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadSchema, validateSchema } = require("./json_schema");
+
+const FLOW_SCHEMA_PATH = path.join(__dirname, "..", "docs", "flow.schema.json");
+
+let cachedSchema = null;
+
+function flowSchema() {
+  if (!cachedSchema) cachedSchema = loadSchema(FLOW_SCHEMA_PATH);
+  return cachedSchema;
+}
+
+function ruleProblems(flow) {
+  const problems = [];
+  if (!flow || typeof flow !== "object" || Array.isArray(flow)) return problems;
+
+  if (typeof flow.start_url === "string") {
+    try {
+      new URL(flow.start_url);
+    } catch (_) {
+      problems.push({ path: "$.start_url", message: "is not an absolute URL" });
+    }
+  }
+
+  if (Array.isArray(flow.profiles)) {
+    const seen = new Map();
+    flow.profiles.forEach((p, i) => {
+      const id = typeof p === "string" ? p : p && typeof p === "object" ? p.id : undefined;
+      if (typeof id !== "string") return;
+      const at = typeof p === "string" ? `$.profiles[${i}]` : `$.profiles[${i}].id`;
+      if (seen.has(id)) problems.push({ path: at, message: `duplicates the id of $.profiles[${seen.get(id)}] ("${id}")` });
+      else seen.set(id, i);
+    });
+  }
+
+  if (Array.isArray(flow.steps)) {
+    flow.steps.forEach((s, i) => {
+      if (!s || typeof s !== "object" || typeof s.url !== "string" || !s.url) return;
+      if (s.type === "wait_for_url" && s.match === "regex") {
+        try {
+          new RegExp(s.url);
+        } catch (e) {
+          problems.push({ path: `$.steps[${i}].url`, message: `is not a valid regular expression (${e.message})` });
+        }
+      }
+      // A relative URL resolves against the page at run time; an absolute one must be http(s) now
+      if (s.type === "navigate" && /^[A-Za-z][A-Za-z0-9+.-]*:/.test(s.url) && !/^https?:/i.test(s.url)) {
+        problems.push({ path: `$.steps[${i}].url`, message: "must be an http(s) URL or relative to the current page" });
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Returns every problem in a parsed flow ([] when valid).
+ */
+function lintFlow(flow) {
+  return validateSchema(flowSchema(), flow).concat(ruleProblems(flow));
+}
+
+/**
+ * Reads and lints one flow file. A file that does not parse is one problem at $.
+ */
+function lintFlowFile(flowPath) {
+  let flow;
+  try {
+    flow = JSON.parse(fs.readFileSync(flowPath, "utf-8").replace(/^\uFEFF/, ""));
+  } catch (e) {
+    return [{ path: "$", message: `could not parse flow JSON (${e && e.message ? e.message : String(e)})` }];
+  }
+  return lintFlow(flow);
+}
+
+function formatProblem(p) {
+  return `${p.path}: ${p.message}`;
+}
+
+module.exports = {
+  FLOW_SCHEMA_PATH,
+  lintFlow,
+  lintFlowFile,
+  formatProblem,
+};
@@ -0,0 +1,225 @@
+/**
+ * lib/focus_order.js
+ * Keyboard focus-order observation for the tab step (focus_sequence.json).
+ *
+ * After each Tab press the focused element is RECORDED: structural selector path,
+ * AX role, sha256 of the AX name (the name itself is never stored), bounding box and
+ * the computed focus styles. Two patterns are derived mechanically from the sequence:
+ *   - focus on body: document.activeElement is <body> (or nothing) after a press
+ *   - focus trap: an element recurs without focus passing through <body>, and the
+ *     cycle holds at least two and fewer elements than the document's tabbable count
+ * Focus inside an iframe is followed into the frame, so focus moving within one frame
+ * is not read as its <iframe> element recurring.
+ */
+
+"use strict";
+
+const { sha256Bytes } = require("./packet_io");
+
+// Runs in the page. Full structural path from <html> (never id shortcuts) so that cycle
+// members share a comparable prefix; shadow-root boundaries are joined with " >>> ".
+function describeFocusedElement(el) {
+  function structuralPath(node) {
+    const parts = [];
+    let cur = node;
+    while (cur && cur.nodeType === 1) {
+      let part = cur.localName;
+      const parent = cur.parentElement || (cur.parentNode && cur.parentNode.nodeType === 11 ? cur.parentNode : null);
+      if (parent) {
+        const same = Array.from(parent.children).filter((c) => c.localName === cur.localName);
+        if (same.length > 1) part += `:nth-of-type(${same.indexOf(cur) + 1})`;
+      }
+      parts.unshift(part);
+      cur = cur.parentElement;
+    }
+    return parts.join(" > ");
+  }
+
+  const segments = [];
+  let cur = el;
+  while (cur) {
+    segments.unshift(structuralPath(cur));
+    const root = cur.getRootNode();
+    cur = root && root.host ? root.host : null;
+  }
+
+  const rect = el.getBoundingClientRect();
+  const cs = getComputedStyle(el);
+  const outlineWidthPx = parseFloat(cs.outlineWidth) || 0;
+  const outlineDrawn = cs.outlineStyle !== "none" && outlineWidthPx > 0;
+  const boxShadowDrawn = cs.boxShadow !== "none";
+
+  let focusVisible = null;
+  try {
+    focusVisible = el.matches(":focus-visible");
+  } catch (_) {}
+
+  return {
+    tag: el.localName,
+    selector_path: segments.join(" >>> "),
+    in_shadow_dom: segments.length > 1,
+    bounding_box: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+    focus_indicator: {
+      observed: outlineDrawn || boxShadowDrawn,
+      basis: outlineDrawn ? "outline" : boxShadowDrawn ? "box-shadow" : null,
+      outline_style: cs.outlineStyle,
+      outline_width_px: outlineWidthPx,
+      outline_color: cs.outlineColor,
+      outline_offset: cs.outlineOffset,
+      box_shadow: cs.boxShadow,
+      focus_visible_matched: focusVisible,
+    },
+  };
+}
+
+// Runs in the page. Tabbable = focusable by selector, tabIndex >= 0, not disabled, rendered.
+function countTabbable() {
+  const candidates = document.querySelectorAll(
+    "a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable]"
+  );
+  return Array.from(candidates).filter(
+    (el) =>
+      el.tabIndex >= 0 &&
+      !el.disabled &&
+      !(el.localName === "input" && el.type === "hidden") &&
+      el.getClientRects().length > 0 &&
+      getComputedStyle(el).visibility !== "hidden"
+  ).length;
+}
+
+// Runs in a frame. The deepest focused element through open shadow roots, null on <body>.
+function activeElementInFrame() {
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  return el && el !== document.body && el !== document.documentElement ? el : null;
+}
+
+// Follows a focused <iframe>/<frame> into its content frame. Returns { el, frames } with
+// frames the frame elements passed through (outermost first), or null on <body>.
+async function deepestFocus(frame) {
+  const handle = await frame.evaluateHandle(activeElementInFrame);
+  const el = handle.asElement();
+  if (!el) {
+    await handle.dispose();
+    return null;
+  }
+  if (["iframe", "frame"].includes(await el.evaluate((e) => e.localName))) {
+    const child = await el.contentFrame().catch(() => null);
+    const inner = child ? await deepestFocus(child).catch(() => null) : null;
+    if (inner) return { el: inner.el, frames: [el, ...inner.frames] };
+  }
+  return { el, frames: [] };
+}
+
+/**
+ * Reads the deepest focused element (through open shadow roots and into iframes).
+ * Returns a record without press number, timestamp or screenshot.
+ */
+async function readFocus(page) {
+  const focused = await deepestFocus(page.mainFrame());
+  if (!focused) {
+    return {
+      focus_on_body: true,
+      tag: null,
+      selector_path: null,
+      in_shadow_dom: false,
+      in_iframe: false,
+      role: null,
+      accessible_name_sha256: null,
+      accessible_name_length: null,
+      bounding_box: null,
+      focus_indicator: null,
+    };
+  }
+
+  const { el, frames } = focused;
+  try {
+    const described = await el.evaluate(describeFocusedElement);
+    const framePaths = [];
+    for (const f of frames) framePaths.push((await f.evaluate(describeFocusedElement)).selector_path);
+    // Inside a frame the in-page box is relative to that frame; Playwright's is the page viewport's
+    const box = frames.length ? await el.boundingBox() : described.bounding_box;
+    let ax = null;
+    try {
+      ax = await page.accessibility.snapshot({ root: el, interestingOnly: false });
+    } catch (_) {}
+    const name = ax && typeof ax.name === "string" && ax.name.length ? ax.name : null;
+
+    return {
+      focus_on_body: false,
+      tag: described.tag,
+      selector_path: [...framePaths, described.selector_path].join(" >>> "),
+      in_shadow_dom: described.in_shadow_dom,
+      in_iframe: frames.length > 0,
+      role: ax && ax.role ? ax.role : null,
+      accessible_name_sha256: name === null ? null : sha256Bytes(Buffer.from(name, "utf-8")),
+      accessible_name_length: name === null ? null : name.length,
+      bounding_box: box,
+      focus_indicator: described.focus_indicator,
+    };
+  } finally {
+    for (const h of [el, ...frames]) await h.dispose();
+  }
+}
+
+function commonPathPrefix(paths) {
+  const split = paths.map((p) => p.split(" > "));
+  const prefix = [];
+  for (let i = 0; i < split[0].length; i++) {
+    const seg = split[0][i];
+    if (!split.every((parts) => parts[i] === seg)) break;
+    prefix.push(seg);
+  }
+  return prefix.join(" > ") || null;
+}
+
+/**
+ * Derives focus-on-body presses and focus traps from the recorded presses.
+ */
+function analyzeFocusSequence(presses, tabbableCount) {
+  const focusOnBody = presses.filter((p) => p.focus_on_body).map((p) => p.press);
+  const focusTraps = [];
+  let seenAt = new Map();
+
+  presses.forEach((p, i) => {
+    if (p.focus_on_body) {
+      seenAt = new Map();
+      return;
+    }
+    if (seenAt.has(p.selector_path)) {
+      const first = seenAt.get(p.selector_path);
+      const cycle = presses.slice(first, i).map((c) => c.selector_path);
+      const members = Array.from(new Set(cycle));
+      const prior = focusTraps[focusTraps.length - 1];
+      // A cycle as large as the tabbable set is the whole document wrapping, not a trap;
+      // one element recurring alone is focus that did not move, not a cycle
+      if (members.length >= 2 && members.length < tabbableCount) {
+        if (prior && prior.cycle_selector_paths.join("\n") === members.join("\n")) {
+          prior.last_repeat_press = p.press;
+          prior.repeat_count++;
+        } else {
+          focusTraps.push({
+            first_press: presses[first].press,
+            repeat_press: p.press,
+            last_repeat_press: p.press,
+            repeat_count: 1,
+            cycle_length: members.length,
+            cycle_selector_paths: members,
+            common_ancestor_path: commonPathPrefix(members),
+            document_tabbable_count: tabbableCount,
+          });
+        }
+      }
+      seenAt = new Map();
+    }
+    seenAt.set(p.selector_path, i);
+  });
+
+  return { focus_on_body_presses: focusOnBody, focus_traps: focusTraps };
+}
+
+module.exports = {
+  countTabbable,
+  readFocus,
+  analyzeFocusSequence,
+};
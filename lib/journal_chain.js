@@ -0,0 +1,107 @@
+/**
+ * lib/journal_chain.js
+ * Hash-chained journal (flight recorder) shared by the executor and SKUAEngine.
+ *
+ * Every journal.ndjson line is { prev_hash, data, hash } where
+ *   hash = sha256(prev_hash + canonicalJson(data))
+ * and the first prev_hash is the seed (a manifest `hash` or GENESIS_HASH).
+ * Deleting, inserting, editing or reordering any line breaks the chain at that line.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { sha256Bytes, canonicalJson } = require("./packet_io");
+
+const GENESIS_HASH = "00000000000000000000000000000000";
+
+function chainEntry(prevHash, data) {
+  const hash = sha256Bytes(Buffer.from(prevHash + canonicalJson(data), "utf-8"));
+  return { prev_hash: prevHash, data, hash };
+}
+
+/**
+ * Stateful chain writer. write(line) receives each serialized line (including "\n").
+ */
+function createJournalChain(write, seed = GENESIS_HASH) {
+  let head = seed;
+  let length = 0;
+
+  return {
+    append(data) {
+      const entry = chainEntry(head, data);
+      write(JSON.stringify(entry) + "\n");
+      head = entry.hash;
+      length++;
+      return entry;
+    },
+    state() {
+      return { seed, head, length };
+    },
+  };
+}
+
+/**
+ * Walks journal text and reports the first broken link (1-based line numbers).
+ * The first prev_hash must equal expectedSeed (GENESIS_HASH when omitted), so lines
+ * deleted from the start break the chain at line 1 instead of re-seeding it.
+ */
+function verifyJournalText(text, expectedSeed = null) {
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  const seed = expectedSeed === null || expectedSeed === undefined ? GENESIS_HASH : expectedSeed;
+  const result = { ok: true, seed, head: null, length: 0, broken_at_line: null, reason: null };
+  let prev = seed;
+
+  function broken(lineNo, reason) {
+    result.ok = false;
+    result.broken_at_line = lineNo;
+    result.reason = reason;
+    return result;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (e) {
+      return broken(lineNo, `Line is not valid JSON: ${e.message}`);
+    }
+    if (!entry || typeof entry !== "object" || typeof entry.prev_hash !== "string" || typeof entry.hash !== "string") {
+      return broken(lineNo, "Line is not a chained entry (missing prev_hash/hash).");
+    }
+    if (!("data" in entry)) {
+      return broken(lineNo, "Line is not a chained entry (missing data).");
+    }
+
+    if (entry.prev_hash !== prev) {
+      return broken(lineNo, `prev_hash ${entry.prev_hash} does not match preceding hash ${prev}.`);
+    }
+
+    const recomputed = chainEntry(entry.prev_hash, entry.data).hash;
+    if (recomputed !== entry.hash) {
+      return broken(lineNo, `hash ${entry.hash} does not match recomputed ${recomputed}.`);
+    }
+
+    prev = entry.hash;
+    result.head = entry.hash;
+    result.length = lineNo;
+  }
+
+  if (lines.length === 0) result.head = seed;
+  return result;
+}
+
+function verifyJournalFile(filePath, expectedSeed = null) {
+  return verifyJournalText(fs.readFileSync(filePath, "utf-8"), expectedSeed);
+}
+
+module.exports = {
+  GENESIS_HASH,
+  chainEntry,
+  createJournalChain,
+  verifyJournalText,
+  verifyJournalFile,
+};
@@ -0,0 +1,184 @@
+/**
+ * lib/json_schema.js
+ * Dependency-free validator for the JSON Schema subset used by the schemas in docs/.
+ *
+ * Supported keywords: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum, $ref ("#/$defs/<name>" only), oneOf, allOf, if/then/else. Any other
+ * validation keyword is a schema error, so a schema can never silently validate less
+ * than it states.
+ *
+ * Errors are reported as { path, message } with JSON paths such as $.steps[2].selector.
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+// Keywords that annotate but never constrain
+const ANNOTATION_KEYWORDS = ["$schema", "$id", "$defs", "$comment", "title", "description", "default", "examples"];
+
+const SUPPORTED_KEYWORDS = [
+  "type",
+  "enum",
+  "const",
+  "required",
+  "properties",
+  "additionalProperties",
+  "items",
+  "minItems",
+  "maxItems",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "$ref",
+  "oneOf",
+  "allOf",
+  "if",
+  "then",
+  "else",
+];
+
+// Schemas in docs/ may be saved with a UTF-8 BOM
+function loadSchema(schemaPath) {
+  return JSON.parse(fs.readFileSync(schemaPath, "utf-8").replace(/^\uFEFF/, ""));
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function propPath(base, key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function resolveRef(root, ref) {
+  const m = /^#\/\$defs\/([^/]+)$/.exec(ref);
+  if (!m || !root.$defs || !root.$defs[m[1]]) throw new Error(`Schema error: unresolvable $ref ${ref}`);
+  return root.$defs[m[1]];
+}
+
+/**
+ * Validates value against schema. Returns an array of { path, message } (empty when valid).
+ */
+function validateSchema(schema, value) {
+  function check(node, v, at, errors) {
+    for (const key of Object.keys(node)) {
+      if (!SUPPORTED_KEYWORDS.includes(key) && !ANNOTATION_KEYWORDS.includes(key)) {
+        throw new Error(`Schema error: unsupported keyword "${key}" at ${at}`);
+      }
+    }
+
+    if (node.$ref) {
+      check(resolveRef(schema, node.$ref), v, at, errors);
+    }
+
+    if (node.type !== undefined) {
+      const types = Array.isArray(node.type) ? node.type : [node.type];
+      if (!types.some((t) => typeMatches(v, t))) {
+        errors.push({ path: at, message: `expected ${types.join(" or ")}, found ${typeOf(v)}` });
+        return;
+      }
+    }
+
+    if (node.const !== undefined && JSON.stringify(v) !== JSON.stringify(node.const)) {
+      errors.push({ path: at, message: `must equal ${JSON.stringify(node.const)}` });
+    }
+    if (node.enum && !node.enum.some((e) => JSON.stringify(e) === JSON.stringify(v))) {
+      errors.push({ path: at, message: `must be one of ${node.enum.map((e) => JSON.stringify(e)).join(", ")}` });
+    }
+
+    if (node.oneOf) {
+      const passing = node.oneOf.filter((sub) => {
+        const subErrors = [];
+        check(sub, v, at, subErrors);
+        return subErrors.length === 0;
+      });
+      if (passing.length !== 1) {
+        // Titled alternatives are named, so the message says what was expected
+        const titles = node.oneOf.map((sub) => sub.title);
+        const message = titles.every((t) => typeof t === "string")
+          ? `must match exactly one of: ${titles.join("; ")} (matched ${passing.length})`
+          : `must match exactly one schema in oneOf (matched ${passing.length})`;
+        errors.push({ path: at, message });
+      }
+    }
+
+    // Every allOf member reports its own errors (if/then members select by discriminator)
+    for (const sub of node.allOf || []) check(sub, v, at, errors);
+
+    if (node.if !== undefined) {
+      const ifErrors = [];
+      check(node.if, v, at, ifErrors);
+      const branch = ifErrors.length === 0 ? node.then : node.else;
+      if (branch !== undefined) check(branch, v, at, errors);
+    }
+
+    if (typeof v === "string") {
+      if (node.minLength !== undefined && v.length < node.minLength) {
+        errors.push({ path: at, message: `must be at least ${node.minLength} characters` });
+      }
+      if (node.maxLength !== undefined && v.length > node.maxLength) {
+        errors.push({ path: at, message: `must be at most ${node.maxLength} characters` });
+      }
+      if (node.pattern !== undefined && !new RegExp(node.pattern, "u").test(v)) {
+        errors.push({ path: at, message: `does not match pattern ${node.pattern}` });
+      }
+    }
+
+    if (typeof v === "number") {
+      if (node.minimum !== undefined && v < node.minimum) errors.push({ path: at, message: `must be >= ${node.minimum}` });
+      if (node.maximum !== undefined && v > node.maximum) errors.push({ path: at, message: `must be <= ${node.maximum}` });
+      if (node.exclusiveMinimum !== undefined && v <= node.exclusiveMinimum) {
+        errors.push({ path: at, message: `must be > ${node.exclusiveMinimum}` });
+      }
+    }
+
+    if (Array.isArray(v)) {
+      if (node.minItems !== undefined && v.length < node.minItems) {
+        errors.push({ path: at, message: `must contain at least ${node.minItems} items` });
+      }
+      if (node.maxItems !== undefined && v.length > node.maxItems) {
+        errors.push({ path: at, message: `must contain at most ${node.maxItems} items` });
+      }
+      if (node.items) v.forEach((item, i) => check(node.items, item, `${at}[${i}]`, errors));
+    }
+
+    if (typeOf(v) === "object") {
+      for (const req of node.required || []) {
+        if (!(req in v)) errors.push({ path: propPath(at, req), message: "is required" });
+      }
+      const props = node.properties || {};
+      for (const key of Object.keys(v)) {
+        if (props[key]) {
+          check(props[key], v[key], propPath(at, key), errors);
+        } else if (node.additionalProperties === false) {
+          errors.push({ path: propPath(at, key), message: "is not a permitted property" });
+        } else if (node.additionalProperties && typeof node.additionalProperties === "object") {
+          check(node.additionalProperties, v[key], propPath(at, key), errors);
+        }
+      }
+    }
+  }
+
+  const errors = [];
+  check(schema, value, "$", errors);
+  return errors;
+}
+
+module.exports = {
+  loadSchema,
+  validateSchema,
+};
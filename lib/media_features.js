@@ -0,0 +1,101 @@
+/**
+ * lib/media_features.js
+ * User-preference media feature emulation (flow browser_context.media_features).
+ *
+ * prefers-reduced-motion, forced-colors and prefers-color-scheme are applied as context
+ * options (every page in the context). prefers-contrast has no context option in this
+ * Playwright version and is applied to the run page over CDP (Emulation.setEmulatedMedia),
+ * restating the other requested features in the same call so the two never disagree.
+ *
+ * What the page reports is never assumed: probeMediaFeatures() asks matchMedia for every
+ * value of every feature at capture time.
+ */
+
+"use strict";
+
+// Feature -> permitted values (null = not emulated, the browser default applies)
+const MEDIA_FEATURES = {
+  "prefers-reduced-motion": ["reduce", "no-preference"],
+  "forced-colors": ["active", "none"],
+  // Chromium never matches (prefers-color-scheme: no-preference), so it cannot be observed
+  "prefers-color-scheme": ["light", "dark"],
+  "prefers-contrast": ["more", "less", "custom", "no-preference"],
+};
+
+/**
+ * Validates a media_features declaration. Returns every feature key, null where not requested.
+ */
+function normalizeMediaFeatures(decl) {
+  const out = {};
+  for (const name of Object.keys(MEDIA_FEATURES)) out[name] = null;
+  if (decl === undefined || decl === null) return out;
+
+  if (typeof decl !== "object" || Array.isArray(decl)) {
+    throw new Error("browser_context.media_features must be an object.");
+  }
+  for (const [name, value] of Object.entries(decl)) {
+    if (!MEDIA_FEATURES[name]) {
+      throw new Error(`browser_context.media_features: "${name}" is not supported (${Object.keys(MEDIA_FEATURES).join(", ")}).`);
+    }
+    if (value !== null && !MEDIA_FEATURES[name].includes(value)) {
+      throw new Error(
+        `browser_context.media_features["${name}"]: "${value}" is not one of ${MEDIA_FEATURES[name].join(", ")}.`
+      );
+    }
+    out[name] = value;
+  }
+  return out;
+}
+
+function contextMediaOptions(features) {
+  const opts = {};
+  if (features["prefers-reduced-motion"] !== null) opts.reducedMotion = features["prefers-reduced-motion"];
+  if (features["forced-colors"] !== null) opts.forcedColors = features["forced-colors"];
+  if (features["prefers-color-scheme"] !== null) opts.colorScheme = features["prefers-color-scheme"];
+  return opts;
+}
+
+/**
+ * Applies prefers-contrast (if requested) to one page. Returns true if a CDP call was made.
+ */
+async function applyPageMediaFeatures(context, page, features) {
+  if (features["prefers-contrast"] === null) return false;
+  const session = await context.newCDPSession(page);
+  await session.send("Emulation.setEmulatedMedia", {
+    features: Object.entries(features)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => ({ name, value })),
+  });
+  return true;
+}
+
+/**
+ * Returns { feature: matched value | null } as reported by the page's matchMedia.
+ */
+async function probeMediaFeatures(page) {
+  return page.evaluate((spec) => {
+    const observed = {};
+    for (const [name, values] of Object.entries(spec)) {
+      observed[name] = values.find((v) => window.matchMedia(`(${name}: ${v})`).matches) || null;
+    }
+    return observed;
+  }, MEDIA_FEATURES);
+}
+
+/**
+ * Requested features whose observed value differs. Unrequested features are never compared.
+ */
+function mediaFeatureMismatches(requested, observed) {
+  return Object.keys(requested)
+    .filter((name) => requested[name] !== null && observed[name] !== requested[name])
+    .map((name) => ({ feature: name, requested: requested[name], observed: observed[name] }));
+}
+
+module.exports = {
+  MEDIA_FEATURES,
+  normalizeMediaFeatures,
+  contextMediaOptions,
+  applyPageMediaFeatures,
+  probeMediaFeatures,
+  mediaFeatureMismatches,
+};
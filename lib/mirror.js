@@ -0,0 +1,401 @@
+/**
+ * lib/mirror.js
+ * Self-contained verification mirror (flow "mirror", SKUAEngine.captureMirror).
+ *
+ * The DOM is serialized as it stands: open shadow roots as declarative shadow DOM
+ * (<template shadowrootmode="open">, adopted stylesheets as <style>), same-origin iframes
+ * inlined as srcdoc, current form state as attributes. Scripts and inline event handlers
+ * are dropped so the mirror is static. Every referenced resource (images, stylesheets and
+ * their url()/@import targets, fonts, media posters) is taken from the responses recorded
+ * during the run, stored as resources/<sha256>.<ext> and the reference rewritten to it.
+ * A resource that was not recorded is rewritten to about:invalid, never to the live site,
+ * and listed in the resource map with the reason.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { sha256Bytes } = require("./packet_io");
+
+// Larger responses are recorded as seen but their bodies are not kept
+const MIRROR_MAX_RESOURCE_BYTES = 10 * 1024 * 1024;
+
+const MIRROR_RESOURCES_DIR = "resources";
+
+// url(...) (groups 1-3) and @import "..." (groups 4-5) in CSS text
+const CSS_REF_SOURCE = String.raw`url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')`;
+
+const EXTENSIONS = {
+  "text/css": "css",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/svg+xml": "svg",
+  "image/x-icon": "ico",
+  "image/vnd.microsoft.icon": "ico",
+  "font/woff2": "woff2",
+  "font/woff": "woff",
+  "font/ttf": "ttf",
+  "font/otf": "otf",
+  "application/font-woff": "woff",
+  "application/font-woff2": "woff2",
+};
+
+/**
+ * Keeps the latest response body per URL for one page. Attach before navigation.
+ * A response reached through redirects is also recorded under every URL of the chain,
+ * so a reference to the pre-redirect URL resolves to the final body.
+ */
+function recordResponses(page) {
+  const responses = new Map();
+  page.on("response", (res) => {
+    const url = res.url();
+    if (!/^https?:/i.test(url)) return;
+    const status = res.status();
+    const headers = res.headers();
+    const contentType = (headers["content-type"] || "").split(";")[0].trim().toLowerCase() || null;
+    const pending =
+      status >= 300 && status < 400
+        ? Promise.resolve({ body: null, reason: `redirect (status ${status})` })
+        : res
+            .body()
+            .then((body) =>
+              body.length > MIRROR_MAX_RESOURCE_BYTES
+                ? { body: null, reason: `larger than ${MIRROR_MAX_RESOURCE_BYTES} bytes` }
+                : { body, reason: null }
+            )
+            .catch((e) => ({ body: null, reason: `body unavailable: ${e && e.message ? e.message : String(e)}` }));
+    const record = pending.then((r) => ({ url, status, content_type: contentType, ...r }));
+    responses.set(url, record);
+    if (status >= 300 && status < 400) return;
+    for (let req = res.request().redirectedFrom(); req; req = req.redirectedFrom()) {
+      if (/^https?:/i.test(req.url())) responses.set(req.url(), record);
+    }
+  });
+  return {
+    responses,
+    async lookup(url) {
+      return responses.has(url) ? responses.get(url) : null;
+    },
+  };
+}
+
+// Runs in the page. References are replaced by "\u0000af-resource:<n>\u0000" tokens and
+// listed in resources[n] (absolute URLs); buildMirror swaps each token for a local path.
+function serializeDocument(cssRefSource) {
+  const VOID = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr",
+  ]);
+  const RAW_TEXT = new Set(["style", "xmp", "noembed", "noframes", "plaintext"]);
+  const LINK_RESOURCE_RELS = ["stylesheet", "icon", "shortcut", "apple-touch-icon", "preload", "mask-icon"];
+  const resources = [];
+  const index = new Map();
+  const stats = { shadow_roots: 0, adopted_stylesheets: 0, iframes_inlined: 0, scripts_removed: 0, handlers_removed: 0 };
+  const framesNotMirrored = [];
+
+  const escText = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const escAttr = (s) => s.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+  function ref(value, base) {
+    const v = String(value).trim();
+    if (!v || /^(data|blob|about|javascript|mailto|tel):/i.test(v) || v.startsWith("#")) return value;
+    let abs;
+    try {
+      abs = new URL(v, base).href;
+    } catch (_) {
+      return value;
+    }
+    if (!index.has(abs)) {
+      index.set(abs, resources.length);
+      resources.push(abs);
+    }
+    return `\u0000af-resource:${index.get(abs)}\u0000`;
+  }
+
+  function css(text, base) {
+    return text.replace(new RegExp(cssRefSource, "g"), (m, a, b, c, d, e) => {
+      const url = a !== undefined ? a : b !== undefined ? b : c !== undefined ? c : d !== undefined ? d : e;
+      if (url === undefined || url === "") return m;
+      const r = ref(url, base);
+      return d !== undefined || e !== undefined ? `@import url("${r}")` : `url("${r}")`;
+    });
+  }
+
+  function srcset(value, base) {
+    return value
+      .split(/,\s+/)
+      .map((candidate) => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [ref(url, base), ...descriptors].join(" ");
+      })
+      .join(", ");
+  }
+
+  function sheetText(sheet) {
+    try {
+      return Array.from(sheet.cssRules).map((r) => r.cssText).join("\n");
+    } catch (_) {
+      return "";
+    }
+  }
+
+  function isResourceAttr(el, name) {
+    const tag = el.localName;
+    if (name === "srcset") return tag === "img" || tag === "source";
+    if (name === "src") return ["img", "source", "video", "audio", "track", "embed"].includes(tag) || (tag === "input" && (el.getAttribute("type") || "").toLowerCase() === "image");
+    if (name === "poster") return tag === "video";
+    if (name === "data") return tag === "object";
+    if (name === "href" || name === "xlink:href") {
+      if (tag === "link") return (el.getAttribute("rel") || "").toLowerCase().split(/\s+/).some((r) => LINK_RESOURCE_RELS.includes(r));
+      return tag === "image" || tag === "use" || tag === "feImage";
+    }
+    return false;
+  }
+
+  function attributes(el, overrides) {
+    let out = "";
+    const base = el.baseURI;
+    for (const a of Array.from(el.attributes)) {
+      if (/^on/i.test(a.name)) {
+        stats.handlers_removed++;
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(overrides, a.name)) continue;
+      let v = a.value;
+      if (a.name === "style") v = css(v, base);
+      else if (a.name === "srcset" && isResourceAttr(el, a.name)) v = srcset(v, base);
+      else if (isResourceAttr(el, a.name)) v = ref(v, base);
+      out += ` ${a.name}="${escAttr(v)}"`;
+    }
+    for (const [name, v] of Object.entries(overrides)) {
+      if (v === null) continue;
+      out += v === true ? ` ${name}` : ` ${name}="${escAttr(v)}"`;
+    }
+    return out;
+  }
+
+  // Current form state (properties) written as attributes; password values are never serialized
+  function formOverrides(el) {
+    const tag = el.localName;
+    if (tag === "input") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      if (type === "checkbox" || type === "radio") return { checked: el.checked ? true : null };
+      if (type === "password" || type === "file") return {};
+      return { value: el.value };
+    }
+    if (tag === "option") return { selected: el.selected ? true : null };
+    return {};
+  }
+
+  function children(node) {
+    let out = "";
+    for (const child of Array.from(node.childNodes)) out += serialize(child);
+    return out;
+  }
+
+  function adopted(root, base) {
+    let out = "";
+    for (const sheet of Array.from(root.adoptedStyleSheets || [])) {
+      stats.adopted_stylesheets++;
+      out += `<style data-af-adopted="">${css(sheetText(sheet), base)}</style>`;
+    }
+    return out;
+  }
+
+  function serializeFrame(el) {
+    let doc = null;
+    try {
+      doc = el.contentDocument;
+    } catch (_) {}
+    const tag = el.localName;
+    if (!doc || !doc.documentElement) {
+      const src = el.getAttribute("src");
+      if (src) {
+        try {
+          framesNotMirrored.push(new URL(src, el.baseURI).href);
+        } catch (_) {
+          framesNotMirrored.push(src);
+        }
+      }
+      return `<${tag}${attributes(el, { src: "about:blank", srcdoc: null })}></${tag}>`;
+    }
+    stats.iframes_inlined++;
+    const inner = documentHtml(doc);
+    return `<${tag}${attributes(el, { src: null, srcdoc: inner })}></${tag}>`;
+  }
+
+  function serialize(node) {
+    switch (node.nodeType) {
+      case 3: {
+        const parent = node.parentNode && node.parentNode.localName;
+        if (parent && RAW_TEXT.has(parent)) return parent === "style" ? css(node.data, node.parentNode.baseURI) : node.data;
+        return escText(node.data);
+      }
+      case 8:
+        return `<!--${node.data}-->`;
+      case 1:
+        break;
+      default:
+        return "";
+    }
+
+    const el = node;
+    const tag = el.localName;
+    if (tag === "script") {
+      stats.scripts_removed++;
+      return "";
+    }
+    if (tag === "iframe" || tag === "frame") return serializeFrame(el);
+
+    let out = `<${tag}${attributes(el, formOverrides(el))}>`;
+    if (VOID.has(tag)) return out;
+
+    if (el.shadowRoot) {
+      stats.shadow_roots++;
+      out += `<template shadowrootmode="open">${adopted(el.shadowRoot, el.baseURI)}${children(el.shadowRoot)}</template>`;
+    }
+    if (tag === "template" && el.content) {
+      out += children(el.content);
+    } else if (tag === "textarea") {
+      out += escText(el.value);
+    } else if (tag === "style" && !el.textContent.trim() && el.sheet) {
+      // Rules inserted through the CSSOM (insertRule) have no text node
+      out += css(sheetText(el.sheet), el.baseURI);
+    } else {
+      out += children(el);
+    }
+    return `${out}</${tag}>`;
+  }
+
+  function documentHtml(doc) {
+    const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>` : "";
+    const root = doc.documentElement;
+    let html = serialize(root);
+    const extra = adopted(doc, doc.baseURI);
+    if (extra) html = html.replace(/<\/head>/, `${extra}</head>`);
+    return doctype + html;
+  }
+
+  const html = documentHtml(document);
+  return { html, resources, stats, frames_not_mirrored: framesNotMirrored };
+}
+
+function extensionFor(url, contentType) {
+  if (contentType && EXTENSIONS[contentType]) return EXTENSIONS[contentType];
+  let ext = "";
+  try {
+    ext = path.posix.extname(new URL(url).pathname).slice(1).toLowerCase();
+  } catch (_) {}
+  return /^[a-z0-9]{1,5}$/.test(ext) ? ext : "bin";
+}
+
+function isCss(url, contentType) {
+  return contentType === "text/css" || (!contentType && extensionFor(url, null) === "css");
+}
+
+/**
+ * Serializes the page and bundles its resources into outDir.
+ *   resourcesRel: path of the resources directory relative to the mirror file
+ * Returns { html, resources, stats, frames_not_mirrored }: resources is the resource map
+ * (one entry per referenced URL, sorted by url) with file paths relative to outDir.
+ */
+async function buildMirror(page, recorder, { outDir, resourcesRel = MIRROR_RESOURCES_DIR }) {
+  const snapshot = await page.evaluate(serializeDocument, CSS_REF_SOURCE);
+  fs.mkdirSync(path.join(outDir, MIRROR_RESOURCES_DIR), { recursive: true });
+
+  const map = new Map(); // url -> resource map entry (or a pending promise while it resolves)
+
+  async function store(url) {
+    if (map.has(url)) return map.get(url);
+    const pending = (async () => {
+      const rec = await recorder.lookup(url);
+      const entry = {
+        url,
+        path: null,
+        sha256: null,
+        size_bytes: 0,
+        status: rec ? rec.status : null,
+        final_url: rec ? rec.url : null,
+        content_type: rec ? rec.content_type : null,
+        response_sha256: rec && rec.body ? sha256Bytes(rec.body) : null,
+        rewritten: false,
+        reason: null,
+      };
+      if (!rec) entry.reason = "not recorded";
+      else if (!rec.body) entry.reason = rec.reason;
+      else if (rec.status < 200 || rec.status >= 300) entry.reason = `status ${rec.status}`;
+      if (entry.reason) return entry;
+
+      let bytes = rec.body;
+      if (isCss(url, rec.content_type)) {
+        // Stylesheet references resolve against the stylesheet URL; stored siblings share one directory
+        const text = bytes.toString("utf-8");
+        const refs = [];
+        const re = new RegExp(CSS_REF_SOURCE, "g");
+        for (let m = re.exec(text); m; m = re.exec(text)) refs.push(m);
+        const resolved = [];
+        for (const m of refs) {
+          const ref = [m[1], m[2], m[3], m[4], m[5]].find((v) => v !== undefined);
+          resolved.push(ref && !/^(data|blob|about):/i.test(ref.trim()) && !ref.startsWith("#") ? await localFor(ref, url) : null);
+        }
+        let i = 0;
+        const out = text.replace(re, (m, a, b, c, d, e) => {
+          const local = resolved[i++];
+          if (local === null) return m;
+          return d !== undefined || e !== undefined ? `@import url("${local}")` : `url("${local}")`;
+        });
+        bytes = Buffer.from(out, "utf-8");
+        entry.rewritten = out !== text;
+      }
+
+      entry.sha256 = sha256Bytes(bytes);
+      entry.size_bytes = bytes.length;
+      entry.path = `${MIRROR_RESOURCES_DIR}/${entry.sha256}.${extensionFor(url, rec.content_type)}`;
+      const abs = path.join(outDir, entry.path);
+      if (!fs.existsSync(abs)) fs.writeFileSync(abs, bytes);
+      return entry;
+    })();
+    map.set(url, pending);
+    const entry = await pending;
+    map.set(url, entry);
+    return entry;
+  }
+
+  // Local reference for a stylesheet-relative URL (the stylesheet lives in resources/ too)
+  async function localFor(ref, base) {
+    let abs;
+    try {
+      abs = new URL(ref.trim(), base).href;
+    } catch (_) {
+      return null;
+    }
+    // An @import cycle resolves to the pending entry; the cycle member is left unresolved
+    if (map.has(abs) && typeof map.get(abs).then === "function") return "about:invalid";
+    const entry = await store(abs);
+    return entry.path ? path.posix.basename(entry.path) : "about:invalid";
+  }
+
+  const locals = [];
+  for (const url of snapshot.resources) {
+    const entry = await store(url);
+    locals.push(entry.path ? `${resourcesRel}/${path.posix.basename(entry.path)}` : "about:invalid");
+  }
+
+  // srcdoc content is attribute-escaped, so the tokens there carry no quote characters either
+  const html = snapshot.html.replace(/\u0000af-resource:(\d+)\u0000/g, (m, n) => locals[Number(n)]);
+
+  const resources = [...map.values()].sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+  return { html, resources, stats: snapshot.stats, frames_not_mirrored: snapshot.frames_not_mirrored };
+}
+
+module.exports = {
+  MIRROR_MAX_RESOURCE_BYTES,
+  MIRROR_RESOURCES_DIR,
+  CSS_REF_SOURCE,
+  recordResponses,
+  serializeDocument,
+  buildMirror,
+};
@@ -0,0 +1,203 @@
+/**
+ * lib/packet_io.js
+ * Shared packet layout and hashing helpers for the executor and the offline tools.
+ *
+ * Everything here is synchronous and deterministic. Hash helpers never swallow
+ * read errors other than ENOENT (an integrity failure must surface).
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// --- Deliverable packet layout ---
+// Every packet path below (and every manifest path) is relative to runs/<run_id>/Deliverable_Packet/.
+const PACKET_DIR = "Deliverable_Packet";
+const TIER_REPORT = "01_Report";
+const TIER_EXHIBITS = "02_Exhibits";
+const TIER_VERIFICATION = "03_Verification";
+// Unredacted originals (flow "redaction"): sealed with the packet, withheld from sanitized copies
+const TIER_RESTRICTED = "04_Restricted";
+const EXHIBITS_BY_STEP = `${TIER_EXHIBITS}/Screenshots_By_Step`;
+
+const PACKET_FILES = {
+  execution_report: `${TIER_REPORT}/Execution_Report.txt`,
+  flow_plan_sealed: `${TIER_REPORT}/flow_plan.sealed.json`,
+  interaction_log: `${TIER_REPORT}/interaction_log.json`,
+  evidence_index: `${TIER_REPORT}/evidence_index.json`,
+  focus_sequence: `${TIER_REPORT}/focus_sequence.json`,
+  video_webm: `${TIER_EXHIBITS}/video.webm`,
+  journal_ndjson: `${TIER_VERIFICATION}/journal.ndjson`,
+  run_metadata: `${TIER_VERIFICATION}/run_metadata.json`,
+  console_json: `${TIER_VERIFICATION}/console.json`,
+  network_har: `${TIER_VERIFICATION}/network.har`,
+  trace_zip: `${TIER_VERIFICATION}/trace.zip`,
+  third_party_domains: `${TIER_VERIFICATION}/third_party_domains.json`,
+  redaction_ledger: `${TIER_VERIFICATION}/redaction_ledger.json`,
+  report_terms: `${TIER_VERIFICATION}/report_terms.json`,
+  redaction_salt: `${TIER_RESTRICTED}/redaction_salt.txt`,
+  manifest_core: `${TIER_VERIFICATION}/manifest_core.json`,
+  manifest: `${TIER_VERIFICATION}/manifest.json`,
+  packet_hash: `${TIER_VERIFICATION}/packet_hash.txt`,
+  status: `${TIER_VERIFICATION}/STATUS.txt`,
+};
+
+// Seal files are written after manifest_core.json is hashed, so they can never appear inside it.
+// STATUS.txt and Execution_Report.txt quote the packet hash, so they are rendered post-seal.
+const SEAL_FILES = [
+  PACKET_FILES.manifest_core,
+  PACKET_FILES.manifest,
+  PACKET_FILES.packet_hash,
+  PACKET_FILES.status,
+  PACKET_FILES.execution_report,
+];
+
+// A redacted artifact's original keeps its packet path under the restricted tier
+function restrictedPath(rel) {
+  return `${TIER_RESTRICTED}/${rel}`;
+}
+
+// --- IO and hashing ---
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+function writeJson(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf-8");
+}
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf-8"));
+}
+
+function sha256Bytes(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+// Returns null if missing, throws on read error (never silently swallows integrity failures)
+function sha256File(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    return sha256Bytes(buf);
+  } catch (e) {
+    if (e && e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+function statSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (e) {
+    if (e && e.code === "ENOENT") return 0;
+    throw e;
+  }
+}
+
+/**
+ * Recursively sorts object keys. Arrays preserve order.
+ */
+function sortKeys(value, compare = (a, b) => a.localeCompare(b)) {
+  // Only the current ancestor chain is tracked: a shared (non-cyclic) reference is fine
+  const ancestors = new WeakSet();
+
+  function sorter(v) {
+    if (v === null || typeof v !== "object") return v;
+
+    if (ancestors.has(v)) {
+      // Cycles should never exist in our data, but if they do, we hard fail
+      throw new Error("Non-deterministic structure: cyclic reference detected");
+    }
+    ancestors.add(v);
+
+    let out;
+    if (Array.isArray(v)) {
+      out = v.map(sorter);
+    } else {
+      out = {};
+      for (const k of Object.keys(v).sort(compare)) out[k] = sorter(v[k]);
+    }
+
+    ancestors.delete(v);
+    return out;
+  }
+
+  return sorter(value);
+}
+
+/**
+ * Stable JSON stringify: recursively sorts keys so manifest.json bytes are deterministic.
+ * Arrays preserve order (we explicitly sort manifest.files by path before stringify).
+ */
+function stableStringify(value, indent = 2) {
+  return JSON.stringify(sortKeys(value), null, indent) + "\n";
+}
+
+/**
+ * Compact canonical JSON for hashing (journal chain). Keys are ordered by code point,
+ * never by locale, so any verifier on any host reproduces the same bytes.
+ */
+function canonicalJson(value) {
+  return JSON.stringify(sortKeys(value, (a, b) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Writes stableStringify(obj) and returns the exact bytes written (for hashing).
+ */
+function writeStableJson(p, obj) {
+  const bytes = Buffer.from(stableStringify(obj, 2), "utf-8");
+  fs.writeFileSync(p, bytes);
+  return bytes;
+}
+
+/**
+ * Hashes every file under rootAbs. Returns [{ path, sha256, size_bytes }] sorted by path,
+ * with POSIX-style paths relative to rootAbs. Paths listed in exclude are skipped.
+ */
+function hashTree(rootAbs, exclude = []) {
+  const files = [];
+
+  function walk(dirAbs) {
+    const entries = fs.readdirSync(dirAbs, { withFileTypes: true });
+    for (const ent of entries) {
+      const abs = path.join(dirAbs, ent.name);
+      const rel = path.relative(rootAbs, abs).replace(/\\/g, "/");
+      if (exclude.includes(rel)) continue;
+
+      if (ent.isDirectory()) {
+        walk(abs);
+      } else if (ent.isFile()) {
+        files.push({ path: rel, sha256: sha256File(abs), size_bytes: statSize(abs) });
+      }
+    }
+  }
+
+  walk(rootAbs);
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return files;
+}
+
+module.exports = {
+  PACKET_DIR,
+  TIER_REPORT,
+  TIER_EXHIBITS,
+  TIER_VERIFICATION,
+  TIER_RESTRICTED,
+  EXHIBITS_BY_STEP,
+  PACKET_FILES,
+  SEAL_FILES,
+  restrictedPath,
+  ensureDir,
+  writeJson,
+  readJson,
+  sha256Bytes,
+  sha256File,
+  statSize,
+  sortKeys,
+  stableStringify,
+  canonicalJson,
+  writeStableJson,
+  hashTree,
+};
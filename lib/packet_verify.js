@@ -0,0 +1,510 @@
+/**
+ * lib/packet_verify.js
+ * Offline Deliverable_Packet verification (needs only Node, no browser, no network).
+ *
+ * Checks, in order:
+ *   - manifest.json / manifest_core.json are present and well-formed
+ *   - every manifest entry exists on disk with the recorded sha256 and size
+ *   - no file on disk is missing from the manifest (manifest.json itself excepted)
+ *   - packet_hash.txt == sha256(manifest_core.json bytes) == manifest.packet_hash,
+ *     manifest_core entries agree with manifest.json, the sealed flow plan (its
+ *     04_Restricted/ original when the plan was redacted) matches flow_plan_sha256
+ *   - STATUS.txt and Execution_Report.txt are byte-identical to a fresh rendering from the
+ *     sealed artifacts and the packet hash (lib/report.js, with the terms list sealed in
+ *     report_terms.json); a packet of another report format is not re-rendered
+ *   - evidence_index.json hashes and sizes match the exhibits on disk, and every bundled
+ *     mirror resource in the resource map is listed in the manifest with the same sha256
+ *   - journal.ndjson chain is intact from the recorded seed, and its head and length match
+ *     run_metadata.journal_chain (and the head manifest_core.journal_chain_head)
+ *   - every redaction_ledger.json entry is present in the served artifact; where the
+ *     04_Restricted/ originals are present, each served artifact is rebuilt from its
+ *     original and the ledger (byte-identical) and every salted original hash is rechecked
+ *
+ * Files under 04_Restricted/ that are listed but absent are reported as withheld, not
+ * missing: a sanitized copy (packet without 04_Restricted/) verifies against the same seal.
+ * Every failure is collected; the result's exit_code is that of the most fundamental class seen.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  PACKET_DIR,
+  PACKET_FILES,
+  SEAL_FILES,
+  TIER_RESTRICTED,
+  restrictedPath,
+  stableStringify,
+  readJson,
+  sha256File,
+  statSize,
+  hashTree,
+} = require("./packet_io");
+const { GENESIS_HASH, chainEntry, verifyJournalFile, verifyJournalText } = require("./journal_chain");
+const { redactionHash, valueAtPath, applyJsonLedger, applyHtmlLedger } = require("./redaction");
+const { REPORT_FORMAT, loadForbiddenTerms, renderStatus, renderExecutionReport } = require("./report");
+
+// Failure classes and their process exit codes (0 = verified, 1 reserved for unexpected errors)
+const VERIFY_EXIT_CODES = {
+  usage_error: 2,
+  manifest_invalid: 3,
+  missing_file: 4,
+  extra_file: 5,
+  hash_mismatch: 6,
+  seal_mismatch: 7,
+  evidence_mismatch: 8,
+  journal_broken: 9,
+  redaction_mismatch: 10,
+};
+
+// evidence_index.json exhibit fields: [path field, sha256 field, size field]
+const EVIDENCE_FIELDS = [
+  ["screenshot", "screenshot_sha256", "screenshot_size"],
+  ["html", "html_sha256", "html_size"],
+  ["ax", "ax_sha256", "ax_size"],
+  ["transcript", "transcript_sha256", "transcript_size"],
+  ["transcript_text", "transcript_text_sha256", "transcript_text_size"],
+  ["mirror", "mirror_sha256", "mirror_size"],
+  ["styles", "styles_sha256", "styles_size"],
+];
+
+// Accepts a Deliverable_Packet directory or the run directory above it
+function resolvePacketDir(target) {
+  const nested = path.join(target, PACKET_DIR);
+  return fs.existsSync(nested) ? nested : target;
+}
+
+// Manifest paths are POSIX, relative, and may not leave the packet
+function isSafeRelPath(p) {
+  return (
+    typeof p === "string" &&
+    p.length > 0 &&
+    !p.includes("\\") &&
+    !path.posix.isAbsolute(p) &&
+    !p.split("/").some((seg) => seg === ".." || seg === "." || seg === "")
+  );
+}
+
+function verifyPacket(target) {
+  const packetDir = resolvePacketDir(target);
+  const failures = [];
+  const fail = (cls, detail, file = null) => failures.push({ class: cls, path: file, detail });
+
+  const result = {
+    packet_dir: packetDir,
+    ok: false,
+    exit_code: null,
+    failure_class: null,
+    run_id: null,
+    packet_hash: { recorded: null, manifest: null, recomputed: null },
+    files_checked: 0,
+    evidence_entries_checked: 0,
+    journal: null,
+    reports: null,
+    withheld: [],
+    redaction: null,
+    failures,
+  };
+
+  function finish() {
+    const codes = failures.map((f) => VERIFY_EXIT_CODES[f.class]);
+    result.exit_code = codes.length ? Math.min(...codes) : 0;
+    result.failure_class = codes.length ? failures.find((f) => VERIFY_EXIT_CODES[f.class] === result.exit_code).class : null;
+    result.ok = failures.length === 0;
+    return result;
+  }
+
+  if (!fs.existsSync(packetDir) || !fs.statSync(packetDir).isDirectory()) {
+    fail("usage_error", "Packet directory does not exist.");
+    return finish();
+  }
+
+  // ---- Manifest structure ----
+  const manifestAbs = path.join(packetDir, PACKET_FILES.manifest);
+  const coreAbs = path.join(packetDir, PACKET_FILES.manifest_core);
+  let manifest;
+  let core;
+  try {
+    manifest = readJson(manifestAbs);
+  } catch (e) {
+    fail("manifest_invalid", `manifest.json unreadable: ${e.message}`, PACKET_FILES.manifest);
+  }
+  try {
+    core = readJson(coreAbs);
+  } catch (e) {
+    fail("manifest_invalid", `manifest_core.json unreadable: ${e.message}`, PACKET_FILES.manifest_core);
+  }
+  if (manifest && !Array.isArray(manifest.files)) {
+    fail("manifest_invalid", "manifest.json has no files array.", PACKET_FILES.manifest);
+  }
+  if (core && !Array.isArray(core.files)) {
+    fail("manifest_invalid", "manifest_core.json has no files array.", PACKET_FILES.manifest_core);
+  }
+  if (failures.length) return finish();
+
+  result.run_id = manifest.run_id || null;
+
+  const listed = new Map();
+  for (const entry of manifest.files) {
+    if (!entry || !isSafeRelPath(entry.path) || typeof entry.sha256 !== "string") {
+      fail("manifest_invalid", `Manifest entry malformed: ${JSON.stringify(entry)}`, PACKET_FILES.manifest);
+      continue;
+    }
+    if (listed.has(entry.path)) {
+      fail("manifest_invalid", "Manifest lists the path more than once.", entry.path);
+      continue;
+    }
+    listed.set(entry.path, entry);
+  }
+  if (listed.has(PACKET_FILES.manifest)) {
+    fail("manifest_invalid", "manifest.json may not list itself.", PACKET_FILES.manifest);
+  }
+  if (failures.length) return finish();
+
+  // ---- Every listed file re-hashed; every file on disk listed ----
+  const onDisk = new Map(hashTree(packetDir, [PACKET_FILES.manifest]).map((f) => [f.path, f]));
+
+  for (const entry of listed.values()) {
+    const found = onDisk.get(entry.path);
+    if (!found) {
+      if (entry.path.startsWith(`${TIER_RESTRICTED}/`)) result.withheld.push(entry.path);
+      else fail("missing_file", "Listed in manifest.json, not present in packet.", entry.path);
+      continue;
+    }
+    result.files_checked++;
+    if (found.sha256 !== entry.sha256.toLowerCase()) {
+      fail("hash_mismatch", `sha256 recorded ${entry.sha256}, recomputed ${found.sha256}.`, entry.path);
+    }
+    if (typeof entry.size_bytes === "number" && found.size_bytes !== entry.size_bytes) {
+      fail("hash_mismatch", `size recorded ${entry.size_bytes}, found ${found.size_bytes}.`, entry.path);
+    }
+  }
+  for (const rel of onDisk.keys()) {
+    if (!listed.has(rel)) fail("extra_file", "Present in packet, not listed in manifest.json.", rel);
+  }
+
+  // ---- Seal: packet_hash.txt, manifest_core.json and manifest.json agree ----
+  const recomputed = sha256File(coreAbs);
+  const hashAbs = path.join(packetDir, PACKET_FILES.packet_hash);
+  const recorded = fs.existsSync(hashAbs) ? fs.readFileSync(hashAbs, "utf-8").trim() : null;
+  result.packet_hash = { recorded, manifest: manifest.packet_hash || null, recomputed };
+
+  if (recorded !== recomputed) {
+    fail("seal_mismatch", `packet_hash.txt ${recorded} != sha256(manifest_core.json) ${recomputed}.`, PACKET_FILES.packet_hash);
+  }
+  if (manifest.packet_hash !== recomputed) {
+    fail("seal_mismatch", `manifest.packet_hash ${manifest.packet_hash} != sha256(manifest_core.json) ${recomputed}.`, PACKET_FILES.manifest);
+  }
+
+  const coreByPath = new Map(core.files.map((f) => [f.path, f]));
+  for (const [rel, entry] of listed) {
+    if (SEAL_FILES.includes(rel)) continue;
+    const c = coreByPath.get(rel);
+    if (!c) fail("seal_mismatch", "Listed in manifest.json, not in manifest_core.json.", rel);
+    else if (c.sha256 !== entry.sha256) fail("seal_mismatch", "manifest_core.json and manifest.json record different sha256.", rel);
+  }
+  for (const rel of coreByPath.keys()) {
+    if (SEAL_FILES.includes(rel)) fail("seal_mismatch", "Seal file listed inside manifest_core.json.", rel);
+    else if (!listed.has(rel)) fail("seal_mismatch", "Listed in manifest_core.json, not in manifest.json.", rel);
+  }
+
+  for (const [label, value] of [
+    ["manifest.run_id", manifest.run_id],
+    ["manifest.flow_plan_sha256", manifest.flow_plan_sha256],
+    ["manifest.journal_chain_head", manifest.journal_chain_head],
+    ["manifest.replay_of", manifest.replay_of],
+    ["manifest.mirror_resources", manifest.mirror_resources],
+    ["manifest.step_diffs", manifest.step_diffs],
+  ]) {
+    const key = label.split(".")[1];
+    if (JSON.stringify(value) !== JSON.stringify(core[key])) fail("seal_mismatch", `${label} does not match manifest_core.json.`, PACKET_FILES.manifest);
+  }
+
+  // A redacted plan is committed by its original; withheld, the served plan is checked by the ledger only
+  const planOriginal = restrictedPath(PACKET_FILES.flow_plan_sealed);
+  const planRel = listed.has(planOriginal) ? planOriginal : PACKET_FILES.flow_plan_sealed;
+  if (planRel !== planOriginal || onDisk.has(planOriginal)) {
+    const planSha = sha256File(path.join(packetDir, planRel));
+    if (planSha !== core.flow_plan_sha256) {
+      fail("seal_mismatch", `Sealed flow plan sha256 ${planSha} != committed ${core.flow_plan_sha256}.`, planRel);
+    }
+  }
+
+  // ---- Post-seal documents: re-rendered from the sealed artifacts, byte for byte ----
+  result.reports = verifyRenderedReports(packetDir, recomputed, fail);
+
+  // ---- evidence_index.json cross-check ----
+  const evidenceAbs = path.join(packetDir, PACKET_FILES.evidence_index);
+  let evidenceIndex = [];
+  try {
+    evidenceIndex = readJson(evidenceAbs);
+    if (!Array.isArray(evidenceIndex)) throw new Error("not an array");
+  } catch (e) {
+    fail("evidence_mismatch", `evidence_index.json unreadable: ${e.message}`, PACKET_FILES.evidence_index);
+    evidenceIndex = [];
+  }
+
+  for (const ev of evidenceIndex) {
+    result.evidence_entries_checked++;
+    for (const [pathKey, shaKey, sizeKey] of EVIDENCE_FIELDS) {
+      const rel = ev[pathKey];
+      if (rel === undefined || rel === null) continue;
+      if (!isSafeRelPath(rel)) {
+        fail("evidence_mismatch", `Exhibit path malformed at step ${ev.step_index}.`, String(rel));
+        continue;
+      }
+      const abs = path.join(packetDir, rel);
+      const sha = sha256File(abs);
+      const size = sha === null ? 0 : statSize(abs);
+
+      if (sha !== (ev[shaKey] === undefined ? null : ev[shaKey])) {
+        fail("evidence_mismatch", `${shaKey} recorded ${ev[shaKey]}, recomputed ${sha}.`, rel);
+      }
+      if (typeof ev[sizeKey] === "number" && size !== ev[sizeKey]) {
+        fail("evidence_mismatch", `${sizeKey} recorded ${ev[sizeKey]}, found ${size}.`, rel);
+      }
+      if (sha !== null && !listed.has(rel)) {
+        fail("evidence_mismatch", "Exhibit indexed in evidence_index.json, not listed in manifest.json.", rel);
+      }
+    }
+  }
+
+  for (const r of Array.isArray(core.mirror_resources) ? core.mirror_resources : []) {
+    if (!r || r.path === null) continue;
+    const entry = isSafeRelPath(r.path) ? listed.get(r.path) : null;
+    if (!entry) fail("evidence_mismatch", "Mirror resource in the resource map, not listed in manifest.json.", String(r.path));
+    else if (entry.sha256 !== r.sha256) fail("evidence_mismatch", `Mirror resource sha256 recorded ${r.sha256}, manifest ${entry.sha256}.`, r.path);
+  }
+
+  for (const d of Array.isArray(core.step_diffs) ? core.step_diffs : []) {
+    for (const rel of [d && d.diff, d && d.mask]) {
+      if (rel === null || rel === undefined) continue;
+      if (!isSafeRelPath(rel) || !listed.has(rel)) fail("evidence_mismatch", "Step diff in step_diffs, not listed in manifest.json.", String(rel));
+    }
+  }
+
+  // ---- Journal chain (seeded as recorded in run_metadata.json, else the genesis value) ----
+  const journalAbs = path.join(packetDir, PACKET_FILES.journal_ndjson);
+  if (fs.existsSync(journalAbs)) {
+    let recordedChain = null;
+    try {
+      recordedChain = readJson(path.join(packetDir, PACKET_FILES.run_metadata)).journal_chain || null;
+    } catch (_) {}
+    const seed = recordedChain && typeof recordedChain.seed === "string" ? recordedChain.seed : GENESIS_HASH;
+    const chain = verifyJournalFile(journalAbs, seed);
+    result.journal = { ok: chain.ok, seed: chain.seed, head: chain.head, length: chain.length, broken_at_line: chain.broken_at_line };
+    if (!chain.ok) {
+      fail("journal_broken", `Line ${chain.broken_at_line}: ${chain.reason}`, PACKET_FILES.journal_ndjson);
+    } else if (chain.head !== core.journal_chain_head) {
+      fail("journal_broken", `Chain head ${chain.head} != manifest_core.journal_chain_head ${core.journal_chain_head}.`, PACKET_FILES.journal_ndjson);
+    } else if (!recordedChain) {
+      fail("journal_broken", "run_metadata.json records no journal_chain.", PACKET_FILES.run_metadata);
+    } else {
+      for (const key of ["seed", "head", "length"]) {
+        if (recordedChain[key] !== chain[key]) {
+          fail("journal_broken", `run_metadata.journal_chain.${key} ${recordedChain[key]} != walked chain ${chain[key]}.`, PACKET_FILES.journal_ndjson);
+        }
+      }
+    }
+  } else if (!listed.has(PACKET_FILES.journal_ndjson)) {
+    fail("missing_file", "journal.ndjson not present.", PACKET_FILES.journal_ndjson);
+  }
+
+  // ---- Redaction ledger ----
+  if (listed.has(PACKET_FILES.redaction_ledger) && onDisk.has(PACKET_FILES.redaction_ledger)) {
+    result.redaction = verifyRedactionLedger(packetDir, fail);
+  }
+
+  return finish();
+}
+
+function journalEntries(text) {
+  return text.split("\n").filter((l) => l !== "").map((l) => JSON.parse(l));
+}
+
+/**
+ * STATUS.txt and Execution_Report.txt sit outside manifest_core.json (they quote the packet
+ * hash), so their content is checked by rendering them again from the sealed artifacts with
+ * the sealed terms list, never the verifier host's. Returns { report_format, rerendered }.
+ */
+function verifyRenderedReports(packetDir, packetHash, fail) {
+  const summary = { report_format: null, rerendered: false };
+  const documents = [
+    [PACKET_FILES.status, renderStatus],
+    [PACKET_FILES.execution_report, renderExecutionReport],
+  ].filter(([rel]) => fs.existsSync(path.join(packetDir, rel)));
+  // Not sealed with this packet: missing_file is already reported when it is listed
+  const termsAbs = path.join(packetDir, PACKET_FILES.report_terms);
+  if (documents.length === 0 || !fs.existsSync(termsAbs)) return summary;
+
+  let terms;
+  let sealed;
+  try {
+    const recorded = readJson(termsAbs);
+    summary.report_format = recorded.report_format === undefined ? null : recorded.report_format;
+    // Rendered by another lib/report.js: its reports are checked against manifest.json only
+    if (summary.report_format !== REPORT_FORMAT) return summary;
+    terms = loadForbiddenTerms(termsAbs);
+    sealed = {
+      runMetadata: readJson(path.join(packetDir, PACKET_FILES.run_metadata)),
+      interactionLog: readJson(path.join(packetDir, PACKET_FILES.interaction_log)),
+      evidenceIndex: readJson(path.join(packetDir, PACKET_FILES.evidence_index)),
+      consoleEvents: readJson(path.join(packetDir, PACKET_FILES.console_json)),
+      thirdPartyDomains: readJson(path.join(packetDir, PACKET_FILES.third_party_domains)),
+      packetHash,
+    };
+  } catch (e) {
+    for (const [rel] of documents) fail("seal_mismatch", `Could not be re-rendered: ${e.message}`, rel);
+    return summary;
+  }
+
+  summary.rerendered = true;
+
+  for (const [rel, render] of documents) {
+    let rendered;
+    try {
+      rendered = Buffer.from(render(sealed, terms), "utf-8");
+    } catch (e) {
+      fail("seal_mismatch", `Could not be re-rendered: ${e.message}`, rel);
+      continue;
+    }
+    if (!rendered.equals(fs.readFileSync(path.join(packetDir, rel)))) {
+      fail("seal_mismatch", "Differs from the document re-rendered from the sealed artifacts.", rel);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Checks the ledger against the served artifacts, and against the originals when present.
+ * Returns { profile, entries_checked, originals_checked }.
+ */
+function verifyRedactionLedger(packetDir, fail) {
+  const ledgerRel = PACKET_FILES.redaction_ledger;
+  const summary = { profile: null, entries_checked: 0, originals_checked: 0 };
+  let ledger;
+  try {
+    ledger = readJson(path.join(packetDir, ledgerRel));
+    if (!Array.isArray(ledger.artifacts)) throw new Error("no artifacts array");
+  } catch (e) {
+    fail("redaction_mismatch", `redaction_ledger.json unreadable: ${e.message}`, ledgerRel);
+    return summary;
+  }
+  summary.profile = ledger.profile || null;
+
+  const saltAbs = ledger.salt && isSafeRelPath(ledger.salt) ? path.join(packetDir, ledger.salt) : null;
+  const salt = saltAbs && fs.existsSync(saltAbs) ? fs.readFileSync(saltAbs, "utf-8").trim() : null;
+
+  for (const art of ledger.artifacts) {
+    if (!art || !isSafeRelPath(art.path) || !isSafeRelPath(art.original) || !Array.isArray(art.entries)) {
+      fail("redaction_mismatch", `Ledger artifact malformed: ${JSON.stringify(art && art.path)}`, ledgerRel);
+      continue;
+    }
+    const servedAbs = path.join(packetDir, art.path);
+    const originalAbs = path.join(packetDir, art.original);
+    if (!fs.existsSync(servedAbs)) {
+      fail("redaction_mismatch", "Redacted artifact listed in redaction_ledger.json is not present.", art.path);
+      continue;
+    }
+    const served = fs.readFileSync(servedAbs);
+    const original = fs.existsSync(originalAbs) ? fs.readFileSync(originalAbs) : null;
+
+    try {
+      // Original value at each entry (for the salted hash check), or null when withheld
+      let originalValueOf = () => null;
+
+      if (art.kind === "html") {
+        // Served side: each replacement sits at its original offset shifted by earlier replacements
+        let shift = 0;
+        for (const e of art.entries.slice().sort((a, b) => a.byte_start - b.byte_start)) {
+          summary.entries_checked++;
+          const rep = Buffer.from(e.replacement, "utf-8");
+          const at = e.byte_start + shift;
+          if (!served.subarray(at, at + rep.length).equals(rep)) {
+            fail("redaction_mismatch", `Replacement for ${e.path} not found in the served artifact.`, art.path);
+          }
+          shift += rep.length - (e.byte_end - e.byte_start);
+        }
+        if (original) {
+          if (!applyHtmlLedger(original, art.entries).equals(served)) {
+            fail("redaction_mismatch", "Served artifact differs from its original outside the ledger entries.", art.path);
+          }
+          originalValueOf = (e) => original.subarray(e.byte_start, e.byte_end).toString("utf-8");
+        }
+      } else if (art.kind === "ax" || art.kind === "plan") {
+        const servedJson = JSON.parse(served.toString("utf-8"));
+        for (const e of art.entries) {
+          summary.entries_checked++;
+          if (valueAtPath(servedJson, e.path) !== e.replacement) {
+            fail("redaction_mismatch", `Replacement for ${e.path} not found in the served artifact.`, art.path);
+          }
+        }
+        if (original) {
+          const originalJson = JSON.parse(original.toString("utf-8"));
+          const rebuilt = applyJsonLedger(originalJson, art.entries);
+          // The plan is written with sorted keys (writeStableJson), AX snapshots as captured
+          const rebuiltText = art.kind === "plan" ? stableStringify(rebuilt) : JSON.stringify(rebuilt, null, 2) + "\n";
+          if (rebuiltText !== served.toString("utf-8")) {
+            fail("redaction_mismatch", "Served artifact differs from its original outside the ledger entries.", art.path);
+          }
+          originalValueOf = (e) => valueAtPath(originalJson, e.path);
+        }
+      } else if (art.kind === "journal") {
+        const servedEntries = journalEntries(served.toString("utf-8"));
+        for (const e of art.entries) {
+          summary.entries_checked++;
+          if (valueAtPath(servedEntries, e.path) !== e.replacement) {
+            fail("redaction_mismatch", `Replacement for ${e.path} not found in the served artifact.`, art.path);
+          }
+        }
+        if (original) {
+          const chain = verifyJournalText(original.toString("utf-8"), GENESIS_HASH);
+          if (!chain.ok) {
+            fail("journal_broken", `Line ${chain.broken_at_line}: ${chain.reason}`, art.original);
+          } else if (chain.head !== ledger.restricted_journal_chain_head) {
+            fail("journal_broken", `Chain head ${chain.head} != ledger restricted_journal_chain_head.`, art.original);
+          }
+          // Re-chain the originals with the ledger applied: must reproduce the served journal byte for byte
+          const originalEntries = journalEntries(original.toString("utf-8"));
+          let prev = GENESIS_HASH;
+          const rebuilt = applyJsonLedger(originalEntries, art.entries)
+            .map((entry) => {
+              const next = chainEntry(prev, entry.data);
+              prev = next.hash;
+              return JSON.stringify(next) + "\n";
+            })
+            .join("");
+          if (rebuilt !== served.toString("utf-8")) {
+            fail("redaction_mismatch", "Served journal differs from its original outside the ledger entries.", art.path);
+          }
+          originalValueOf = (e) => valueAtPath(originalEntries, e.path);
+        }
+      } else {
+        fail("redaction_mismatch", `Ledger artifact kind ${JSON.stringify(art.kind)} not recognized.`, art.path);
+        continue;
+      }
+
+      if (original) {
+        summary.originals_checked++;
+        if (salt !== null) {
+          for (const e of art.entries) {
+            const value = originalValueOf(e);
+            if (value === undefined || redactionHash(salt, value) !== e.original_sha256) {
+              fail("redaction_mismatch", `original_sha256 for ${e.path} does not match the original.`, art.original);
+            }
+          }
+        }
+      }
+    } catch (e) {
+      fail("redaction_mismatch", `Ledger could not be applied: ${e.message}`, art.path);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  VERIFY_EXIT_CODES,
+  resolvePacketDir,
+  verifyPacket,
+};
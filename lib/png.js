@@ -0,0 +1,144 @@
+/**
+ * lib/png.js
+ * Minimal PNG codec for screenshot comparison (lib/step_diff.js).
+ *
+ * Decodes the 8-bit, non-interlaced PNGs Chromium writes (grayscale, RGB, gray+alpha, RGBA;
+ * every filter type) to RGBA pixels, and encodes RGBA pixels. Anything else is refused
+ * rather than approximated.
+ */
+
+"use strict";
+
+const zlib = require("zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Color type -> channels per pixel
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Returns { width, height, data } with data as RGBA bytes (width * height * 4).
+ */
+function decodePng(buf) {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("not a PNG file");
+
+  let header = null;
+  const idat = [];
+  for (let off = 8; off + 8 <= buf.length; ) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("latin1", off + 4, off + 8);
+    const body = buf.subarray(off + 8, off + 8 + len);
+    if (type === "IHDR") {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    off += 12 + len;
+  }
+  if (!header) throw new Error("PNG has no IHDR chunk");
+  const channels = CHANNELS[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error(`PNG format not supported (bit depth ${header.bitDepth}, color type ${header.colorType}, interlace ${header.interlace})`);
+  }
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  if (raw.length < height * (stride + 1)) throw new Error("PNG image data truncated");
+
+  // Undo the per-scanline filters
+  const pixels = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[dst + x - channels] : 0;
+      const b = y > 0 ? pixels[dst - stride + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[dst - stride + x - channels] : 0;
+      const v = raw[src + x];
+      let out;
+      if (filter === 0) out = v;
+      else if (filter === 1) out = v + a;
+      else if (filter === 2) out = v + b;
+      else if (filter === 3) out = v + ((a + b) >> 1);
+      else if (filter === 4) out = v + paeth(a, b, c);
+      else throw new Error(`PNG filter type ${filter} not supported`);
+      pixels[dst + x] = out & 0xff;
+    }
+  }
+
+  if (channels === 4) return { width, height, data: pixels };
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const gray = channels <= 2;
+    data[i * 4] = pixels[j];
+    data[i * 4 + 1] = gray ? pixels[j] : pixels[j + 1];
+    data[i * 4 + 2] = gray ? pixels[j] : pixels[j + 2];
+    data[i * 4 + 3] = channels === 2 ? pixels[j + 1] : 255;
+  }
+  return { width, height, data };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, "latin1"), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([len, typeAndBody, crc]);
+}
+
+/**
+ * Encodes RGBA bytes as an 8-bit RGBA PNG (filter 0 on every line; deterministic bytes).
+ */
+function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+};
@@ -0,0 +1,188 @@
+/**
+ * lib/reading_order.js
+ * Linearized reading order derived from a step's AX snapshot (transcript exhibit).
+ *
+ * The snapshot (page.accessibility.snapshot, interestingOnly: false, as written to the AX
+ * exhibit, after redaction) is walked depth-first in tree order. Derivation is mechanical
+ * and deterministic; nothing is read from the page:
+ *   - generic, none and presentation nodes are not listed; their children are
+ *   - a text node is listed unless the nearest listed ancestor's name already contains
+ *     its text (a link "Home" is listed once, not followed by its text "Home")
+ *   - states are the snapshot's boolean/tristate properties, named as listed in STATE_NAMES
+ * The same snapshot always yields the same JSON bytes and the same transcript text.
+ */
+
+"use strict";
+
+const TRANSCRIPT_VERSION = 1;
+
+const UNLISTED_ROLES = new Set(["generic", "none", "presentation", "InlineTextBox", "LineBreak"]);
+const TEXT_ROLES = new Set(["text", "StaticText"]);
+const LANDMARK_ROLES = new Set(["banner", "complementary", "contentinfo", "form", "main", "navigation", "region", "search"]);
+const FORM_CONTROL_ROLES = new Set([
+  "textbox",
+  "searchbox",
+  "combobox",
+  "listbox",
+  "checkbox",
+  "radio",
+  "switch",
+  "slider",
+  "spinbutton",
+]);
+
+// Snapshot property -> state names for true/false/"mixed"; a false with no name is not listed
+const STATE_NAMES = [
+  ["checked", "checked", "not checked", "partially checked"],
+  ["pressed", "pressed", "not pressed", "partially pressed"],
+  ["expanded", "expanded", "collapsed"],
+  ["selected", "selected"],
+  ["disabled", "disabled"],
+  ["focused", "focused"],
+  ["required", "required"],
+  ["readonly", "read only"],
+  ["modal", "modal"],
+  ["multiline", "multi-line"],
+  ["multiselectable", "multi-selectable"],
+];
+
+function statesOf(node) {
+  const states = [];
+  for (const [key, whenTrue, whenFalse, whenMixed] of STATE_NAMES) {
+    const v = node[key];
+    if (v === true) states.push(whenTrue);
+    else if (v === false && whenFalse) states.push(whenFalse);
+    else if (v === "mixed" && whenMixed) states.push(whenMixed);
+  }
+  if (node.invalid && node.invalid !== "false") states.push(node.invalid === "true" ? "invalid" : `invalid (${node.invalid})`);
+  if (node.haspopup && node.haspopup !== "false") states.push(`has popup (${node.haspopup})`);
+  return states;
+}
+
+function textOf(v) {
+  return typeof v === "string" ? v.replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * Linearizes one AX snapshot. Returns { transcript_version, entries, headings, landmarks,
+ * inventory: { links, buttons, form_controls }, counts }. Entries are numbered from 1 in
+ * reading order; every other list refers to entries by that index.
+ */
+function linearizeAxSnapshot(snapshot) {
+  const entries = [];
+
+  function walk(node, depth, ancestorName, landmark) {
+    if (!node || typeof node !== "object") return;
+    const role = typeof node.role === "string" ? node.role : "";
+    const name = textOf(node.name);
+    let listed = !UNLISTED_ROLES.has(role) && role !== "";
+    if (TEXT_ROLES.has(role)) listed = name !== "" && !ancestorName.includes(name);
+
+    let childDepth = depth;
+    let childName = ancestorName;
+    let childLandmark = landmark;
+    if (listed) {
+      const entry = {
+        index: entries.length + 1,
+        depth,
+        role,
+        name,
+        value: node.value === undefined || node.value === null || node.value === "" ? null : String(node.value),
+        description: textOf(node.description) || null,
+        level: typeof node.level === "number" ? node.level : null,
+        states: statesOf(node),
+        landmark,
+      };
+      entries.push(entry);
+      childDepth = depth + 1;
+      childName = name;
+      if (LANDMARK_ROLES.has(role)) childLandmark = entry.index;
+    }
+    for (const child of Array.isArray(node.children) ? node.children : []) {
+      walk(child, childDepth, childName, childLandmark);
+    }
+  }
+  walk(snapshot, 0, "", null);
+
+  const pick = (pred, fields) => entries.filter(pred).map((e) => Object.fromEntries(fields.map((f) => [f, e[f]])));
+  const headings = pick((e) => e.role === "heading", ["index", "level", "name"]);
+  const landmarks = pick((e) => LANDMARK_ROLES.has(e.role), ["index", "role", "name"]);
+  const links = pick((e) => e.role === "link", ["index", "name", "states"]);
+  const buttons = pick((e) => e.role === "button", ["index", "name", "states"]);
+  const formControls = pick((e) => FORM_CONTROL_ROLES.has(e.role), ["index", "role", "name", "value", "states"]);
+
+  return {
+    transcript_version: TRANSCRIPT_VERSION,
+    entries,
+    headings,
+    landmarks,
+    inventory: { links, buttons, form_controls: formControls },
+    counts: {
+      entries: entries.length,
+      headings: headings.length,
+      landmarks: landmarks.length,
+      links: links.length,
+      buttons: buttons.length,
+      form_controls: formControls.length,
+      unnamed_links: links.filter((l) => l.name === "").length,
+      unnamed_buttons: buttons.filter((b) => b.name === "").length,
+      unnamed_form_controls: formControls.filter((c) => c.name === "").length,
+    },
+  };
+}
+
+function describeEntry(e) {
+  let s = e.role === "heading" && e.level !== null ? `heading level ${e.level}` : e.role;
+  if (LANDMARK_ROLES.has(e.role)) s = `[landmark] ${s}`;
+  s += e.name ? ` "${e.name}"` : " (no name)";
+  if (e.value !== null) s += ` value "${e.value}"`;
+  if (e.states.length) s += ` (${e.states.join(", ")})`;
+  return s;
+}
+
+/**
+ * Renders the plain-text transcript. source = { ax, ax_sha256, step_index, label }.
+ */
+function renderTranscript(reading, source) {
+  const lines = [];
+  const line = (s = "") => lines.push(s);
+  const idx = (n) => String(n).padStart(4, "0");
+
+  line("READING ORDER TRANSCRIPT");
+  line(`DERIVED FROM: ${source.ax} sha256=${source.ax_sha256 || "NONE"}`);
+  line(`STEP: ${source.step_index}${source.label ? ` (${source.label})` : ""}`);
+  line(`TRANSCRIPT VERSION: ${reading.transcript_version}`);
+  line("");
+
+  line("READING ORDER");
+  if (reading.entries.length === 0) line("  NONE RECORDED.");
+  for (const e of reading.entries) line(`  ${idx(e.index)}  ${"  ".repeat(e.depth)}${describeEntry(e)}`);
+  line("");
+
+  const section = (title, list, fmt) => {
+    line(`${title} (${list.length})`);
+    if (list.length === 0) line("  NONE RECORDED.");
+    for (const item of list) line(`  ${idx(item.index)}  ${fmt(item)}`);
+    line("");
+  };
+  const named = (n) => (n ? `"${n}"` : "(no name)");
+  const withStates = (i) => (i.states.length ? ` (${i.states.join(", ")})` : "");
+
+  section("HEADINGS", reading.headings, (h) => `level ${h.level === null ? "-" : h.level} ${named(h.name)}`);
+  section("LANDMARKS", reading.landmarks, (l) => `${l.role} ${named(l.name)}`);
+  section("LINKS", reading.inventory.links, (l) => `${named(l.name)}${withStates(l)}`);
+  section("BUTTONS", reading.inventory.buttons, (b) => `${named(b.name)}${withStates(b)}`);
+  section(
+    "FORM CONTROLS",
+    reading.inventory.form_controls,
+    (c) => `${c.role} ${named(c.name)}${c.value !== null ? ` value "${c.value}"` : ""}${withStates(c)}`
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  TRANSCRIPT_VERSION,
+  linearizeAxSnapshot,
+  renderTranscript,
+};
@@ -0,0 +1,317 @@
+/**
+ * lib/redaction.js
+ * Named redaction profiles applied to AX snapshots, HTML snapshots and the journal
+ * (flow "redaction", SKUAEngine manifest "redaction").
+ *
+ * A redactor replaces each redacted value or span with "[REDACTED:<rule>]" and records a
+ * ledger entry: the path (JSON path, or byte range of the original HTML), the rules that
+ * matched, the replacement, and sha256(salt || original value). The salt stays with the
+ * originals, so a ledger without them cannot be used to confirm a guessed value.
+ * applyJsonLedger / applyHtmlLedger rebuild a redacted artifact from its original, which
+ * is how a holder of the originals proves that nothing else was altered.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const { sha256Bytes } = require("./packet_io");
+
+// Applied in this order; the first rule to claim a span keeps it
+const TEXT_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  us_ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
+  payment_card: /\b\d(?:[ -]?\d){12,18}\b/g,
+  phone: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g,
+};
+
+// SKUAEngine's original AX denylist
+const SKUA_AX_KEYS = ["name", "value", "description", "help", "url", "text", "title", "placeholder", "ariaLabel"];
+
+/**
+ * ax_keys:          AX properties whose whole value is replaced (AX JSON only)
+ * html_form_values: input value attributes and textarea content (HTML only)
+ * typed_text:       every type_selector text of the plan, wherever it appears
+ * patterns:         TEXT_PATTERNS applied to AX strings, HTML and journal strings
+ */
+const REDACTION_PROFILES = {
+  none: { ax_keys: [], html_form_values: false, typed_text: false, patterns: [] },
+  form_values: { ax_keys: ["value"], html_form_values: true, typed_text: true, patterns: [] },
+  contact_pii: {
+    ax_keys: ["value"],
+    html_form_values: true,
+    typed_text: true,
+    patterns: ["email", "us_ssn", "payment_card", "phone"],
+  },
+  skua_denylist: { ax_keys: SKUA_AX_KEYS, html_form_values: true, typed_text: true, patterns: [] },
+};
+
+// input types whose value attribute is a label or constant, never user data
+const NON_DATA_INPUT_TYPES = ["button", "submit", "reset", "image", "checkbox", "radio"];
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validates a redaction declaration. Returns the profile id ("none" when undeclared).
+ */
+function normalizeRedactionProfile(decl, where = "redaction") {
+  if (decl === undefined || decl === null) return "none";
+  if (typeof decl !== "string" || !Object.prototype.hasOwnProperty.call(REDACTION_PROFILES, decl)) {
+    throw new Error(`${where} must be one of ${Object.keys(REDACTION_PROFILES).join(", ")}.`);
+  }
+  return decl;
+}
+
+function redactionHash(salt, value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return sha256Bytes(Buffer.from(salt + text, "utf-8"));
+}
+
+function jsonPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+// Inverse of jsonPath: "$.children[0][\"aria-label\"]" -> ["children", 0, "aria-label"]
+function parseJsonPath(p) {
+  if (!p.startsWith("$")) throw new Error(`JSON path must start with $: ${p}`);
+  const segments = [];
+  const re = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+  re.lastIndex = 1;
+  while (re.lastIndex < p.length) {
+    const m = re.exec(p);
+    if (!m) throw new Error(`JSON path malformed: ${p}`);
+    segments.push(m[1] !== undefined ? m[1] : m[2] !== undefined ? Number(m[2]) : JSON.parse(m[3]));
+  }
+  return segments;
+}
+
+// Non-overlapping spans, earliest first; on a tie the longer span wins
+function pickSpans(spans) {
+  const out = [];
+  let end = -1;
+  for (const s of spans.slice().sort((a, b) => a.start - b.start || b.end - a.end)) {
+    if (s.start >= end) {
+      out.push(s);
+      end = s.end;
+    }
+  }
+  return out;
+}
+
+/**
+ * Builds a redactor for one run. typedTexts are the plan's type_selector texts.
+ * Ledger entries are also collected per artifact in redactor.artifacts (artifact path -> entries).
+ */
+function createRedactor(profileId, { typedTexts = [], salt = crypto.randomBytes(16).toString("hex") } = {}) {
+  const rules = REDACTION_PROFILES[normalizeRedactionProfile(profileId)];
+  const literals = rules.typed_text ? [...new Set(typedTexts.filter((t) => typeof t === "string" && t))] : [];
+  const artifacts = new Map();
+
+  function textSpans(text, offset = 0) {
+    const spans = [];
+    // Longest literal first, so a typed text containing another is redacted whole
+    for (const lit of literals.slice().sort((a, b) => b.length - a.length)) {
+      for (let i = text.indexOf(lit); i !== -1; i = text.indexOf(lit, i + lit.length)) {
+        spans.push({ start: offset + i, end: offset + i + lit.length, rule: "typed_text" });
+      }
+    }
+    for (const name of rules.patterns) {
+      const re = new RegExp(TEXT_PATTERNS[name].source, "g");
+      for (let m = re.exec(text); m; m = re.exec(text)) {
+        if (name === "payment_card" && !luhnValid(m[0].replace(/\D/g, ""))) continue;
+        spans.push({ start: offset + m.index, end: offset + m.index + m[0].length, rule: name });
+      }
+    }
+    return spans;
+  }
+
+  function record(artifact, entry) {
+    if (!artifacts.has(artifact)) artifacts.set(artifact, []);
+    artifacts.get(artifact).push(entry);
+    return entry;
+  }
+
+  function replaceSpans(text, spans) {
+    let out = "";
+    let at = 0;
+    for (const s of spans) {
+      out += text.slice(at, s.start) + `[REDACTED:${s.rule}]`;
+      at = s.end;
+    }
+    return out + text.slice(at);
+  }
+
+  /**
+   * Returns { value, entries } with value a redacted deep copy. keys: false applies the
+   * text rules only (journal data, whose keys are executor fields, not page properties).
+   */
+  function redactJson(value, artifact, { basePath = "$", keys = true } = {}) {
+    const entries = [];
+
+    function walk(v, p) {
+      if (Array.isArray(v)) return v.map((item, i) => walk(item, jsonPath(p, i)));
+      if (v && typeof v === "object") {
+        const out = {};
+        for (const k of Object.keys(v)) {
+          const kp = jsonPath(p, k);
+          if (keys && rules.ax_keys.includes(k) && v[k] !== null && v[k] !== undefined) {
+            const replacement = `[REDACTED:ax.${k}]`;
+            entries.push(record(artifact, { path: kp, rules: [`ax.${k}`], replacement, original_sha256: redactionHash(salt, v[k]) }));
+            out[k] = replacement;
+          } else {
+            out[k] = walk(v[k], kp);
+          }
+        }
+        return out;
+      }
+      if (typeof v === "string") {
+        const spans = pickSpans(textSpans(v));
+        if (spans.length === 0) return v;
+        const replacement = replaceSpans(v, spans);
+        entries.push(
+          record(artifact, {
+            path: p,
+            rules: [...new Set(spans.map((s) => s.rule))],
+            replacement,
+            original_sha256: redactionHash(salt, v),
+          })
+        );
+        return replacement;
+      }
+      return v;
+    }
+
+    return { value: walk(value, basePath), entries };
+  }
+
+  /**
+   * Returns { html, entries }. Entries carry byte offsets into the original UTF-8 bytes.
+   */
+  function redactHtml(html, artifact) {
+    const spans = [];
+    if (rules.html_form_values) {
+      for (const m of html.matchAll(/<input\b[^>]*>/gi)) {
+        const tag = m[0];
+        const type = /\stype\s*=\s*["']?([\w-]+)/i.exec(tag);
+        if (type && NON_DATA_INPUT_TYPES.includes(type[1].toLowerCase())) continue;
+        const attr = /\svalue\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(tag);
+        if (!attr) continue;
+        const inner = attr[1] !== undefined ? attr[1] : attr[2] !== undefined ? attr[2] : attr[3];
+        if (!inner) continue;
+        const start = m.index + attr.index + attr[0].length - inner.length - (attr[3] !== undefined ? 0 : 1);
+        spans.push({ start, end: start + inner.length, rule: "html.input_value" });
+      }
+      for (const m of html.matchAll(/(<textarea\b[^>]*>)([\s\S]*?)<\/textarea>/gi)) {
+        if (!m[2]) continue;
+        const start = m.index + m[1].length;
+        spans.push({ start, end: start + m[2].length, rule: "html.textarea" });
+      }
+    }
+    // Form rules are listed first and win ties; text rules fill in around them
+    const picked = pickSpans([...pickSpans(spans), ...textSpans(html)]);
+
+    const entries = [];
+    let byteAt = 0;
+    let charAt = 0;
+    for (const s of picked) {
+      byteAt += Buffer.byteLength(html.slice(charAt, s.start), "utf-8");
+      const original = html.slice(s.start, s.end);
+      const byteEnd = byteAt + Buffer.byteLength(original, "utf-8");
+      entries.push(
+        record(artifact, {
+          path: `bytes[${byteAt}:${byteEnd}]`,
+          byte_start: byteAt,
+          byte_end: byteEnd,
+          rules: [s.rule],
+          replacement: `[REDACTED:${s.rule}]`,
+          original_sha256: redactionHash(salt, original),
+        })
+      );
+      byteAt = byteEnd;
+      charAt = s.end;
+    }
+    return { html: replaceSpans(html, picked), entries };
+  }
+
+  return {
+    profile: normalizeRedactionProfile(profileId),
+    rules,
+    active: rules.ax_keys.length > 0 || rules.html_form_values || literals.length > 0 || rules.patterns.length > 0,
+    salt,
+    artifacts,
+    redactJson,
+    redactHtml,
+  };
+}
+
+/**
+ * Applies JSON ledger entries (paths relative to $) to a deep copy of original.
+ */
+function applyJsonLedger(original, entries) {
+  const out = JSON.parse(JSON.stringify(original));
+  for (const e of entries) {
+    const segs = parseJsonPath(e.path);
+    if (segs.length === 0) return e.replacement;
+    let parent = out;
+    for (const seg of segs.slice(0, -1)) {
+      if (parent === null || typeof parent !== "object" || !(seg in parent)) throw new Error(`Ledger path not in original: ${e.path}`);
+      parent = parent[seg];
+    }
+    const last = segs[segs.length - 1];
+    if (parent === null || typeof parent !== "object" || !(last in parent)) throw new Error(`Ledger path not in original: ${e.path}`);
+    parent[last] = e.replacement;
+  }
+  return out;
+}
+
+/**
+ * Returns the value at a ledger path (undefined when the path does not resolve).
+ */
+function valueAtPath(root, p) {
+  let v = root;
+  for (const seg of parseJsonPath(p)) {
+    if (v === null || typeof v !== "object" || !(seg in v)) return undefined;
+    v = v[seg];
+  }
+  return v;
+}
+
+/**
+ * Applies HTML ledger entries (byte ranges of the original) to the original bytes.
+ */
+function applyHtmlLedger(originalBuf, entries) {
+  const parts = [];
+  let at = 0;
+  for (const e of entries.slice().sort((a, b) => a.byte_start - b.byte_start)) {
+    if (e.byte_start < at || e.byte_end > originalBuf.length || e.byte_end < e.byte_start) {
+      throw new Error(`Ledger byte range out of order or out of bounds: ${e.path}`);
+    }
+    parts.push(originalBuf.subarray(at, e.byte_start), Buffer.from(e.replacement, "utf-8"));
+    at = e.byte_end;
+  }
+  parts.push(originalBuf.subarray(at));
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  TEXT_PATTERNS,
+  REDACTION_PROFILES,
+  normalizeRedactionProfile,
+  redactionHash,
+  parseJsonPath,
+  valueAtPath,
+  createRedactor,
+  applyJsonLedger,
+  applyHtmlLedger,
+};
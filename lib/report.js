@@ -0,0 +1,438 @@
+/**
+ * lib/report.js
+ * Human-readable report rendering for SKU-A Deliverable Packets.
+ *
+ * Renders STATUS.txt and Execution_Report.txt from sealed artifacts only
+ * (run_metadata.json, interaction_log.json, evidence_index.json, console.json,
+ * third_party_domains.json)
+ * plus the packet hash, and Comparison_Report.txt from a sealed comparison.json. Output is deterministic: no clock reads, no host data.
+ *
+ * Vocabulary is mechanical: OBSERVED, RECORDED, ATTEMPTED. Any configured
+ * evaluative term found in recorded text is withheld and the withholding is
+ * disclosed. The report template itself may never contain one (hard fail).
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TERMS_PATH = path.join(__dirname, "..", "report_forbidden_terms.json");
+
+// Sealed with each packet's terms list (report_terms.json). Bump it whenever the rendered text
+// of STATUS.txt or Execution_Report.txt changes: the verifier re-renders same-format packets only.
+const REPORT_FORMAT = 1;
+
+// Console entry types rendered in the report (other console output stays in console.json)
+const REPORTED_CONSOLE_TYPES = ["error", "pageerror", "evidence_error"];
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Loads the forbidden evaluative terms. ECT_FORBIDDEN_TERMS may point at a replacement list.
+ */
+function loadForbiddenTerms(termsPath = process.env.ECT_FORBIDDEN_TERMS || DEFAULT_TERMS_PATH) {
+  const parsed = JSON.parse(fs.readFileSync(termsPath, "utf-8"));
+  const terms = Array.isArray(parsed) ? parsed : parsed.terms;
+  if (!Array.isArray(terms) || terms.some((t) => typeof t !== "string" || !t.trim())) {
+    throw new Error(`Forbidden terms list invalid (expected non-empty strings): ${termsPath}`);
+  }
+  return terms.map((t) => t.trim());
+}
+
+/**
+ * Builds the term filter. Longer terms are matched first so "accessibility barrier"
+ * is withheld as one phrase rather than leaving "accessibility" behind.
+ */
+function createTermFilter(terms) {
+  const sorted = terms.slice().sort((a, b) => b.length - a.length || a.localeCompare(b));
+  const pattern = sorted.length
+    ? new RegExp(`(?<![A-Za-z0-9])(?:${sorted.map(escapeRegExp).join("|")})(?![A-Za-z0-9])`, "gi")
+    : null;
+  const withheld = [];
+
+  return {
+    // Recorded (verbatim) text: evaluative terms are replaced with a disclosed marker
+    recorded(text, source) {
+      const str = text === null || text === undefined ? "" : String(text);
+      if (!pattern) return str;
+      return str.replace(pattern, (match) => {
+        withheld.push({ source, term: match.toLowerCase() });
+        return "[TERM WITHHELD]";
+      });
+    },
+    // Template text: an evaluative term here is a generator defect, never masked
+    assertTemplate(lines) {
+      if (!pattern) return;
+      lines.forEach((line, i) => {
+        pattern.lastIndex = 0;
+        const hit = pattern.exec(line);
+        if (hit) {
+          throw new Error(`Report template emitted forbidden term "${hit[0]}" at line ${i + 1}; refusing to write.`);
+        }
+      });
+    },
+    withheld,
+  };
+}
+
+/**
+ * Line collector. Template text is checked against the filter when the document is finished;
+ * each %s placeholder carries a value that was already passed through rec() (recorded text,
+ * filtered) or ref() (identifiers such as run ids, exhibit paths and hashes, emitted verbatim).
+ */
+function createDocument(filter) {
+  const out = [];
+  const template = [];
+  return {
+    line(tpl, ...values) {
+      template.push(tpl);
+      let i = 0;
+      out.push(tpl.replace(/%s/g, () => values[i++]));
+    },
+    rec: (text, source) => (text === null || text === undefined ? "NONE" : filter.recorded(text, source)),
+    ref: (value) => (value === null || value === undefined ? "NONE" : String(value)),
+    finish() {
+      filter.assertTemplate(template);
+      return out.join("\n") + "\n";
+    },
+  };
+}
+
+// GOAL line: whether the declared end state was OBSERVED at the goal check
+function goalStatus(goal) {
+  if (!goal) return "NOT DECLARED";
+  if (goal.observed === null || goal.observed === undefined) return "NOT EVALUATED";
+  return goal.observed ? "OBSERVED" : "NOT OBSERVED";
+}
+
+function stepLabel(stepIndex) {
+  return typeof stepIndex === "number" ? String(stepIndex).padStart(3, "0") : String(stepIndex);
+}
+
+/**
+ * STATUS.txt: the one-screen banner. Always names the run status and error type.
+ */
+function renderStatus({ runMetadata, packetHash }, terms) {
+  const filter = createTermFilter(terms);
+  const { line, rec, ref, finish } = createDocument(filter);
+
+  line(`RUN STATUS: ${String(runMetadata.status || "unknown").toUpperCase()}`);
+  line(`ERROR TYPE: ${runMetadata.error_type || "NONE"}`);
+  line("ERROR MESSAGE: %s", runMetadata.error ? rec(runMetadata.error, "run_metadata.error") : "NONE");
+  line("RUN ID: %s", ref(runMetadata.run_id));
+  line("FLOW ID: %s", ref(runMetadata.flow_id));
+  line(`CAPTURE MODE: ${runMetadata.capture_mode || "NOT RESOLVED"}`);
+  line(`GOAL: ${goalStatus(runMetadata.goal)}`);
+  line(`STARTED UTC: ${runMetadata.started_at_utc}`);
+  line(`FINISHED UTC: ${runMetadata.finished_at_utc}`);
+  line(`PACKET HASH: ${packetHash}`);
+  if (filter.withheld.length) line(`TERMS WITHHELD: ${filter.withheld.length}`);
+
+  return finish();
+}
+
+/**
+ * Execution_Report.txt: run metadata, URL provenance, every interaction_log step with its
+ * exhibits and hashes, disclosed deviations, third-party domains, console/page errors,
+ * and the packet hash.
+ */
+function renderExecutionReport(
+  { runMetadata, interactionLog, evidenceIndex, consoleEvents, thirdPartyDomains, packetHash },
+  terms
+) {
+  const filter = createTermFilter(terms);
+  const { line, rec, ref, finish } = createDocument(filter);
+
+  const evidenceByStep = new Map(evidenceIndex.map((ev) => [ev.step_index, ev]));
+  const env = runMetadata.environment || {};
+
+  line("SKU-A EXECUTION REPORT");
+  line("======================");
+  line("All entries below are RECORDED from sealed packet artifacts. No entry is typed after capture.");
+  line("");
+  line("RUN");
+  line("  RUN ID: %s", ref(runMetadata.run_id));
+  line("  FLOW ID: %s", ref(runMetadata.flow_id));
+  line("  CASE LABEL: %s", ref(runMetadata.case_label));
+  line("  FLOW PLAN SHA-256 (COMMITTED BEFORE LAUNCH): %s", ref(runMetadata.flow_plan_sha256));
+  if (runMetadata.replay_of) {
+    line("  REPLAY OF PACKET HASH: %s", ref(runMetadata.replay_of.packet_hash));
+    line("  REPLAY OF RUN ID: %s", ref(runMetadata.replay_of.run_id));
+    line("  REPLAY SOURCE network.har SHA-256: %s", ref(runMetadata.replay_of.network_har_sha256));
+    line("  REPLAY NETWORK: requests answered from the source HAR only; unmatched requests aborted.");
+  }
+  line(`  CAPTURE MODE: ${runMetadata.capture_mode || "NOT RESOLVED"}`);
+  line("  PROFILE: %s", runMetadata.profile ? ref(runMetadata.profile.id) : "NONE (flow browser_context)");
+  line(`  RUN STATUS: ${String(runMetadata.status || "unknown").toUpperCase()}`);
+  line(`  ERROR TYPE: ${runMetadata.error_type || "NONE"}`);
+  line("  ERROR MESSAGE: %s", runMetadata.error ? rec(runMetadata.error, "run_metadata.error") : "NONE");
+  line(`  GOAL: ${goalStatus(runMetadata.goal)}`);
+  line(`  STARTED UTC: ${runMetadata.started_at_utc}`);
+  line(`  FINISHED UTC: ${runMetadata.finished_at_utc}`);
+  line("");
+
+  line("ENVIRONMENT (RECORDED)");
+  for (const key of Object.keys(env).sort()) {
+    const value = env[key] !== null && typeof env[key] === "object" ? JSON.stringify(env[key]) : env[key];
+    line(`  ${key}: %s`, rec(value, `environment.${key}`));
+  }
+  line("");
+
+  line("REDACTION");
+  const redaction = runMetadata.redaction || null;
+  if (!redaction || redaction.profile === "none") {
+    line("  PROFILE: none (exhibits and journal RECORDED unredacted)");
+  } else {
+    const counts = redaction.entries || {};
+    line("  PROFILE: %s", ref(redaction.profile));
+    line(
+      `  REDACTIONS RECORDED: ax ${counts.ax || 0}, html ${counts.html || 0}, journal ${counts.journal || 0}, plan ${counts.plan || 0} (see %s)`,
+      ref(redaction.ledger)
+    );
+    line(`  ORIGINALS SEALED IN RESTRICTED TIER: ${(redaction.restricted_files || []).length} files (withheld from sanitized copies)`);
+  }
+  line("");
+
+  line("URL PROVENANCE");
+  line("  START URL (PLAN): %s", rec(runMetadata.site, "run_metadata.site"));
+  const resolved = interactionLog.find((e) => e.action === "provenance_resolved_start_url");
+  line(
+    "  START URL (RESOLVED): %s",
+    resolved && resolved.url ? rec(resolved.url, "interaction_log.url") : "NONE RECORDED"
+  );
+  const navigation = interactionLog.find((e) => e.action === "provenance_final_url");
+  line(
+    "  URL OBSERVED AFTER NAVIGATION: %s",
+    navigation && navigation.url ? rec(navigation.url, "interaction_log.url") : "NONE RECORDED"
+  );
+  for (const url of (navigation && navigation.redirect_chain) || []) {
+    line("  REDIRECT OBSERVED FROM: %s", rec(url, "interaction_log.redirect_chain"));
+  }
+  const lastWithUrl = interactionLog.filter((e) => e.url).slice(-1)[0];
+  line("  FINAL URL OBSERVED: %s", lastWithUrl ? rec(lastWithUrl.url, "interaction_log.url") : "NONE RECORDED");
+  line("");
+
+  line("STEPS");
+  if (interactionLog.length === 0) line("  NO STEPS RECORDED.");
+  for (const entry of interactionLog) {
+    const src = `interaction_log[step ${stepLabel(entry.step_index)}]`;
+    line(`  STEP ${stepLabel(entry.step_index)}`);
+    line("    ATTEMPTED: %s", ref(entry.action));
+    line(`    RESULT RECORDED: ${entry.result}`);
+    if (entry.error_type) line(`    ERROR TYPE: ${entry.error_type}`);
+    if (entry.error_message) line("    ERROR MESSAGE: %s", rec(entry.error_message, src));
+    if (entry.note) line("    PLAN NOTE: %s", rec(entry.note, src));
+    line("    URL OBSERVED: %s", entry.url ? rec(entry.url, src) : "NONE");
+    if (entry.settle) {
+      const st = entry.settle;
+      line(
+        st.settled
+          ? `    SETTLE BEFORE CAPTURE: SETTLED after ${st.elapsed_ms} ms, ${st.mutation_count} mutations OBSERVED`
+          : `    SETTLE BEFORE CAPTURE: MAX WAIT REACHED after ${st.elapsed_ms} ms, ${st.mutation_count} mutations OBSERVED, open: ${st.unmet.join(", ")}`
+      );
+    }
+    if (entry.action === "verify_goal") {
+      if (entry.goal_selector) line("    GOAL SELECTOR: %s", ref(entry.goal_selector));
+      if (entry.goal_text) line("    GOAL TEXT: %s", rec(entry.goal_text, src));
+      if (typeof entry.match_count === "number") line(`    MATCHES OBSERVED: ${entry.match_count}`);
+    }
+    if (entry.focus_sequence) {
+      const fsq = entry.focus_sequence;
+      line(`    FOCUS PRESSES RECORDED: ${fsq.presses} (see %s)`, ref(fsq.record));
+      line(`    FOCUS ON BODY AT PRESSES: ${fsq.focus_on_body_presses.join(", ") || "NONE"}`);
+      line(`    FOCUS CYCLES WITHIN SUBTREE RECORDED: ${fsq.focus_traps}`);
+    }
+    if (entry.allow_multiple_matches) {
+      line(
+        `    OVERRIDE RECORDED: allow_multiple_matches, ${entry.allow_multiple_matches.match_count} matches OBSERVED`
+      );
+    }
+
+    // Step 001 holds three provenance entries; only the one with exhibits lists them
+    const ev = entry.screenshot ? evidenceByStep.get(entry.step_index) : null;
+    if (ev) {
+      line("    EXHIBIT RECORDED: %s sha256=%s", ref(ev.screenshot), ref(ev.screenshot_sha256));
+      const red = ev.redactions || {};
+      line(`    EXHIBIT RECORDED: %s sha256=%s${red.html ? ` (${red.html} redactions)` : ""}`, ref(ev.html), ref(ev.html_sha256));
+      line(`    EXHIBIT RECORDED: %s sha256=%s${red.ax ? ` (${red.ax} redactions)` : ""}`, ref(ev.ax), ref(ev.ax_sha256));
+      if (ev.transcript) line("    EXHIBIT RECORDED: %s sha256=%s (derived from the AX exhibit)", ref(ev.transcript), ref(ev.transcript_sha256));
+      if (ev.transcript_text) line("    EXHIBIT RECORDED: %s sha256=%s", ref(ev.transcript_text), ref(ev.transcript_text_sha256));
+      if (ev.mirror) {
+        const ms = ev.mirror_stats || {};
+        line(
+          `    EXHIBIT RECORDED: %s sha256=%s (${ms.resources || 0} resources referenced, ${ms.resources_unresolved || 0} not recorded)`,
+          ref(ev.mirror),
+          ref(ev.mirror_sha256)
+        );
+      }
+      if (ev.styles) {
+        line(
+          `    EXHIBIT RECORDED: %s sha256=%s (${ev.styles_element_count || 0} elements)`,
+          ref(ev.styles),
+          ref(ev.styles_sha256)
+        );
+      }
+    } else {
+      line("    EXHIBIT RECORDED: NONE");
+    }
+    line(`    TIMESTAMP UTC: ${entry.timestamp_utc}`);
+  }
+  line("");
+
+  line("STEP DIFFS (RECORDED)");
+  const stepDiffs = runMetadata.step_diffs || [];
+  if (stepDiffs.length === 0) line("  NONE RECORDED.");
+  for (const d of stepDiffs) {
+    const ax = d.ax
+      ? `AX ${d.ax.added} added, ${d.ax.removed} removed, ${d.ax.changed} changed, focus moved ${d.ax.focus_moved ? "YES" : "NO"}`
+      : "AX NOT COMPARED";
+    const html = d.html
+      ? `HTML ${d.html.elements_added} elements added, ${d.html.elements_removed} removed, text changed ${d.html.text_identical ? "NO" : "YES"}`
+      : "HTML NOT COMPARED";
+    const px = d.pixel_difference_ratio === null ? "PIXELS NOT COMPARED" : `pixel difference ratio ${d.pixel_difference_ratio.toFixed(6)}`;
+    line(`  STEP ${stepLabel(d.from_step)} TO ${stepLabel(d.to_step)}: ${ax}; ${html}; ${px}`);
+    line(`    EXHIBIT RECORDED: %s${d.mask ? " and %s" : ""}`, ref(d.diff), ...(d.mask ? [ref(d.mask)] : []));
+  }
+  line("");
+
+  line("DISCLOSED DEVIATIONS");
+  const deviations = runMetadata.deviations || [];
+  if (deviations.length === 0) line("  NONE RECORDED.");
+  for (const d of deviations) {
+    const actedOn = typeof d.acted_on_match_index === "number" ? `, action ATTEMPTED on match ${d.acted_on_match_index}` : "";
+    line(
+      `  STEP ${stepLabel(d.step_index)}: %s on %s, selector %s, ${d.match_count} matches OBSERVED${actedOn}`,
+      ref(d.type),
+      ref(d.action),
+      rec(JSON.stringify(d.selector), "run_metadata.deviations")
+    );
+  }
+  line("");
+
+  line("THIRD-PARTY DOMAINS OBSERVED");
+  const domains = (thirdPartyDomains && thirdPartyDomains.domains) || [];
+  if (domains.length === 0) line("  NONE RECORDED.");
+  for (const d of domains) {
+    line(`  ${d.first_seen_utc} %s (source: %s)`, rec(d.domain, "third_party_domains.json"), ref(d.source_artifact));
+  }
+  line("");
+
+  line("CONSOLE AND PAGE ERRORS (RECORDED)");
+  const errors = consoleEvents.filter((c) => REPORTED_CONSOLE_TYPES.includes(c.type));
+  if (errors.length === 0) line("  NONE RECORDED.");
+  for (const c of errors) {
+    line(`  ${c.timestamp_utc} ${c.type}: %s`, rec(c.text, "console.json"));
+  }
+  line("");
+
+  line("SEAL");
+  line(`  PACKET HASH: ${packetHash}`);
+  line("  packet_hash.txt = SHA-256 of 03_Verification/manifest_core.json bytes.");
+  line(`  TERMS WITHHELD: ${filter.withheld.length}`);
+  for (const w of filter.withheld) {
+    line("    WITHHELD FROM %s", ref(w.source));
+  }
+
+  return finish();
+}
+
+/**
+ * Comparison_Report.txt: two packets of one flow side by side (lib/run_compare.js), rendered
+ * from comparison.json and its hash. A and B are the packets in the order given.
+ */
+function renderComparisonReport({ comparison, comparisonHash }, terms) {
+  const filter = createTermFilter(terms);
+  const { line, rec, ref, finish } = createDocument(filter);
+  const src = "comparison.json";
+  const same = (p) => (p.identical ? "IDENTICAL" : "DIFFERENT");
+  const val = (v) => (v === null || v === undefined ? "NONE" : rec(String(v), src));
+
+  line("SKU-A RUN COMPARISON REPORT");
+  line("===========================");
+  line("All entries below are RECORDED from two verified, sealed packets. No entry is typed after capture.");
+  line("");
+
+  line("RUNS");
+  line("  FLOW ID: %s", ref(comparison.flow_id));
+  for (const key of ["a", "b"]) {
+    const r = comparison.runs[key];
+    line(`  ${key.toUpperCase()}: %s`, ref(r.target));
+    line("    RUN ID: %s", ref(r.run_id));
+    line("    PACKET HASH: %s", ref(r.packet_hash));
+    line(`    VERIFIED: ${r.verified ? "YES" : "NO"}${r.withheld_files ? ` (${r.withheld_files} restricted files withheld)` : ""}`);
+  }
+  line("");
+
+  line("RUN RESULTS");
+  line(`  STATUS: A ${String(comparison.status.a).toUpperCase()} | B ${String(comparison.status.b).toUpperCase()} (${same(comparison.status)})`);
+  line(`  ERROR TYPE: A ${comparison.error_type.a || "NONE"} | B ${comparison.error_type.b || "NONE"} (${same(comparison.error_type)})`);
+  line(`  PROFILE: A %s | B %s (${same(comparison.profile)})`, ref(comparison.profile.a), ref(comparison.profile.b));
+  line(`  FINAL URL (${same(comparison.final_url)}):`);
+  line("    A: %s", val(comparison.final_url.a));
+  line("    B: %s", val(comparison.final_url.b));
+  line("");
+
+  line("STEPS");
+  const sum = comparison.summary;
+  line(`  ALIGNED: ${sum.steps_aligned} | ONLY IN A: ${sum.steps_only_in_a} | ONLY IN B: ${sum.steps_only_in_b}`);
+  line(
+    `  DIFFERENT RESULT: ${sum.steps_with_different_result} | DIFFERENT URL: ${sum.steps_with_different_url} | DIFFERENT AX INVENTORY: ${sum.steps_with_different_ax_inventory}`
+  );
+  for (const s of comparison.steps) {
+    line("");
+    line(`  STEP ${stepLabel(s.step_index)}${s.in_both ? "" : s.a ? " (ONLY IN A)" : " (ONLY IN B)"}`);
+    for (const key of ["a", "b"]) {
+      const r = s[key];
+      if (!r) continue;
+      line(`    ${key.toUpperCase()}: %s %s${r.error_type ? ` (${r.error_type})` : ""} at %s`, ref(r.action), ref(String(r.result).toUpperCase()), val(r.url));
+    }
+    if (!s.ax_inventory) {
+      if (s.in_both) line("    AX INVENTORY: NOT COMPARED (no AX exhibit in one or both packets)");
+      continue;
+    }
+    for (const [cat, inv] of Object.entries(s.ax_inventory)) {
+      const label = cat.replace(/_/g, " ").toUpperCase();
+      line(`    AX ${label}: A ${inv.a} | B ${inv.b}`);
+      for (const x of inv.only_in_a) line(`      ONLY IN A${x.count > 1 ? ` (x${x.count})` : ""}: %s`, rec(x.value, src));
+      for (const x of inv.only_in_b) line(`      ONLY IN B${x.count > 1 ? ` (x${x.count})` : ""}: %s`, rec(x.value, src));
+    }
+  }
+  line("");
+
+  line("CONSOLE AND PAGE ERRORS (RECORDED)");
+  const ce = comparison.console_errors;
+  line(`  A: ${ce.a} | B: ${ce.b}`);
+  for (const x of ce.only_in_a) line(`  ONLY IN A${x.count > 1 ? ` (x${x.count})` : ""}: %s`, rec(x.value, src));
+  for (const x of ce.only_in_b) line(`  ONLY IN B${x.count > 1 ? ` (x${x.count})` : ""}: %s`, rec(x.value, src));
+  line("");
+
+  line("THIRD-PARTY DOMAINS OBSERVED (REQUESTS RECORDED IN network.har)");
+  const tp = comparison.third_party_domains;
+  if (tp.requests.length === 0) line("  NONE RECORDED.");
+  for (const d of tp.requests) {
+    line(`  %s: A ${d.a === null ? "NOT OBSERVED" : d.a} | B ${d.b === null ? "NOT OBSERVED" : d.b}`, rec(d.domain, src));
+  }
+  line("");
+
+  line("SEAL");
+  line(`  COMPARISON HASH: ${comparisonHash}`);
+  line("  comparison_hash.txt = SHA-256 of comparison.json bytes.");
+  line(`  TERMS WITHHELD: ${filter.withheld.length}`);
+  for (const w of filter.withheld) {
+    line("    WITHHELD FROM %s", ref(w.source));
+  }
+
+  return finish();
+}
+
+module.exports = {
+  REPORT_FORMAT,
+  loadForbiddenTerms,
+  createTermFilter,
+  renderStatus,
+  renderExecutionReport,
+  renderComparisonReport,
+};
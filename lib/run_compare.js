@@ -0,0 +1,260 @@
+/**
+ * lib/run_compare.js
+ * Cross-run comparison of two verified packets of the same flow (node ect.js --compare).
+ *
+ * Both packets are verified first; a packet that does not verify, or a pair with different
+ * flow_ids, is refused. Steps are aligned by step index. Every compared value is read from
+ * the sealed artifacts of each packet and RECORDED side by side:
+ *   - status, error type and final URL (last URL in interaction_log.json)
+ *   - per step: action, result, error type, URL, and the AX inventory (headings, landmarks,
+ *     links, buttons, form controls) derived from the step's AX exhibit (lib/reading_order.js)
+ *   - console errors (console.json types error and pageerror), by text and count
+ *   - third-party domains (third_party_domains.json) with their request counts in network.har
+ * Nothing is judged; identical and different values are both listed.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { PACKET_FILES, readJson } = require("./packet_io");
+const { verifyPacket } = require("./packet_verify");
+const { linearizeAxSnapshot } = require("./reading_order");
+
+const COMPARISON_VERSION = 1;
+
+// Page-originated console entries; evidence_error is the executor's own and is not compared
+const COMPARED_CONSOLE_TYPES = ["error", "pageerror"];
+
+const INVENTORY_CATEGORIES = ["headings", "landmarks", "links", "buttons", "form_controls"];
+
+function quoted(name) {
+  return name ? JSON.stringify(name) : "(no name)";
+}
+
+// One label per inventory item; the same label in both runs is the same item
+function inventoryOf(reading) {
+  return {
+    headings: reading.headings.map((h) => `heading level ${h.level === null ? "-" : h.level} ${quoted(h.name)}`),
+    landmarks: reading.landmarks.map((l) => `${l.role} ${quoted(l.name)}`),
+    links: reading.inventory.links.map((l) => `link ${quoted(l.name)}`),
+    buttons: reading.inventory.buttons.map((b) => `button ${quoted(b.name)}`),
+    form_controls: reading.inventory.form_controls.map((c) => `${c.role} ${quoted(c.name)}`),
+  };
+}
+
+function countBy(list) {
+  const counts = new Map();
+  for (const item of list) counts.set(item, (counts.get(item) || 0) + 1);
+  return counts;
+}
+
+// Multiset difference: [{ value, count }] present more often in a than in b, sorted by value
+function surplus(a, b) {
+  const ca = countBy(a);
+  const cb = countBy(b);
+  return [...ca.keys()]
+    .sort()
+    .map((value) => ({ value, count: ca.get(value) - (cb.get(value) || 0) }))
+    .filter((x) => x.count > 0);
+}
+
+function stepKey(stepIndex) {
+  return typeof stepIndex === "number" ? stepIndex : Number.MAX_SAFE_INTEGER;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Reads the compared values of one verified packet.
+ */
+function loadRunSummary(packetDir) {
+  const read = (rel) => readJson(path.join(packetDir, rel));
+  const meta = read(PACKET_FILES.run_metadata);
+  const log = read(PACKET_FILES.interaction_log);
+  const consoleEvents = read(PACKET_FILES.console_json);
+  const thirdParty = read(PACKET_FILES.third_party_domains);
+  const packetHash = fs.readFileSync(path.join(packetDir, PACKET_FILES.packet_hash), "utf-8").trim();
+
+  // The step's entry with exhibits (step 001 also holds provenance entries), else its last entry
+  const byStep = new Map();
+  for (const entry of log) {
+    const prev = byStep.get(entry.step_index);
+    if (!prev || entry.ax || !prev.ax) byStep.set(entry.step_index, entry);
+  }
+  const steps = new Map();
+  for (const [stepIndex, entry] of byStep) {
+    let inventory = null;
+    if (entry.ax) {
+      try {
+        const ax = read(entry.ax);
+        if (!ax.error) inventory = inventoryOf(linearizeAxSnapshot(ax));
+      } catch (_) {}
+    }
+    steps.set(stepIndex, {
+      action: entry.action,
+      result: entry.result,
+      error_type: entry.error_type || null,
+      url: entry.url === undefined ? null : entry.url,
+      ax: entry.ax || null,
+      inventory,
+    });
+  }
+
+  const withUrl = log.filter((e) => typeof e.url === "string" && e.url);
+  const finalUrl = withUrl.length ? withUrl[withUrl.length - 1].url : null;
+
+  // Requests per third-party domain, counted from the HAR (absent when no browser ran)
+  const domains = (thirdParty.domains || []).map((d) => d.domain.toLowerCase());
+  const requests = new Map(domains.map((d) => [d, 0]));
+  const harAbs = path.join(packetDir, PACKET_FILES.network_har);
+  if (fs.existsSync(harAbs)) {
+    const har = readJson(harAbs);
+    for (const e of (har.log && har.log.entries) || []) {
+      const host = hostnameOf(e.request && e.request.url);
+      if (host && requests.has(host)) requests.set(host, requests.get(host) + 1);
+    }
+  }
+
+  return {
+    packet_dir: packetDir,
+    run_id: meta.run_id,
+    flow_id: meta.flow_id,
+    packet_hash: packetHash,
+    status: meta.status,
+    error_type: meta.error_type || null,
+    profile: meta.profile ? meta.profile.id || meta.profile : null,
+    final_url: finalUrl,
+    steps,
+    console_errors: consoleEvents.filter((e) => COMPARED_CONSOLE_TYPES.includes(e.type)).map((e) => `${e.type}: ${e.text}`),
+    third_party_requests: requests,
+  };
+}
+
+/**
+ * Verifies both targets (run dir or Deliverable_Packet dir) and loads them. Throws with the
+ * reason when a packet does not verify or the flows differ.
+ */
+function loadComparablePair(targetA, targetB) {
+  const runs = [targetA, targetB].map((target, i) => {
+    const label = i === 0 ? "A" : "B";
+    const verification = verifyPacket(target);
+    if (!verification.ok) {
+      throw new Error(`packet ${label} (${target}) failed verification: ${verification.failure_class} (exit ${verification.exit_code})`);
+    }
+    return { target, verification, summary: loadRunSummary(verification.packet_dir) };
+  });
+  const [a, b] = runs.map((r) => r.summary);
+  if (a.flow_id !== b.flow_id) throw new Error(`packets record different flow_ids ("${a.flow_id}" and "${b.flow_id}")`);
+  if (a.packet_hash === b.packet_hash) throw new Error("both targets are the same packet (identical packet hash)");
+  return runs;
+}
+
+function describeRun(run) {
+  const s = run.summary;
+  return {
+    target: run.target,
+    run_id: s.run_id,
+    packet_hash: s.packet_hash,
+    verified: run.verification.ok,
+    withheld_files: run.verification.withheld.length,
+    status: s.status,
+    error_type: s.error_type,
+    profile: s.profile,
+  };
+}
+
+function pair(a, b) {
+  return { a, b, identical: JSON.stringify(a) === JSON.stringify(b) };
+}
+
+/**
+ * Builds the comparison document (the caller stamps created_at_utc and seals it).
+ */
+function compareRuns(runA, runB) {
+  const a = runA.summary;
+  const b = runB.summary;
+
+  const stepIndexes = [...new Set([...a.steps.keys(), ...b.steps.keys()])].sort(
+    (x, y) => stepKey(x) - stepKey(y) || String(x).localeCompare(String(y))
+  );
+  const steps = stepIndexes.map((stepIndex) => {
+    const sa = a.steps.get(stepIndex) || null;
+    const sb = b.steps.get(stepIndex) || null;
+    const brief = (s) => (s ? { action: s.action, result: s.result, error_type: s.error_type, url: s.url, ax: s.ax } : null);
+    let axInventory = null;
+    if (sa && sb && sa.inventory && sb.inventory) {
+      axInventory = {};
+      for (const cat of INVENTORY_CATEGORIES) {
+        axInventory[cat] = {
+          a: sa.inventory[cat].length,
+          b: sb.inventory[cat].length,
+          only_in_a: surplus(sa.inventory[cat], sb.inventory[cat]),
+          only_in_b: surplus(sb.inventory[cat], sa.inventory[cat]),
+        };
+      }
+    }
+    return {
+      step_index: stepIndex,
+      a: brief(sa),
+      b: brief(sb),
+      in_both: !!(sa && sb),
+      action_identical: !!(sa && sb) && sa.action === sb.action,
+      result_identical: !!(sa && sb) && sa.result === sb.result && sa.error_type === sb.error_type,
+      url_identical: !!(sa && sb) && sa.url === sb.url,
+      ax_inventory: axInventory,
+    };
+  });
+
+  const domains = [...new Set([...a.third_party_requests.keys(), ...b.third_party_requests.keys()])].sort();
+  const thirdParty = domains.map((domain) => ({
+    domain,
+    a: a.third_party_requests.has(domain) ? a.third_party_requests.get(domain) : null,
+    b: b.third_party_requests.has(domain) ? b.third_party_requests.get(domain) : null,
+  }));
+
+  const inventoryDiffers = (s) =>
+    s.ax_inventory && INVENTORY_CATEGORIES.some((c) => s.ax_inventory[c].only_in_a.length || s.ax_inventory[c].only_in_b.length);
+
+  return {
+    comparison_version: COMPARISON_VERSION,
+    flow_id: a.flow_id,
+    runs: { a: describeRun(runA), b: describeRun(runB) },
+    status: pair(a.status, b.status),
+    error_type: pair(a.error_type, b.error_type),
+    profile: pair(a.profile, b.profile),
+    final_url: pair(a.final_url, b.final_url),
+    steps,
+    console_errors: {
+      a: a.console_errors.length,
+      b: b.console_errors.length,
+      only_in_a: surplus(a.console_errors, b.console_errors),
+      only_in_b: surplus(b.console_errors, a.console_errors),
+    },
+    third_party_domains: {
+      only_in_a: thirdParty.filter((d) => d.b === null).map((d) => d.domain),
+      only_in_b: thirdParty.filter((d) => d.a === null).map((d) => d.domain),
+      requests: thirdParty,
+    },
+    summary: {
+      steps_aligned: steps.filter((s) => s.in_both).length,
+      steps_only_in_a: steps.filter((s) => s.a && !s.b).length,
+      steps_only_in_b: steps.filter((s) => s.b && !s.a).length,
+      steps_with_different_result: steps.filter((s) => s.in_both && !s.result_identical).length,
+      steps_with_different_url: steps.filter((s) => s.in_both && !s.url_identical).length,
+      steps_with_different_ax_inventory: steps.filter(inventoryDiffers).length,
+    },
+  };
+}
+
+module.exports = {
+  COMPARISON_VERSION,
+  loadComparablePair,
+  compareRuns,
+};
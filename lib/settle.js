@@ -0,0 +1,191 @@
+/**
+ * lib/settle.js
+ * Settle policy applied before every evidence capture (flow "settle", SKUAEngine.waitForSettled).
+ *
+ * A page is settled when, for quiet_ms, no DOM mutation was counted and (network_idle)
+ * no request was in flight; then (fonts) document.fonts.ready has resolved and
+ * animation_frames frames have been painted. max_wait_ms bounds the whole wait, every
+ * page.evaluate included (a page whose main thread hangs cannot hold it open): a page
+ * that does not settle is still captured, and the outcome says so.
+ */
+
+"use strict";
+
+const SETTLE_DEFAULTS = {
+  quiet_ms: 500,
+  max_wait_ms: 10000,
+  network_idle: true,
+  fonts: true,
+  animation_frames: 2,
+  poll_ms: 100,
+};
+
+// Init script: counts mutations from document creation (window.__af_mutations)
+function installMutationCounter() {
+  window.__af_mutations = 0;
+  const observer = new MutationObserver((records) => {
+    window.__af_mutations += records.length;
+  });
+  observer.observe(document, { attributes: true, characterData: true, childList: true, subtree: true });
+}
+
+function nonNegativeInteger(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+/**
+ * Merges a settle declaration over the defaults. Throws on unknown keys or bad values.
+ */
+function normalizeSettlePolicy(decl, where = "settle") {
+  if (decl === undefined || decl === null) return { ...SETTLE_DEFAULTS };
+  if (typeof decl !== "object" || Array.isArray(decl)) throw new Error(`${where} must be an object.`);
+
+  const policy = { ...SETTLE_DEFAULTS };
+  for (const [key, value] of Object.entries(decl)) {
+    if (!(key in SETTLE_DEFAULTS)) {
+      throw new Error(`${where}.${key} is not supported (${Object.keys(SETTLE_DEFAULTS).join(", ")}).`);
+    }
+    const ok = typeof SETTLE_DEFAULTS[key] === "boolean" ? typeof value === "boolean" : nonNegativeInteger(value);
+    if (!ok) {
+      throw new Error(`${where}.${key} must be ${typeof SETTLE_DEFAULTS[key] === "boolean" ? "a boolean" : "a non-negative integer"}.`);
+    }
+    policy[key] = value;
+  }
+  if (policy.poll_ms < 1) throw new Error(`${where}.poll_ms must be at least 1.`);
+  return policy;
+}
+
+/**
+ * Counts in-flight requests for one page. Attach before navigation.
+ */
+function trackNetwork(page) {
+  const tracker = { inflight: new Set(), last_activity: Date.now() };
+  const started = (req) => {
+    tracker.inflight.add(req);
+    tracker.last_activity = Date.now();
+  };
+  const ended = (req) => {
+    tracker.inflight.delete(req);
+    tracker.last_activity = Date.now();
+  };
+  page.on("request", started);
+  page.on("requestfinished", ended);
+  page.on("requestfailed", ended);
+  return tracker;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve({ timed_out: true }), Math.max(0, ms));
+    }),
+  ]);
+}
+
+// A navigation mid-settle destroys the execution context (null); that counts as activity, not
+// an error. A page that does not answer within ms yields { timed_out: true }.
+async function readMutationCount(page, ms) {
+  const n = await withTimeout(
+    page.evaluate(() => window.__af_mutations).catch(() => null),
+    ms
+  );
+  if (n && n.timed_out) return n;
+  return typeof n === "number" ? n : null;
+}
+
+/**
+ * Waits for the page to settle under the policy. Never throws for a page that does not
+ * settle. Returns { settled, timed_out, elapsed_ms, mutation_count, unmet, fonts_status,
+ * animation_frames }; unmet names every condition still open when the wait ended.
+ */
+async function settlePage(page, policy, network = null) {
+  const start = Date.now();
+  const deadline = start + policy.max_wait_ms;
+  const remaining = () => Math.max(deadline - Date.now(), 0);
+
+  const networkQuiet = () =>
+    !policy.network_idle || !network || (network.inflight.size === 0 && Date.now() - network.last_activity >= policy.quiet_ms);
+
+  let lastCount = await readMutationCount(page, remaining());
+  let mutations = 0;
+  let lastChange = start;
+  let domQuiet = false;
+  let netQuiet = false;
+
+  for (;;) {
+    const count = lastCount && lastCount.timed_out ? lastCount : await readMutationCount(page, remaining());
+    // An unresponsive page has used up the budget and cannot be observed quiet
+    if (count && count.timed_out) {
+      domQuiet = false;
+      netQuiet = networkQuiet();
+      break;
+    }
+    if (count !== lastCount) {
+      // A lower or first count is a new document; null is a lost context (navigation)
+      if (count !== null) mutations += lastCount !== null && count > lastCount ? count - lastCount : count;
+      lastChange = Date.now();
+    }
+    lastCount = count;
+
+    domQuiet = Date.now() - lastChange >= policy.quiet_ms;
+    netQuiet = networkQuiet();
+    if ((domQuiet && netQuiet) || Date.now() >= deadline) break;
+    await new Promise((r) => setTimeout(r, policy.poll_ms));
+  }
+
+  const unmet = [];
+  if (!domQuiet) unmet.push("mutation_quiescence");
+  if (!netQuiet) unmet.push("network_idle");
+
+  let fontsStatus = null;
+  if (policy.fonts) {
+    const r = await withTimeout(
+      page
+        .evaluate(() => (document.fonts ? document.fonts.ready.then(() => document.fonts.status) : "unsupported"))
+        .catch(() => "unavailable"),
+      remaining()
+    );
+    fontsStatus = r && r.timed_out ? "loading" : r;
+    if (fontsStatus !== "loaded" && fontsStatus !== "unsupported") unmet.push("fonts");
+  }
+
+  let frames = 0;
+  if (policy.animation_frames > 0) {
+    const r = await withTimeout(
+      page
+        .evaluate(
+          (n) =>
+            new Promise((resolve) => {
+              let painted = 0;
+              const tick = () => (++painted >= n ? resolve(painted) : requestAnimationFrame(tick));
+              requestAnimationFrame(tick);
+            }),
+          policy.animation_frames
+        )
+        .catch(() => 0),
+      remaining()
+    );
+    frames = r && r.timed_out ? 0 : r;
+    if (frames < policy.animation_frames) unmet.push("animation_frames");
+  }
+
+  return {
+    settled: unmet.length === 0,
+    timed_out: unmet.length > 0,
+    elapsed_ms: Date.now() - start,
+    mutation_count: mutations,
+    unmet,
+    fonts_status: fontsStatus,
+    animation_frames: frames,
+  };
+}
+
+module.exports = {
+  SETTLE_DEFAULTS,
+  installMutationCounter,
+  normalizeSettlePolicy,
+  trackNetwork,
+  settlePage,
+};
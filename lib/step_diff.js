@@ -0,0 +1,260 @@
+/**
+ * lib/step_diff.js
+ * Differences between the exhibits of consecutive steps (diff/diff_step_<NNN>_to_<MMM>.*).
+ *
+ * Each comparison reads two served exhibits and RECORDS what differs; nothing is judged:
+ *   - AX: nodes are keyed by their path of role "name" segments from the root (a repeated
+ *     sibling segment carries [n]); added, removed, and changed properties of kept nodes,
+ *     plus the focused node in each snapshot
+ *   - HTML: element paths (tag#id) after dropping comments, script and style content;
+ *     per-path count changes and whether the visible text changed
+ *   - screenshots: exact per-pixel comparison over the larger of the two frames (a pixel
+ *     outside one frame counts as differing); the mask marks differing pixels opaque red
+ */
+
+"use strict";
+
+const { sha256Bytes } = require("./packet_io");
+const { decodePng, encodePng } = require("./png");
+
+// Lists longer than this are cut; the *_total counts are always complete
+const DIFF_LIST_LIMIT = 500;
+
+const AX_COMPARED_PROPERTIES = [
+  "value",
+  "valuetext",
+  "description",
+  "level",
+  "checked",
+  "pressed",
+  "expanded",
+  "selected",
+  "disabled",
+  "focused",
+  "required",
+  "readonly",
+  "modal",
+  "invalid",
+  "haspopup",
+];
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+]);
+
+function limited(list) {
+  return list.slice(0, DIFF_LIST_LIMIT);
+}
+
+// path -> { path, role, name, props } in tree order
+function flattenAx(snapshot) {
+  const nodes = new Map();
+  function walk(node, parentPath) {
+    if (!node || typeof node !== "object" || typeof node.role !== "string") return;
+    const seen = new Map();
+    for (const child of Array.isArray(node.children) ? node.children : []) {
+      if (!child || typeof child.role !== "string") continue;
+      const label = child.name ? `${child.role} ${JSON.stringify(child.name)}` : child.role;
+      const n = (seen.get(label) || 0) + 1;
+      seen.set(label, n);
+      const childPath = `${parentPath} > ${n > 1 ? `${label}[${n}]` : label}`;
+      add(child, childPath);
+      walk(child, childPath);
+    }
+  }
+  function add(node, nodePath) {
+    const props = {};
+    for (const key of AX_COMPARED_PROPERTIES) if (node[key] !== undefined) props[key] = node[key];
+    nodes.set(nodePath, { path: nodePath, role: node.role, name: node.name || "", props });
+  }
+  if (snapshot && typeof snapshot.role === "string") {
+    const rootPath = snapshot.name ? `${snapshot.role} ${JSON.stringify(snapshot.name)}` : snapshot.role;
+    add(snapshot, rootPath);
+    walk(snapshot, rootPath);
+  }
+  return nodes;
+}
+
+/**
+ * AX snapshot differences: { added, removed, changed, *_total, focus: { from, to, moved } }.
+ */
+function diffAx(from, to) {
+  const a = flattenAx(from);
+  const b = flattenAx(to);
+  const brief = (n) => ({ path: n.path, role: n.role, name: n.name });
+
+  const added = [...b.values()].filter((n) => !a.has(n.path)).map(brief);
+  const removed = [...a.values()].filter((n) => !b.has(n.path)).map(brief);
+  const changed = [];
+  for (const n of b.values()) {
+    const prev = a.get(n.path);
+    if (!prev) continue;
+    const changes = [];
+    for (const key of AX_COMPARED_PROPERTIES) {
+      const x = prev.props[key] === undefined ? null : prev.props[key];
+      const y = n.props[key] === undefined ? null : n.props[key];
+      if (JSON.stringify(x) !== JSON.stringify(y)) changes.push({ property: key, from: x, to: y });
+    }
+    if (changes.length) changed.push({ ...brief(n), changes });
+  }
+
+  const focusedPath = (nodes) => {
+    let found = null;
+    for (const n of nodes.values()) if (n.props.focused === true) found = n.path;
+    return found;
+  };
+  const focusFrom = focusedPath(a);
+  const focusTo = focusedPath(b);
+
+  return {
+    nodes_from: a.size,
+    nodes_to: b.size,
+    added_total: added.length,
+    removed_total: removed.length,
+    changed_total: changed.length,
+    added: limited(added),
+    removed: limited(removed),
+    changed: limited(changed),
+    focus: { from: focusFrom, to: focusTo, moved: focusFrom !== focusTo },
+  };
+}
+
+// Element paths and visible text of an HTML document, without comments, scripts and styles
+function htmlStructure(html) {
+  const src = String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "<$1></$1>");
+  const paths = new Map();
+  const stack = [];
+  const text = [];
+  let elements = 0;
+  let last = 0;
+  const tagRe = /<(\/?)([A-Za-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+  let m;
+  while ((m = tagRe.exec(src)) !== null) {
+    text.push(src.slice(last, m.index));
+    last = tagRe.lastIndex;
+    const tag = m[2].toLowerCase();
+    if (m[1]) {
+      const at = stack.map((s) => s.tag).lastIndexOf(tag);
+      if (at !== -1) stack.length = at;
+      continue;
+    }
+    const id = /\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(m[3]);
+    const segment = id ? `${tag}#${id[1] ?? id[2] ?? id[3]}` : tag;
+    const elementPath = [...stack.map((s) => s.segment), segment].join(" > ");
+    paths.set(elementPath, (paths.get(elementPath) || 0) + 1);
+    elements++;
+    if (!m[4] && !VOID_ELEMENTS.has(tag)) stack.push({ tag, segment });
+  }
+  text.push(src.slice(last));
+  const normalizedText = text.join(" ").replace(/\s+/g, " ").trim();
+  return { elements, paths, text: normalizedText };
+}
+
+/**
+ * Normalized HTML structure differences: per-path element count changes and text change.
+ */
+function diffHtml(from, to) {
+  const a = htmlStructure(from);
+  const b = htmlStructure(to);
+  const summarize = (s) => ({
+    elements: s.elements,
+    structure_sha256: sha256Bytes(Buffer.from(JSON.stringify([...s.paths.entries()].sort()), "utf-8")),
+    text_sha256: sha256Bytes(Buffer.from(s.text, "utf-8")),
+  });
+
+  const pathsAdded = [];
+  const pathsRemoved = [];
+  let elementsAdded = 0;
+  let elementsRemoved = 0;
+  for (const p of [...new Set([...a.paths.keys(), ...b.paths.keys()])].sort()) {
+    const delta = (b.paths.get(p) || 0) - (a.paths.get(p) || 0);
+    if (delta > 0) {
+      pathsAdded.push({ path: p, count: delta });
+      elementsAdded += delta;
+    } else if (delta < 0) {
+      pathsRemoved.push({ path: p, count: -delta });
+      elementsRemoved -= delta;
+    }
+  }
+
+  const summaryFrom = summarize(a);
+  const summaryTo = summarize(b);
+  return {
+    from: summaryFrom,
+    to: summaryTo,
+    structure_identical: summaryFrom.structure_sha256 === summaryTo.structure_sha256,
+    text_identical: summaryFrom.text_sha256 === summaryTo.text_sha256,
+    elements_added: elementsAdded,
+    elements_removed: elementsRemoved,
+    paths_added_total: pathsAdded.length,
+    paths_removed_total: pathsRemoved.length,
+    paths_added: limited(pathsAdded),
+    paths_removed: limited(pathsRemoved),
+  };
+}
+
+/**
+ * Screenshot comparison. Returns { summary, mask } where mask is PNG bytes.
+ */
+function diffScreenshots(fromPng, toPng) {
+  const a = decodePng(fromPng);
+  const b = decodePng(toPng);
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+  const mask = Buffer.alloc(width * height * 4);
+
+  let differing = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inA = x < a.width && y < a.height;
+      const inB = x < b.width && y < b.height;
+      let same = inA && inB;
+      if (same) {
+        const i = (y * a.width + x) * 4;
+        const j = (y * b.width + x) * 4;
+        same = a.data.readUInt32BE(i) === b.data.readUInt32BE(j);
+      }
+      if (!same) {
+        const k = (y * width + x) * 4;
+        mask[k] = 255;
+        mask[k + 3] = 255;
+        differing++;
+      }
+    }
+  }
+
+  const compared = width * height;
+  return {
+    summary: {
+      from: { width: a.width, height: a.height },
+      to: { width: b.width, height: b.height },
+      dimensions_differ: a.width !== b.width || a.height !== b.height,
+      pixels_compared: compared,
+      pixels_differing: differing,
+      pixel_difference_ratio: compared ? differing / compared : 0,
+    },
+    mask: encodePng({ width, height, data: mask }),
+  };
+}
+
+module.exports = {
+  DIFF_LIST_LIMIT,
+  diffAx,
+  diffHtml,
+  diffScreenshots,
+};
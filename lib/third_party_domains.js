@@ -0,0 +1,92 @@
+/**
+ * lib/third_party_domains.js
+ * Builds the third_party_domains.json observation (docs/third_party_domains.schema.json).
+ *
+ * A domain is recorded when a request to a hostname other than the start_url hostname
+ * was OBSERVED, either in the recorded network.har or in the live request events
+ * journaled during the run. first_seen_utc is the earliest observation across both
+ * sources; source_artifact names the packet artifact holding that observation.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadSchema, validateSchema } = require("./json_schema");
+
+const SCHEMA_PATH = path.join(__dirname, "..", "docs", "third_party_domains.schema.json");
+
+// Only network schemes carry a domain (data:, blob:, about: and chrome-extension: do not)
+const NETWORK_PROTOCOLS = ["http:", "https:", "ws:", "wss:"];
+
+// Schema pattern for domain values; IPv6 literals and IDN forms outside it are not recorded
+const DOMAIN_PATTERN = /^[A-Za-z0-9.-]+$/;
+
+function hostnameOf(url) {
+  try {
+    const u = new URL(url);
+    return NETWORK_PROTOCOLS.includes(u.protocol) ? u.hostname.toLowerCase() : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function toUtcMillis(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Reads { url, timestamp_utc } observations from a HAR file. Returns [] if the HAR is absent.
+ */
+function harObservations(harAbs) {
+  if (!fs.existsSync(harAbs)) return [];
+  const har = JSON.parse(fs.readFileSync(harAbs, "utf-8"));
+  const entries = (har && har.log && Array.isArray(har.log.entries) && har.log.entries) || [];
+  return entries.map((e) => ({
+    url: e.request && e.request.url,
+    timestamp_utc: toUtcMillis(e.startedDateTime),
+  }));
+}
+
+/**
+ * sources: [{ artifact, observations: [{ url, timestamp_utc }] }] in tie-break order
+ * (an earlier source wins when two report the same millisecond).
+ */
+function buildThirdPartyDomains({ startUrl, sources, generatedAt }) {
+  const firstPartyHost = hostnameOf(startUrl);
+  const byDomain = new Map();
+
+  for (const { artifact, observations } of sources) {
+    for (const obs of observations) {
+      const domain = hostnameOf(obs.url);
+      const seen = obs.timestamp_utc ? toUtcMillis(obs.timestamp_utc) : null;
+      if (!domain || !seen || domain === firstPartyHost || !DOMAIN_PATTERN.test(domain)) continue;
+
+      const prior = byDomain.get(domain);
+      if (!prior || seen < prior.first_seen_utc) {
+        byDomain.set(domain, { domain, first_seen_utc: seen, source_artifact: artifact });
+      }
+    }
+  }
+
+  const domains = Array.from(byDomain.values()).sort(
+    (a, b) => a.first_seen_utc.localeCompare(b.first_seen_utc) || a.domain.localeCompare(b.domain)
+  );
+
+  return { generated_at_utc: generatedAt, domains };
+}
+
+/**
+ * Returns schema errors ([] when valid) for a built observation.
+ */
+function validateThirdPartyDomains(doc) {
+  return validateSchema(loadSchema(SCHEMA_PATH), doc);
+}
+
+module.exports = {
+  hostnameOf,
+  harObservations,
+  buildThirdPartyDomains,
+  validateThirdPartyDomains,
+};
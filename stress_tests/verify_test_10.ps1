@@ -13,8 +13,8 @@ if (!(Test-Path $hashPath)) { Write-Host "? TEST 10 FAILED: missing packet_hash.
 $meta = Get-Content $metaPath -Raw | ConvertFrom-Json
 $log  = Get-Content $logPath  -Raw
 
-$startLogged = $log -match "httpbin.org"
-$finalLogged = $log -match "example.com"
+$startLogged = $log -match "redirect-to"
+$finalLogged = $log -match "example_com.html"
 
 $hash = (Get-Content $hashPath -Raw).Trim()
 $hashOk = ($hash -match '^[a-fA-F0-9]{64}$')
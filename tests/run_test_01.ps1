@@ -29,7 +29,7 @@ $json = @"
   "case_label": "test_01_policy_gate_misuse",
   "flow_id": "t01",
   "capture_mode": "interactive",
-  "start_url": "file:./tests/t01_policy_gate.html",
+  "start_url": "http://127.0.0.1:8080/tests/t01_policy_gate.html",
   "steps": [
     {
       "type": "click_selector",
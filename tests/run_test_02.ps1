@@ -59,7 +59,7 @@ $json = @"
   "case_label": "test_02_step_indexing",
   "flow_id": "t02",
   "capture_mode": "interactive",
-  "start_url": "file:./tests/t02_indexing.html",
+  "start_url": "http://127.0.0.1:8080/tests/t02_indexing.html",
   "steps": [
     { "type": "wait_selector", "selector": "#btn" },
     { "type": "click_selector", "selector": "#btn" }
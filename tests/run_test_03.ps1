@@ -37,7 +37,7 @@ $json = @"
   "case_label": "test_03_selector_ambiguity",
   "flow_id": "t03",
   "capture_mode": "interactive",
-  "start_url": "file:./tests/ambiguity.html",
+  "start_url": "http://127.0.0.1:8080/tests/ambiguity.html",
   "steps": [
     {
       "type": "click_selector",
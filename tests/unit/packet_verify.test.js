@@ -0,0 +1,77 @@
+/**
+ * tests/unit/packet_verify.test.js
+ * lib/packet_verify.js report re-rendering (node --test; no browser is launched).
+ *
+ * The packet seals a policy-rejected flow: the executor refuses it before launch.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { PACKET_FILES, readJson, sha256File, writeJson } = require("../../lib/packet_io");
+const { verifyPacket } = require("../../lib/packet_verify");
+const { REPORT_FORMAT } = require("../../lib/report");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+
+function sealPacket(work, env = {}) {
+  const runDir = path.join(work, "run");
+  const res = spawnSync(
+    process.execPath,
+    [path.join(ROOT, "ect.backup.js"), path.join(ROOT, "stress_tests", "test_01_override_misuse_click.json"), "--run-dir", runDir],
+    { cwd: ROOT, encoding: "utf-8", timeout: 120000, env: { ...process.env, ...env } }
+  );
+  assert.match(res.stdout + res.stderr, /PolicyViolation/);
+  return path.join(runDir, "Deliverable_Packet");
+}
+
+test("reports are re-rendered with the sealed terms list", async (t) => {
+  const work = fs.mkdtempSync(path.join(os.tmpdir(), "packet-verify-test-"));
+  t.after(() => fs.rmSync(work, { recursive: true, force: true }));
+  // "Policy" occurs in the recorded error message: a list holding it changes the rendering
+  const termsPath = path.join(work, "terms.json");
+  writeJson(termsPath, { terms: ["Policy"] });
+  const packetDir = sealPacket(work, { ECT_FORBIDDEN_TERMS: termsPath });
+
+  await t.test("the run-time list is sealed with the report format", () => {
+    const sealed = readJson(path.join(packetDir, PACKET_FILES.report_terms));
+    assert.deepEqual(sealed, { report_format: REPORT_FORMAT, terms: ["Policy"] });
+    assert.match(fs.readFileSync(path.join(packetDir, PACKET_FILES.status), "utf-8"), /TERMS WITHHELD: 1/);
+  });
+
+  await t.test("the verifier host's terms list does not affect the result", () => {
+    const saved = process.env.ECT_FORBIDDEN_TERMS;
+    delete process.env.ECT_FORBIDDEN_TERMS;
+    try {
+      const result = verifyPacket(packetDir);
+      assert.deepEqual(result.failures, []);
+      assert.deepEqual(result.reports, { report_format: REPORT_FORMAT, rerendered: true });
+    } finally {
+      if (saved !== undefined) process.env.ECT_FORBIDDEN_TERMS = saved;
+    }
+  });
+
+  await t.test("a report edited along with manifest.json fails seal_mismatch", () => {
+    const copy = path.join(work, "edited");
+    fs.cpSync(packetDir, copy, { recursive: true });
+    const statusAbs = path.join(copy, PACKET_FILES.status);
+    fs.writeFileSync(statusAbs, fs.readFileSync(statusAbs, "utf-8").replace("RUN STATUS: ERROR", "RUN STATUS: SUCCESS"));
+    const manifestAbs = path.join(copy, PACKET_FILES.manifest);
+    const manifest = readJson(manifestAbs);
+    const entry = manifest.files.find((f) => f.path === PACKET_FILES.status);
+    entry.sha256 = sha256File(statusAbs);
+    entry.size_bytes = fs.statSync(statusAbs).size;
+    writeJson(manifestAbs, manifest);
+
+    const result = verifyPacket(copy);
+    assert.deepEqual(
+      result.failures.map((f) => [f.class, f.path]),
+      [["seal_mismatch", PACKET_FILES.status]]
+    );
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * tests/unit/png.test.js
+ * lib/png.js decode/encode round trips (node --test).
+ *
+ * Fixtures are encoded here with every scanline filter (0-4) for each supported color
+ * type (0 gray, 2 RGB, 4 gray+alpha, 6 RGBA), then decoded and re-encoded.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { decodePng, encodePng } = require("../../lib/png");
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, "latin1");
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+// Encodes raw samples (channels per pixel of colorType) with filters[y] on scanline y
+function encodeFiltered({ width, height, colorType, samples, filters, bitDepth = 8, interlace = 0 }) {
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const filter = filters[y % filters.length];
+    raw[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x++) {
+      const v = samples[y * stride + x];
+      const a = x >= channels ? samples[y * stride + x - channels] : 0;
+      const b = y > 0 ? samples[(y - 1) * stride + x] : 0;
+      const c = x >= channels && y > 0 ? samples[(y - 1) * stride + x - channels] : 0;
+      const predicted = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      raw[y * (stride + 1) + 1 + x] = (v - predicted) & 0xff;
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace;
+  // Two IDAT chunks: the decoder must concatenate them
+  const idat = zlib.deflateSync(raw);
+  const half = idat.length >> 1;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", idat.subarray(0, half)),
+    chunk("IDAT", idat.subarray(half)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Deterministic samples with large steps, so every filter sees wrap-around
+function samplesFor(width, height, channels) {
+  const out = Buffer.alloc(width * height * channels);
+  let s = 7;
+  for (let i = 0; i < out.length; i++) {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    out[i] = (s >> 16) & 0xff;
+  }
+  return out;
+}
+
+function expectedRgba(samples, colorType, pixelCount) {
+  const channels = CHANNELS[colorType];
+  const out = Buffer.alloc(pixelCount * 4);
+  for (let i = 0; i < pixelCount; i++) {
+    const p = samples.subarray(i * channels, (i + 1) * channels);
+    const rgb = channels <= 2 ? [p[0], p[0], p[0]] : [p[0], p[1], p[2]];
+    const alpha = colorType === 4 ? p[1] : colorType === 6 ? p[3] : 255;
+    out.set([...rgb, alpha], i * 4);
+  }
+  return out;
+}
+
+for (const colorType of [0, 2, 4, 6]) {
+  for (const filters of [[0], [1], [2], [3], [4], [4, 3, 2, 1, 0]]) {
+    test(`color type ${colorType}, filter ${filters.join(",")}: decode, encode, decode`, () => {
+      const width = 7;
+      const height = 5;
+      const samples = samplesFor(width, height, CHANNELS[colorType]);
+      const png = encodeFiltered({ width, height, colorType, samples, filters });
+
+      const decoded = decodePng(png);
+      assert.equal(decoded.width, width);
+      assert.equal(decoded.height, height);
+      assert.ok(decoded.data.equals(expectedRgba(samples, colorType, width * height)));
+
+      const again = decodePng(encodePng(decoded));
+      assert.equal(again.width, width);
+      assert.equal(again.height, height);
+      assert.ok(again.data.equals(decoded.data));
+    });
+  }
+}
+
+test("encodePng is deterministic and writes 8-bit RGBA", () => {
+  const image = { width: 3, height: 2, data: samplesFor(3, 2, 4) };
+  const a = encodePng(image);
+  assert.ok(a.equals(encodePng(image)));
+  assert.ok(a.subarray(0, 8).equals(SIGNATURE));
+  assert.equal(a.toString("latin1", 12, 16), "IHDR");
+  assert.equal(a[24], 8);
+  assert.equal(a[25], 6);
+});
+
+test("unsupported PNGs are refused, not approximated", () => {
+  const samples = samplesFor(2, 2, 3);
+  assert.throws(() => decodePng(Buffer.from("not a png")), /not a PNG file/);
+  assert.throws(() => decodePng(encodeFiltered({ width: 2, height: 2, colorType: 2, samples, filters: [0], interlace: 1 })), /not supported/);
+  assert.throws(() => decodePng(encodeFiltered({ width: 2, height: 2, colorType: 2, samples, filters: [0], bitDepth: 16 })), /not supported/);
+  assert.throws(() => decodePng(encodeFiltered({ width: 2, height: 2, colorType: 2, samples, filters: [5] })), /filter type 5/);
+});
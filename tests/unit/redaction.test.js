@@ -0,0 +1,168 @@
+/**
+ * tests/unit/redaction.test.js
+ * lib/redaction.js ledgers and their verification (node --test; no browser is launched).
+ *
+ * The packet cases seal a policy-rejected flow with a redaction profile: the executor
+ * refuses it before launch, so the packet holds a redacted plan and journal only.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { PACKET_FILES, TIER_RESTRICTED, restrictedPath } = require("../../lib/packet_io");
+const { verifyPacket } = require("../../lib/packet_verify");
+const { createRedactor, applyJsonLedger, applyHtmlLedger, redactionHash } = require("../../lib/redaction");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const TYPED = "hunter2-secret";
+
+test("redactJson: applying the ledger to the original rebuilds the served JSON byte for byte", () => {
+  const redactor = createRedactor("contact_pii", { typedTexts: [TYPED], salt: "s" });
+  const original = {
+    role: "WebArea",
+    name: "Contact",
+    children: [
+      { role: "textbox", name: "Email", value: "ana@example.org" },
+      { role: "text", name: `typed ${TYPED} and call (555) 123-4567`, "aria-label": TYPED },
+    ],
+  };
+  const { value, entries } = redactor.redactJson(original, "ax.json");
+
+  assert.ok(entries.length >= 3);
+  assert.equal(JSON.stringify(value).includes(TYPED), false);
+  assert.equal(JSON.stringify(value).includes("ana@example.org"), false);
+  assert.equal(JSON.stringify(applyJsonLedger(original, entries), null, 2), JSON.stringify(value, null, 2));
+  assert.deepEqual(redactor.artifacts.get("ax.json"), entries);
+  for (const e of entries) assert.match(e.original_sha256, /^[0-9a-f]{64}$/);
+  assert.equal(entries.find((e) => e.path === "$.children[0].value").original_sha256, redactionHash("s", "ana@example.org"));
+});
+
+test("redactHtml: byte ranges of the original rebuild the served HTML byte for byte", () => {
+  const redactor = createRedactor("form_values", { typedTexts: [TYPED] });
+  const html = [
+    "<p>Grüße – ünïcödé before the form</p>",
+    `<input type="text" value="${TYPED}"><input type="submit" value="Send">`,
+    "<textarea>notes ✓</textarea>",
+    `<p>echo: ${TYPED}</p>`,
+  ].join("\n");
+  const { html: served, entries } = redactor.redactHtml(html, "page.html");
+
+  assert.equal(entries.length, 3);
+  assert.equal(served.includes(TYPED), false);
+  assert.ok(served.includes('value="Send"'));
+  const original = Buffer.from(html, "utf-8");
+  for (const e of entries) assert.ok(e.byte_end <= original.length && e.byte_start < e.byte_end);
+  assert.ok(applyHtmlLedger(original, entries).equals(Buffer.from(served, "utf-8")));
+});
+
+test("profile none redacts nothing", () => {
+  const redactor = createRedactor("none", { typedTexts: [TYPED] });
+  assert.equal(redactor.active, false);
+  assert.deepEqual(redactor.redactJson({ text: TYPED }, "x.json").entries, []);
+});
+
+// Seals a redacted packet once; each case works on its own copy
+function sealRedactedPacket() {
+  const work = fs.mkdtempSync(path.join(os.tmpdir(), "redaction-test-"));
+  const flowPath = path.join(work, "flow.json");
+  fs.writeFileSync(
+    flowPath,
+    JSON.stringify({
+      flow_id: "redaction_unit",
+      case_label: "unit",
+      // The typed text in the start URL reaches the journal as well as the plan
+      start_url: `http://127.0.0.1:8080/stress_tests/html/example_com.html?q=${TYPED}`,
+      redaction: "form_values",
+      steps: [{ type: "type_selector", selector: "input", text: TYPED }],
+    })
+  );
+  const runDir = path.join(work, "run");
+  const res = spawnSync(process.execPath, [path.join(ROOT, "ect.backup.js"), flowPath, "--run-dir", runDir], {
+    cwd: ROOT,
+    encoding: "utf-8",
+    timeout: 120000,
+  });
+  assert.match(res.stdout + res.stderr, /PolicyViolation/);
+  return { work, packetDir: path.join(runDir, "Deliverable_Packet") };
+}
+
+function copyPacket(packetDir, work, name) {
+  const dest = path.join(work, name);
+  fs.cpSync(packetDir, dest, { recursive: true });
+  return dest;
+}
+
+test("sealed packet: intact, tampered and sanitized copies", async (t) => {
+  const { work, packetDir } = sealRedactedPacket();
+  t.after(() => fs.rmSync(work, { recursive: true, force: true }));
+
+  await t.test("the intact packet verifies and rechecks every original", () => {
+    const ledger = JSON.parse(fs.readFileSync(path.join(packetDir, PACKET_FILES.redaction_ledger), "utf-8"));
+    assert.deepEqual(ledger.artifacts.map((a) => a.kind).sort(), ["journal", "plan"]);
+    assert.equal(fs.readFileSync(path.join(packetDir, PACKET_FILES.flow_plan_sealed), "utf-8").includes(TYPED), false);
+    assert.equal(fs.readFileSync(path.join(packetDir, restrictedPath(PACKET_FILES.flow_plan_sealed)), "utf-8").includes(TYPED), true);
+
+    const result = verifyPacket(packetDir);
+    assert.deepEqual(result.failures, []);
+    assert.equal(result.redaction.originals_checked, 2);
+    assert.deepEqual(result.withheld, []);
+  });
+
+  await t.test("sealed counts cover every ledger kind and reach the report", () => {
+    const ledger = JSON.parse(fs.readFileSync(path.join(packetDir, PACKET_FILES.redaction_ledger), "utf-8"));
+    const expected = { ax: 0, html: 0, journal: 0, plan: 0 };
+    for (const a of ledger.artifacts) expected[a.kind] += a.entries.length;
+    assert.ok(expected.plan > 0 && expected.journal > 0);
+
+    const meta = JSON.parse(fs.readFileSync(path.join(packetDir, PACKET_FILES.run_metadata), "utf-8"));
+    assert.deepEqual(meta.redaction.entries, expected);
+    const report = fs.readFileSync(path.join(packetDir, PACKET_FILES.execution_report), "utf-8");
+    assert.match(
+      report,
+      new RegExp(`REDACTIONS RECORDED: ax 0, html 0, journal ${expected.journal}, plan ${expected.plan} `)
+    );
+  });
+
+  await t.test("a served file changed outside the ledger fails redaction_mismatch", () => {
+    const copy = copyPacket(packetDir, work, "tampered");
+    const planAbs = path.join(copy, PACKET_FILES.flow_plan_sealed);
+    const plan = JSON.parse(fs.readFileSync(planAbs, "utf-8"));
+    plan.steps[0].selector = "textarea";
+    fs.writeFileSync(planAbs, JSON.stringify(plan, null, 2) + "\n");
+
+    const result = verifyPacket(copy);
+    assert.equal(result.ok, false);
+    assert.ok(
+      result.failures.some((f) => f.class === "redaction_mismatch" && f.path === PACKET_FILES.flow_plan_sealed),
+      JSON.stringify(result.failures)
+    );
+  });
+
+  await t.test("a replacement missing from the served file fails redaction_mismatch", () => {
+    const copy = copyPacket(packetDir, work, "unredacted");
+    fs.copyFileSync(path.join(copy, restrictedPath(PACKET_FILES.flow_plan_sealed)), path.join(copy, PACKET_FILES.flow_plan_sealed));
+
+    const result = verifyPacket(copy);
+    assert.ok(result.failures.some((f) => f.class === "redaction_mismatch" && /Replacement for/.test(f.detail)));
+  });
+
+  await t.test("a sanitized copy verifies and reports the originals as withheld", () => {
+    const copy = copyPacket(packetDir, work, "sanitized");
+    fs.rmSync(path.join(copy, TIER_RESTRICTED), { recursive: true });
+
+    const result = verifyPacket(copy);
+    assert.deepEqual(result.failures, []);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.withheld.sort(), [
+      restrictedPath(PACKET_FILES.flow_plan_sealed),
+      restrictedPath(PACKET_FILES.journal_ndjson),
+      PACKET_FILES.redaction_salt,
+    ]);
+    assert.equal(result.redaction.originals_checked, 0);
+  });
+});
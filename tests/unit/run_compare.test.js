@@ -0,0 +1,259 @@
+/**
+ * tests/unit/run_compare.test.js
+ * lib/run_compare.js over fixture packets whose steps and exhibits differ (node --test).
+ *
+ * The executor seals one policy-rejected packet (no browser is launched). Each fixture is a
+ * copy whose interaction log, AX exhibits, console, HAR and metadata are replaced, then
+ * resealed the way the executor seals (manifest_core.json, packet_hash.txt, re-rendered
+ * reports, manifest.json), so it verifies like a captured packet.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  EXHIBITS_BY_STEP,
+  PACKET_FILES,
+  SEAL_FILES,
+  hashTree,
+  readJson,
+  sha256Bytes,
+  sha256File,
+  statSize,
+  writeJson,
+  writeStableJson,
+} = require("../../lib/packet_io");
+const { loadForbiddenTerms, renderStatus, renderExecutionReport } = require("../../lib/report");
+const { compareRuns, loadComparablePair } = require("../../lib/run_compare");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const PAGE = "http://127.0.0.1:8080/shop";
+const AX_REL = `${EXHIBITS_BY_STEP}/ax/ax_002.json`;
+
+const AX_A = {
+  role: "WebArea",
+  name: "Shop",
+  children: [
+    {
+      role: "main",
+      name: "",
+      children: [
+        { role: "heading", name: "Cart", level: 1 },
+        { role: "link", name: "Help" },
+        { role: "button", name: "Pay" },
+      ],
+    },
+  ],
+};
+
+const AX_B = {
+  role: "WebArea",
+  name: "Shop",
+  children: [
+    {
+      role: "main",
+      name: "",
+      children: [
+        { role: "heading", name: "Cart", level: 2 },
+        { role: "link", name: "Help" },
+        { role: "link", name: "Help" },
+        { role: "textbox", name: "Email" },
+      ],
+    },
+  ],
+};
+
+const AT = "2026-01-01T00:00:00.000Z";
+
+function harOf(urls) {
+  return { log: { version: "1.2", entries: urls.map((url) => ({ request: { method: "GET", url } })) } };
+}
+
+// Same layout and order as the executor's seal
+function reseal(packetDir) {
+  const abs = (rel) => path.join(packetDir, rel);
+  const core = readJson(abs(PACKET_FILES.manifest_core));
+  core.files = hashTree(packetDir, SEAL_FILES);
+  const packetHash = sha256Bytes(writeStableJson(abs(PACKET_FILES.manifest_core), core));
+  fs.writeFileSync(abs(PACKET_FILES.packet_hash), packetHash + "\n", "utf-8");
+
+  const sealed = {
+    runMetadata: readJson(abs(PACKET_FILES.run_metadata)),
+    interactionLog: readJson(abs(PACKET_FILES.interaction_log)),
+    evidenceIndex: readJson(abs(PACKET_FILES.evidence_index)),
+    consoleEvents: readJson(abs(PACKET_FILES.console_json)),
+    thirdPartyDomains: readJson(abs(PACKET_FILES.third_party_domains)),
+    packetHash,
+  };
+  const terms = loadForbiddenTerms(abs(PACKET_FILES.report_terms));
+  fs.writeFileSync(abs(PACKET_FILES.status), renderStatus(sealed, terms), "utf-8");
+  fs.writeFileSync(abs(PACKET_FILES.execution_report), renderExecutionReport(sealed, terms), "utf-8");
+
+  const manifest = readJson(abs(PACKET_FILES.manifest));
+  const sealEntries = SEAL_FILES.filter((rel) => rel !== PACKET_FILES.manifest).map((rel) => ({
+    path: rel,
+    sha256: sha256File(abs(rel)),
+    size_bytes: statSize(abs(rel)),
+  }));
+  manifest.packet_hash = packetHash;
+  manifest.files = core.files.concat(sealEntries).sort((a, b) => a.path.localeCompare(b.path));
+  writeStableJson(abs(PACKET_FILES.manifest), manifest);
+  return packetHash;
+}
+
+// Copies the base packet, replaces the compared artifacts and reseals
+function fixturePacket(base, work, name, { log, ax, consoleEvents, domains, requests, meta = {} }) {
+  const packetDir = path.join(work, name, "Deliverable_Packet");
+  fs.cpSync(base, packetDir, { recursive: true });
+  const abs = (rel) => path.join(packetDir, rel);
+  writeJson(abs(PACKET_FILES.interaction_log), log);
+  fs.mkdirSync(path.dirname(abs(AX_REL)), { recursive: true });
+  writeJson(abs(AX_REL), ax);
+  writeJson(abs(PACKET_FILES.console_json), consoleEvents);
+  writeJson(abs(PACKET_FILES.third_party_domains), {
+    generated_at_utc: AT,
+    domains: domains.map((domain) => ({ domain, first_seen_utc: AT, source_artifact: PACKET_FILES.network_har })),
+  });
+  writeJson(abs(PACKET_FILES.network_har), harOf(requests));
+  writeJson(abs(PACKET_FILES.run_metadata), { ...readJson(abs(PACKET_FILES.run_metadata)), ...meta });
+  reseal(packetDir);
+  return packetDir;
+}
+
+function sealBasePacket(work) {
+  const runDir = path.join(work, "base");
+  const res = spawnSync(
+    process.execPath,
+    [path.join(ROOT, "ect.backup.js"), path.join(ROOT, "stress_tests", "test_01_override_misuse_click.json"), "--run-dir", runDir],
+    { cwd: ROOT, encoding: "utf-8", timeout: 120000 }
+  );
+  assert.match(res.stdout + res.stderr, /PolicyViolation/);
+  return path.join(runDir, "Deliverable_Packet");
+}
+
+test("compareRuns and loadComparablePair over differing packets", async (t) => {
+  const work = fs.mkdtempSync(path.join(os.tmpdir(), "run-compare-test-"));
+  t.after(() => fs.rmSync(work, { recursive: true, force: true }));
+  const base = sealBasePacket(work);
+
+  const a = fixturePacket(base, work, "a", {
+    log: [
+      { step_index: 1, action: "provenance_final_url", result: "success", url: `${PAGE}/cart`, timestamp_utc: AT },
+      { step_index: 2, action: "click_selector", result: "success", url: `${PAGE}/cart#paid`, ax: AX_REL, timestamp_utc: AT },
+    ],
+    ax: AX_A,
+    consoleEvents: [
+      { timestamp_utc: AT, type: "error", text: "boom" },
+      { timestamp_utc: AT, type: "evidence_error", text: "executor note, not compared" },
+    ],
+    domains: ["cdn.example.net"],
+    requests: [`${PAGE}/cart`, "https://cdn.example.net/a.js", "https://CDN.example.net/b.css"],
+  });
+  const b = fixturePacket(base, work, "b", {
+    log: [
+      { step_index: 1, action: "provenance_final_url", result: "success", url: `${PAGE}/cart`, timestamp_utc: AT },
+      {
+        step_index: 2,
+        action: "click_selector",
+        result: "error",
+        error_type: "SelectorAmbiguity",
+        url: `${PAGE}/cart`,
+        ax: AX_REL,
+        timestamp_utc: AT,
+      },
+      { step_index: 3, action: "wait_selector", result: "success", url: `${PAGE}/checkout`, timestamp_utc: AT },
+    ],
+    ax: AX_B,
+    consoleEvents: [
+      { timestamp_utc: AT, type: "error", text: "boom" },
+      { timestamp_utc: AT, type: "pageerror", text: "TypeError: x is undefined" },
+      { timestamp_utc: AT, type: "pageerror", text: "TypeError: x is undefined" },
+    ],
+    domains: ["cdn.example.net", "ads.example.org"],
+    requests: ["https://cdn.example.net/a.js", "https://ads.example.org/1", "https://ads.example.org/2"],
+    meta: { profile: { id: "reflow_320", viewport: { width: 320, height: 256 } } },
+  });
+
+  await t.test("a pair of one flow loads, verified, and compares side by side", () => {
+    const [runA, runB] = loadComparablePair(path.dirname(a), path.dirname(b));
+    const cmp = compareRuns(runA, runB);
+
+    assert.equal(cmp.runs.a.packet_hash, fs.readFileSync(path.join(a, PACKET_FILES.packet_hash), "utf-8").trim());
+    assert.equal(cmp.runs.b.packet_hash, fs.readFileSync(path.join(b, PACKET_FILES.packet_hash), "utf-8").trim());
+    assert.equal(cmp.runs.a.verified && cmp.runs.b.verified, true);
+    assert.deepEqual(cmp.profile, { a: null, b: "reflow_320", identical: false });
+    assert.deepEqual(cmp.final_url, { a: `${PAGE}/cart#paid`, b: `${PAGE}/checkout`, identical: false });
+
+    assert.deepEqual(cmp.summary, {
+      steps_aligned: 2,
+      steps_only_in_a: 0,
+      steps_only_in_b: 1,
+      steps_with_different_result: 1,
+      steps_with_different_url: 1,
+      steps_with_different_ax_inventory: 1,
+    });
+    const [step1, step2, step3] = cmp.steps;
+    assert.equal(step1.url_identical && step1.result_identical, true);
+    assert.equal(step1.ax_inventory, null);
+    assert.deepEqual([step2.action_identical, step2.result_identical, step2.url_identical], [true, false, false]);
+    assert.equal(step2.b.error_type, "SelectorAmbiguity");
+    assert.deepEqual([step3.step_index, step3.a, step3.in_both], [3, null, false]);
+  });
+
+  await t.test("AX inventory differences per category, counted as multisets", () => {
+    const inv = compareRuns(...loadComparablePair(a, b)).steps[1].ax_inventory;
+    assert.deepEqual(inv.headings, {
+      a: 1,
+      b: 1,
+      only_in_a: [{ value: 'heading level 1 "Cart"', count: 1 }],
+      only_in_b: [{ value: 'heading level 2 "Cart"', count: 1 }],
+    });
+    assert.deepEqual(inv.landmarks, { a: 1, b: 1, only_in_a: [], only_in_b: [] });
+    assert.deepEqual(inv.links, { a: 1, b: 2, only_in_a: [], only_in_b: [{ value: 'link "Help"', count: 1 }] });
+    assert.deepEqual(inv.buttons, { a: 1, b: 0, only_in_a: [{ value: 'button "Pay"', count: 1 }], only_in_b: [] });
+    assert.deepEqual(inv.form_controls, { a: 0, b: 1, only_in_a: [], only_in_b: [{ value: 'textbox "Email"', count: 1 }] });
+  });
+
+  await t.test("console errors and third-party domains with their HAR request counts", () => {
+    const cmp = compareRuns(...loadComparablePair(a, b));
+    assert.deepEqual(cmp.console_errors, {
+      a: 1,
+      b: 3,
+      only_in_a: [],
+      only_in_b: [{ value: "pageerror: TypeError: x is undefined", count: 2 }],
+    });
+    assert.deepEqual(cmp.third_party_domains, {
+      only_in_a: [],
+      only_in_b: ["ads.example.org"],
+      requests: [
+        { domain: "ads.example.org", a: null, b: 2 },
+        { domain: "cdn.example.net", a: 2, b: 1 },
+      ],
+    });
+  });
+
+  await t.test("packets of different flows are refused", () => {
+    const other = path.join(work, "other", "Deliverable_Packet");
+    fs.cpSync(b, other, { recursive: true });
+    const metaAbs = path.join(other, PACKET_FILES.run_metadata);
+    writeJson(metaAbs, { ...readJson(metaAbs), flow_id: "some_other_flow" });
+    reseal(other);
+    assert.throws(() => loadComparablePair(a, other), /packets record different flow_ids \("override_misuse_click" and "some_other_flow"\)/);
+  });
+
+  await t.test("the same packet twice is refused", () => {
+    assert.throws(() => loadComparablePair(a, path.dirname(a)), /both targets are the same packet/);
+  });
+
+  await t.test("a packet that does not verify is refused", () => {
+    const tampered = path.join(work, "tampered", "Deliverable_Packet");
+    fs.cpSync(b, tampered, { recursive: true });
+    writeJson(path.join(tampered, AX_REL), AX_A);
+    assert.throws(() => loadComparablePair(a, tampered), /packet B \(.*\) failed verification: hash_mismatch \(exit 6\)/);
+  });
+});
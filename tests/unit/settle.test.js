@@ -0,0 +1,59 @@
+/**
+ * tests/unit/settle.test.js
+ * lib/settle.js against stand-in pages (node --test; no browser is launched).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeSettlePolicy, settlePage } = require("../../lib/settle");
+
+// Answers the three settle evaluates (mutation count, fonts, animation frames) by function body
+function responsivePage({ mutations = 0, fonts = "loaded" } = {}) {
+  return {
+    evaluate: async (fn, arg) => {
+      const body = String(fn);
+      if (body.includes("__af_mutations")) return mutations;
+      if (body.includes("document.fonts")) return fonts;
+      if (body.includes("requestAnimationFrame")) return arg;
+      throw new Error(`unexpected evaluate: ${body}`);
+    },
+  };
+}
+
+// A page whose main thread never answers
+const hungPage = { evaluate: () => new Promise(() => {}) };
+
+test("a quiet page settles with every condition met", async () => {
+  const policy = normalizeSettlePolicy({ quiet_ms: 30, max_wait_ms: 2000, poll_ms: 10 });
+  const outcome = await settlePage(responsivePage(), policy);
+  assert.equal(outcome.settled, true);
+  assert.deepEqual(outcome.unmet, []);
+  assert.equal(outcome.fonts_status, "loaded");
+  assert.equal(outcome.animation_frames, 2);
+  assert.ok(outcome.elapsed_ms < 2000);
+});
+
+test("a hung main thread cannot hold the wait open past max_wait_ms", async () => {
+  const policy = normalizeSettlePolicy({ quiet_ms: 30, max_wait_ms: 200, poll_ms: 10 });
+  const started = Date.now();
+  const outcome = await settlePage(hungPage, policy);
+  assert.ok(Date.now() - started < 1000, `settlePage took ${Date.now() - started} ms`);
+  assert.equal(outcome.settled, false);
+  assert.deepEqual(outcome.unmet, ["mutation_quiescence", "fonts", "animation_frames"]);
+  assert.equal(outcome.fonts_status, "loading");
+  assert.equal(outcome.animation_frames, 0);
+});
+
+test("fonts and animation frames share the remaining budget", async () => {
+  const policy = normalizeSettlePolicy({ quiet_ms: 30, max_wait_ms: 300, poll_ms: 10 });
+  const page = responsivePage();
+  const evaluate = page.evaluate;
+  // Mutation counts answer; the fonts and frame evaluates never do
+  page.evaluate = (fn, arg) => (String(fn).includes("__af_mutations") ? evaluate(fn, arg) : new Promise(() => {}));
+  const started = Date.now();
+  const outcome = await settlePage(page, policy);
+  assert.ok(Date.now() - started < 1000, `settlePage took ${Date.now() - started} ms`);
+  assert.deepEqual(outcome.unmet, ["fonts", "animation_frames"]);
+});
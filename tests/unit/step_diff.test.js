@@ -0,0 +1,142 @@
+/**
+ * tests/unit/step_diff.test.js
+ * lib/step_diff.js on small AX, HTML and screenshot fixtures (node --test).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decodePng, encodePng } = require("../../lib/png");
+const { diffAx, diffHtml, diffScreenshots } = require("../../lib/step_diff");
+
+// Solid RGBA image; overrides maps "x,y" to [r, g, b, a]
+function image(width, height, rgba, overrides = {}) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(rgba, i * 4);
+  for (const [at, px] of Object.entries(overrides)) {
+    const [x, y] = at.split(",").map(Number);
+    data.set(px, (y * width + x) * 4);
+  }
+  return encodePng({ width, height, data });
+}
+
+function maskPixel(mask, x, y) {
+  const { width, data } = decodePng(mask);
+  return [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+}
+
+test("diffScreenshots: identical frames differ nowhere", () => {
+  const png = image(4, 3, [10, 20, 30, 255]);
+  const { summary, mask } = diffScreenshots(png, png);
+  assert.deepEqual(summary, {
+    from: { width: 4, height: 3 },
+    to: { width: 4, height: 3 },
+    dimensions_differ: false,
+    pixels_compared: 12,
+    pixels_differing: 0,
+    pixel_difference_ratio: 0,
+  });
+  assert.deepEqual(maskPixel(mask, 0, 0), [0, 0, 0, 0]);
+});
+
+test("diffScreenshots: one changed pixel (alpha only) is marked in the mask", () => {
+  const from = image(4, 3, [10, 20, 30, 255]);
+  const to = image(4, 3, [10, 20, 30, 255], { "2,1": [10, 20, 30, 254] });
+  const { summary, mask } = diffScreenshots(from, to);
+  assert.equal(summary.pixels_differing, 1);
+  assert.equal(summary.pixel_difference_ratio, 1 / 12);
+  assert.deepEqual(maskPixel(mask, 2, 1), [255, 0, 0, 255]);
+  assert.deepEqual(maskPixel(mask, 1, 1), [0, 0, 0, 0]);
+});
+
+test("diffScreenshots: pixels outside one frame count as differing", () => {
+  const { summary, mask } = diffScreenshots(image(2, 2, [0, 0, 0, 255]), image(3, 2, [0, 0, 0, 255]));
+  assert.equal(summary.dimensions_differ, true);
+  assert.equal(summary.pixels_compared, 6);
+  assert.equal(summary.pixels_differing, 2);
+  assert.deepEqual(decodePng(mask).width, 3);
+  assert.deepEqual(maskPixel(mask, 2, 0), [255, 0, 0, 255]);
+  assert.deepEqual(maskPixel(mask, 2, 1), [255, 0, 0, 255]);
+});
+
+const AX_FROM = {
+  role: "WebArea",
+  name: "Form",
+  children: [
+    { role: "textbox", name: "Email", value: "", focused: true },
+    { role: "button", name: "Send" },
+    { role: "link", name: "Help" },
+    { role: "link", name: "Help" },
+  ],
+};
+
+const AX_TO = {
+  role: "WebArea",
+  name: "Form",
+  children: [
+    { role: "textbox", name: "Email", value: "a@b.c" },
+    { role: "button", name: "Send", focused: true },
+    { role: "link", name: "Help" },
+    { role: "alert", name: "Sent" },
+  ],
+};
+
+test("diffAx: added, removed and changed nodes, and the focus move", () => {
+  const d = diffAx(AX_FROM, AX_TO);
+  assert.equal(d.nodes_from, 5);
+  assert.equal(d.nodes_to, 5);
+  assert.deepEqual(d.added, [{ path: 'WebArea "Form" > alert "Sent"', role: "alert", name: "Sent" }]);
+  assert.deepEqual(d.removed, [{ path: 'WebArea "Form" > link "Help"[2]', role: "link", name: "Help" }]);
+  assert.deepEqual(d.changed, [
+    {
+      path: 'WebArea "Form" > textbox "Email"',
+      role: "textbox",
+      name: "Email",
+      changes: [
+        { property: "value", from: "", to: "a@b.c" },
+        { property: "focused", from: true, to: null },
+      ],
+    },
+    {
+      path: 'WebArea "Form" > button "Send"',
+      role: "button",
+      name: "Send",
+      changes: [{ property: "focused", from: null, to: true }],
+    },
+  ]);
+  assert.deepEqual(d.focus, { from: 'WebArea "Form" > textbox "Email"', to: 'WebArea "Form" > button "Send"', moved: true });
+  assert.deepEqual([d.added_total, d.removed_total, d.changed_total], [1, 1, 2]);
+});
+
+test("diffAx: identical snapshots and missing snapshots", () => {
+  const same = diffAx(AX_FROM, AX_FROM);
+  assert.deepEqual([same.added_total, same.removed_total, same.changed_total, same.focus.moved], [0, 0, 0, false]);
+  const none = diffAx(null, AX_TO);
+  assert.equal(none.nodes_from, 0);
+  assert.equal(none.added_total, 5);
+});
+
+test("diffHtml: element paths and text, ignoring comments, scripts and styles", () => {
+  const from = '<html><body><div id="main"><p>Hello</p><br><script>var a = "<p>";</script></div></body></html>';
+  const to = '<html><body><!-- <p>x</p> --><div id="main"><p>Hello</p><p>World</p><br><style>p{}</style></div></body></html>';
+  const d = diffHtml(from, to);
+  assert.equal(d.structure_identical, false);
+  assert.equal(d.text_identical, false);
+  assert.deepEqual(d.paths_added, [
+    { path: "html > body > div#main > p", count: 1 },
+    { path: "html > body > div#main > style", count: 1 },
+  ]);
+  assert.deepEqual(d.paths_removed, [{ path: "html > body > div#main > script", count: 1 }]);
+  assert.equal(d.elements_added, 2);
+  assert.equal(d.elements_removed, 1);
+  assert.equal(d.from.elements, 6);
+  assert.equal(d.to.elements, 7);
+});
+
+test("diffHtml: whitespace-only and script-only changes keep text identical", () => {
+  const d = diffHtml("<p>Hello   world</p><script>1</script>", "<p>Hello\nworld</p><script>2</script>");
+  assert.equal(d.structure_identical, true);
+  assert.equal(d.text_identical, true);
+  assert.equal(d.paths_added_total + d.paths_removed_total, 0);
+});
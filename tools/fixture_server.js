@@ -0,0 +1,126 @@
+/**
+ * tools/fixture_server.js
+ * Local fixture server for the stress and test flows. Requires only Node.
+ *
+ * USAGE:
+ *   node tools/fixture_server.js [--port 8080]
+ *
+ * Serves the repository root read-only (flows address fixtures as
+ * http://127.0.0.1:8080/stress_tests/html/... and .../tests/...), plus:
+ *   GET /redirect-to?url=<path or same-host URL>[&status_code=302]
+ *     Redirects like httpbin's endpoint of the same name. Targets on another host are
+ *     refused (400) so no flow can leave the machine through the fixture server.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_PORT = 8080;
+const HOST = "127.0.0.1";
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".woff2": "font/woff2",
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store", ...headers });
+  res.end(body);
+}
+
+function handleRedirect(req, res, url) {
+  const target = url.searchParams.get("url");
+  const code = Number(url.searchParams.get("status_code") || 302);
+  if (!target) return send(res, 400, "redirect-to requires ?url=\n");
+  if (!REDIRECT_CODES.includes(code)) return send(res, 400, `status_code must be one of ${REDIRECT_CODES.join(", ")}\n`);
+
+  let location;
+  try {
+    location = new URL(target, url);
+  } catch (_) {
+    return send(res, 400, "redirect-to url is not a URL\n");
+  }
+  if (location.host !== url.host) return send(res, 400, "redirect-to only redirects within this server\n");
+  send(res, code, "", { Location: location.href });
+}
+
+function handleStatic(req, res, url) {
+  let rel;
+  try {
+    rel = decodeURIComponent(url.pathname);
+  } catch (_) {
+    return send(res, 400, "Bad path\n");
+  }
+  let abs = path.resolve(ROOT, "." + rel);
+  if (abs !== ROOT && !abs.startsWith(ROOT + path.sep)) return send(res, 403, "Outside fixture root\n");
+  if (fs.existsSync(abs) && fs.statSync(abs).isDirectory()) abs = path.join(abs, "index.html");
+  if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) return send(res, 404, "Not found\n");
+
+  const type = CONTENT_TYPES[path.extname(abs).toLowerCase()] || "application/octet-stream";
+  res.writeHead(200, { "Content-Type": type, "Cache-Control": "no-store" });
+  if (req.method === "HEAD") return res.end();
+  fs.createReadStream(abs).pipe(res);
+}
+
+/**
+ * Starts the server. Resolves with the http.Server once it is listening.
+ */
+function startFixtureServer({ port = DEFAULT_PORT, host = HOST } = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, "Method not allowed\n");
+    const url = new URL(req.url, `http://${req.headers.host || `${host}:${port}`}`);
+    if (url.pathname === "/redirect-to") return handleRedirect(req, res, url);
+    return handleStatic(req, res, url);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.removeListener("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) {
+    console.error("USAGE: node tools/fixture_server.js [--port 8080]");
+    process.exitCode = 2;
+    return;
+  }
+  try {
+    await startFixtureServer({ port: args.port });
+  } catch (e) {
+    console.error(`FATAL: Fixture server could not listen on ${HOST}:${args.port}: ${e && e.message ? e.message : String(e)}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`FIXTURE SERVER: http://${HOST}:${args.port}/ (root: ${ROOT})`);
+}
+
+if (require.main === module) main();
+
+module.exports = { DEFAULT_PORT, startFixtureServer };
@@ -0,0 +1,71 @@
+/**
+ * tools/lint_flow.js
+ * Flow linter (docs/flow.schema.json). Requires only Node; no browser is launched.
+ *
+ * USAGE:
+ *   node tools/lint_flow.js <flow.json | flow dir>... [--json]
+ *
+ * A directory is linted as every *.json file directly in it. Every problem of every
+ * flow is listed with its JSON path; --json prints { files: [{ file, ok, problems }] }.
+ *
+ * Exit codes: 0 every flow valid, 1 at least one problem, 2 usage or read error.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { lintFlowFile, formatProblem } = require("../lib/flow_schema");
+
+function parseArgs(argv) {
+  const args = { targets: [], json: false };
+  for (const arg of argv) {
+    if (arg === "--json") args.json = true;
+    else args.targets.push(arg);
+  }
+  return args;
+}
+
+function flowFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs
+    .readdirSync(target)
+    .filter((f) => f.toLowerCase().endsWith(".json"))
+    .sort()
+    .map((f) => path.join(target, f));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.targets.length === 0) {
+    console.error("USAGE: node tools/lint_flow.js <flow.json | flow dir>... [--json]");
+    process.exitCode = 2;
+    return;
+  }
+
+  const files = args.targets.flatMap(flowFiles).map((file) => {
+    const problems = lintFlowFile(file);
+    return { file, ok: problems.length === 0, problems };
+  });
+  const failing = files.filter((f) => !f.ok);
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ files }, null, 2) + "\n");
+  } else {
+    for (const f of files) {
+      console.log(`${f.ok ? "OK  " : "FAIL"} ${f.file}`);
+      for (const p of f.problems) console.log(`  ${formatProblem(p)}`);
+    }
+    const problemCount = failing.reduce((n, f) => n + f.problems.length, 0);
+    console.log(`FLOWS LINTED: ${files.length} | with problems: ${failing.length} | problems: ${problemCount}`);
+  }
+
+  process.exitCode = failing.length ? 1 : 0;
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("LINT ERROR:", e && e.message ? e.message : String(e));
+  process.exitCode = 2;
+}
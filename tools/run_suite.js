@@ -0,0 +1,393 @@
+/**
+ * tools/run_suite.js
+ * Offline executor test suite: runs every stress_tests/*.json and tests/*.json flow
+ * against the local fixture server and asserts tools/suite_expectations.js, then the
+ * command cases (--compare, --replay, --batch, profile matrix), which assert the hash
+ * file each command seals.
+ *
+ * USAGE:
+ *   node tools/run_suite.js [substring filter] [--keep]
+ *
+ * The fixture server listens on 127.0.0.1:8080 (the flows address it there). Each flow
+ * runs as its own executor process into a temporary run directory (removed afterwards
+ * unless --keep). A flow file without an expectation entry fails the suite. The filter
+ * matches flow paths and command case names alike.
+ *
+ * Exit codes: 0 all passed, 1 any failure, 2 fixture server could not start.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { chromium } = require("playwright");
+const { PACKET_FILES, readJson, sha256File } = require("../lib/packet_io");
+const { verifyPacket } = require("../lib/packet_verify");
+const { DEFAULT_PORT, startFixtureServer } = require("./fixture_server");
+const { SUITE_EXPECTATIONS } = require("./suite_expectations");
+
+const ROOT = path.resolve(__dirname, "..");
+// The executor the PowerShell harnesses invoke as ect.js
+const EXECUTOR = path.join(ROOT, "ect.backup.js");
+const FLOW_DIRS = ["stress_tests", "tests"];
+const FLOW_TIMEOUT_MS = 120000;
+// Refused by the capture policy before launch: sealed packets without a browser
+const POLICY_FLOW = "stress_tests/test_01_override_misuse_click.json";
+const POLICY_FLOW_KEYBOARD = "stress_tests/test_04_passive_blocks_keyboard.json";
+// A passive flow that succeeds and records network.har (needs Chromium)
+const BROWSER_FLOW = "stress_tests/test_03_passive_ok.json";
+
+// verify_test_11..16: files manifest.json must list in every packet
+const REQUIRED_MANIFEST_ENTRIES = [
+  PACKET_FILES.status,
+  PACKET_FILES.interaction_log,
+  PACKET_FILES.execution_report,
+  PACKET_FILES.flow_plan_sealed,
+  PACKET_FILES.run_metadata,
+  PACKET_FILES.packet_hash,
+];
+
+function listFlows() {
+  const flows = [];
+  for (const dir of FLOW_DIRS) {
+    for (const f of fs.readdirSync(path.join(ROOT, dir)).sort()) {
+      if (f.toLowerCase().endsWith(".json")) flows.push(`${dir}/${f}`);
+    }
+  }
+  return flows;
+}
+
+function runCommand(args, cwd = ROOT) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [EXECUTOR, ...args], {
+      cwd,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+    const timer = setTimeout(() => child.kill(), FLOW_TIMEOUT_MS);
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, output });
+    });
+  });
+}
+
+function runExecutor(flowRel, runDir) {
+  return runCommand([flowRel, "--run-dir", runDir]);
+}
+
+function matches(expected, actual) {
+  return expected instanceof RegExp ? typeof actual === "string" && expected.test(actual) : expected === actual;
+}
+
+function describe(value) {
+  return value instanceof RegExp ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * Returns the list of failed assertions ([] when the flow met its expectation).
+ */
+function checkRun(expect, { code, signal, output }, runDir) {
+  const failures = [];
+  const check = (ok, msg) => {
+    if (!ok) failures.push(msg);
+  };
+
+  if (signal) return [`executor killed (${signal}) after ${FLOW_TIMEOUT_MS} ms`];
+  for (const re of expect.output || []) check(re.test(output), `output does not match ${re}`);
+
+  const packetDir = path.join(runDir, "Deliverable_Packet");
+  if (expect.packet === false) {
+    check(code !== 0, "executor exited 0 for a refused flow");
+    check(!fs.existsSync(packetDir), "a packet was created for a refused flow");
+    return failures;
+  }
+
+  check(expect.status === "success" ? code === 0 : code !== 0, `unexpected executor exit code ${code}`);
+  if (!fs.existsSync(packetDir)) return [...failures, "no Deliverable_Packet created"];
+
+  const verification = verifyPacket(packetDir);
+  for (const f of verification.failures) failures.push(`packet verification: ${f.class} ${f.path || "-"} ${f.detail}`);
+
+  // Non-circular seal: packet_hash.txt == sha256(manifest_core.json bytes)
+  const recorded = fs.readFileSync(path.join(packetDir, PACKET_FILES.packet_hash), "utf-8").trim();
+  check(recorded === sha256File(path.join(packetDir, PACKET_FILES.manifest_core)), "packet_hash.txt does not seal manifest_core.json");
+
+  const manifest = readJson(path.join(packetDir, PACKET_FILES.manifest));
+  const listed = new Set((manifest.files || []).map((f) => f.path));
+  for (const rel of REQUIRED_MANIFEST_ENTRIES) check(listed.has(rel), `manifest.json does not list ${rel}`);
+
+  const meta = readJson(path.join(packetDir, PACKET_FILES.run_metadata));
+  check(meta.status === expect.status, `run_metadata.status is ${describe(meta.status)}, expected ${describe(expect.status)}`);
+  if (expect.error_type !== undefined) {
+    check(meta.error_type === expect.error_type, `run_metadata.error_type is ${describe(meta.error_type)}, expected ${describe(expect.error_type)}`);
+  }
+  for (const re of expect.error || []) check(re.test(String(meta.error)), `run_metadata.error ${describe(meta.error)} does not match ${re}`);
+  if (expect.run_id) check(expect.run_id.test(meta.run_id), `run_id ${meta.run_id} does not match ${expect.run_id}`);
+  if (expect.deviations !== undefined) {
+    const n = (meta.deviations || []).length;
+    check(n === expect.deviations, `run_metadata.deviations has ${n} entries, expected ${expect.deviations}`);
+  }
+  if (expect.goal_observed !== undefined) {
+    const observed = meta.goal ? meta.goal.observed : undefined;
+    check(observed === expect.goal_observed, `run_metadata.goal.observed is ${describe(observed)}, expected ${expect.goal_observed}`);
+  }
+
+  const statusTxt = fs.readFileSync(path.join(packetDir, PACKET_FILES.status), "utf-8");
+  check(
+    new RegExp(`RUN STATUS:\\s*${String(expect.status).toUpperCase()}`).test(statusTxt),
+    `STATUS.txt does not show RUN STATUS: ${String(expect.status).toUpperCase()}`
+  );
+  for (const re of expect.status_txt || []) check(re.test(statusTxt), `STATUS.txt does not match ${re}`);
+
+  const log = readJson(path.join(packetDir, PACKET_FILES.interaction_log));
+  for (const want of expect.log || []) {
+    const found = log.some((entry) => Object.entries(want).every(([k, v]) => matches(v, entry[k])));
+    check(found, `interaction_log has no entry matching { ${Object.entries(want).map(([k, v]) => `${k}: ${describe(v)}`).join(", ")} }`);
+  }
+
+  return failures;
+}
+
+function readTrimmed(file) {
+  return fs.readFileSync(file, "utf-8").trim();
+}
+
+// Asserts <hashFile> == sha256(<indexFile> bytes) in dir; returns the parsed index (null if missing)
+function checkSealedIndex(check, dir, indexFile, hashFile) {
+  const indexAbs = path.join(dir, indexFile);
+  const hashAbs = path.join(dir, hashFile);
+  if (!fs.existsSync(indexAbs) || !fs.existsSync(hashAbs)) {
+    check(false, `${indexFile} or ${hashFile} not written in ${dir}`);
+    return null;
+  }
+  check(readTrimmed(hashAbs) === sha256File(indexAbs), `${hashFile} does not seal ${indexFile}`);
+  return readJson(indexAbs);
+}
+
+// Asserts an index entry's packet_hash is the one sealed in the packet under runDir, and that it verifies
+function checkIndexedPacket(check, label, entry, runDir) {
+  const packetDir = path.join(runDir, "Deliverable_Packet");
+  if (!fs.existsSync(packetDir)) return check(false, `${label}: no Deliverable_Packet in ${runDir}`);
+  check(entry.packet_hash === readTrimmed(path.join(packetDir, PACKET_FILES.packet_hash)), `${label}: packet_hash is not the one in packet_hash.txt`);
+  check(entry.verified === true, `${label}: verified is ${describe(entry.verified)}`);
+  check(verifyPacket(packetDir).ok, `${label}: packet does not verify`);
+}
+
+function checkExit(check, result, expected) {
+  if (result.signal) return check(false, `executor killed (${result.signal}) after ${FLOW_TIMEOUT_MS} ms`);
+  check(result.code === expected, `executor exited ${result.code}, expected ${expected}`);
+}
+
+/**
+ * Command cases: each builds its own packets in a work directory and returns the
+ * failed assertions plus the outputs of the commands it ran.
+ */
+const COMMAND_CASES = [
+  {
+    name: "--compare: two packets of one flow",
+    async run(work) {
+      const failures = [];
+      const check = (ok, msg) => {
+        if (!ok) failures.push(msg);
+      };
+      const a = path.join(work, "a");
+      const b = path.join(work, "b");
+      const cmp = path.join(work, "comparison");
+      const outputs = [(await runExecutor(POLICY_FLOW, a)).output, (await runExecutor(POLICY_FLOW, b)).output];
+      const result = await runCommand(["--compare", a, b, "--run-dir", cmp]);
+      outputs.push(result.output);
+      checkExit(check, result, 0);
+
+      const comparison = checkSealedIndex(check, cmp, "comparison.json", "comparison_hash.txt");
+      if (comparison) {
+        checkIndexedPacket(check, "runs.a", comparison.runs.a, a);
+        checkIndexedPacket(check, "runs.b", comparison.runs.b, b);
+        const hash = readTrimmed(path.join(cmp, "comparison_hash.txt"));
+        check(result.output.includes(`COMPARISON HASH: ${hash}`), "output does not print the comparison hash");
+        check(fs.readFileSync(path.join(cmp, "Comparison_Report.txt"), "utf-8").includes(hash), "Comparison_Report.txt does not state the comparison hash");
+      }
+
+      const self = await runCommand(["--compare", a, a, "--run-dir", path.join(work, "self")]);
+      outputs.push(self.output);
+      checkExit(check, self, 1);
+      check(/Comparison refused: both targets are the same packet/.test(self.output), "comparing a packet with itself was not refused");
+      return { failures, outputs };
+    },
+  },
+  {
+    name: "--replay: one packet replayed from its HAR",
+    async run(work) {
+      const failures = [];
+      const check = (ok, msg) => {
+        if (!ok) failures.push(msg);
+      };
+      const src = path.join(work, "source");
+      const rep = path.join(work, "replay");
+      const outputs = [(await runExecutor(BROWSER_FLOW, src)).output];
+      const result = await runCommand(["--replay", src, "--run-dir", rep]);
+      outputs.push(result.output);
+      checkExit(check, result, 0);
+
+      const srcPacket = path.join(src, "Deliverable_Packet");
+      const repPacket = path.join(rep, "Deliverable_Packet");
+      if (!fs.existsSync(repPacket)) return { failures: [...failures, "no replay Deliverable_Packet created"], outputs };
+      for (const f of verifyPacket(repPacket).failures) check(false, `packet verification: ${f.class} ${f.path || "-"} ${f.detail}`);
+      const core = readJson(path.join(repPacket, PACKET_FILES.manifest_core));
+      check(readTrimmed(path.join(repPacket, PACKET_FILES.packet_hash)) === sha256File(path.join(repPacket, PACKET_FILES.manifest_core)), "packet_hash.txt does not seal manifest_core.json");
+      const replayOf = core.replay_of || {};
+      check(replayOf.packet_hash === readTrimmed(path.join(srcPacket, PACKET_FILES.packet_hash)), "manifest_core.replay_of.packet_hash is not the source packet_hash.txt");
+      check(replayOf.flow_plan_sha256 === readJson(path.join(srcPacket, PACKET_FILES.manifest_core)).flow_plan_sha256, "manifest_core.replay_of.flow_plan_sha256 is not the source plan hash");
+      check(/_replay$/.test(readJson(path.join(repPacket, PACKET_FILES.run_metadata)).run_id), "replay run_id does not end in _replay");
+      return { failures, outputs };
+    },
+  },
+  {
+    name: "--batch: a matter file of two flows",
+    async run(work) {
+      const failures = [];
+      const check = (ok, msg) => {
+        if (!ok) failures.push(msg);
+      };
+      const matterPath = path.join(work, "matter.json");
+      const flows = [POLICY_FLOW, POLICY_FLOW_KEYBOARD];
+      fs.writeFileSync(matterPath, JSON.stringify({ matter_id: "suite", concurrency: 2, flows: flows.map((f) => path.join(ROOT, f)) }, null, 2));
+      // --batch writes runs/ under its working directory
+      const result = await runCommand(["--batch", matterPath], work);
+      checkExit(check, result, 1);
+
+      const runsDir = path.join(work, "runs");
+      const matterDirs = fs.existsSync(runsDir) ? fs.readdirSync(runsDir).filter((d) => d.endsWith("_matter")) : [];
+      if (matterDirs.length !== 1) return { failures: [...failures, `expected one matter directory, found ${matterDirs.length}`], outputs: [result.output] };
+      const matterDir = path.join(runsDir, matterDirs[0]);
+      const index = checkSealedIndex(check, matterDir, "matter_index.json", "matter_hash.txt");
+      if (index) {
+        check(index.source && index.source.sha256 === sha256File(matterPath), "matter_index.json source.sha256 is not the matter file's");
+        check(index.runs.length === flows.length, `matter_index.json lists ${index.runs.length} runs, expected ${flows.length}`);
+        for (const [i, run] of index.runs.entries()) {
+          const label = `runs[${i}]`;
+          checkIndexedPacket(check, label, run, path.join(matterDir, run.run_dir));
+          check(run.status === "error" && run.error_type === "PolicyViolation", `${label}: ${run.status} ${run.error_type}, expected error PolicyViolation`);
+          check(run.log && run.log.sha256 === sha256File(path.join(matterDir, run.log.path)), `${label}: log sha256 does not match`);
+        }
+      }
+      return { failures, outputs: [result.output] };
+    },
+  },
+  {
+    name: "profile matrix: one flow across two profiles",
+    async run(work) {
+      const failures = [];
+      const check = (ok, msg) => {
+        if (!ok) failures.push(msg);
+      };
+      const profiles = ["desktop", "reflow_320"];
+      const flow = readJson(path.join(ROOT, POLICY_FLOW));
+      const flowPath = path.join(work, "matrix_flow.json");
+      fs.writeFileSync(flowPath, JSON.stringify({ ...flow, profiles }, null, 2));
+      const matrixDir = path.join(work, "matrix");
+      const result = await runCommand([flowPath, "--run-dir", matrixDir]);
+      checkExit(check, result, 1);
+
+      const index = checkSealedIndex(check, matrixDir, "matrix_index.json", "matrix_hash.txt");
+      if (index) {
+        const ids = index.profiles.map((p) => p.profile && p.profile.id);
+        check(JSON.stringify(ids) === JSON.stringify(profiles), `matrix_index.json profiles are ${describe(ids)}, expected ${describe(profiles)}`);
+        for (const child of index.profiles) {
+          const label = `profiles.${child.profile && child.profile.id}`;
+          const runDir = path.join(matrixDir, child.run_dir);
+          checkIndexedPacket(check, label, child, runDir);
+          check(child.status === "error" && child.error_type === "PolicyViolation", `${label}: ${child.status} ${child.error_type}, expected error PolicyViolation`);
+          const metaPath = path.join(runDir, "Deliverable_Packet", PACKET_FILES.run_metadata);
+          if (fs.existsSync(metaPath)) {
+            const meta = readJson(metaPath);
+            check(meta.profile && meta.profile.id === child.profile.id, `${label}: run_metadata.profile is ${describe(meta.profile)}`);
+          }
+        }
+      }
+      return { failures, outputs: [result.output] };
+    },
+  },
+];
+
+function parseArgs(argv) {
+  const args = { filter: null, keep: false };
+  for (const a of argv) {
+    if (a === "--keep") args.keep = true;
+    else if (!args.filter) args.filter = a;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const flows = listFlows().filter((f) => !args.filter || f.includes(args.filter));
+  const cases = COMMAND_CASES.filter((c) => !args.filter || c.name.includes(args.filter));
+  const total = flows.length + cases.length;
+
+  let server;
+  try {
+    server = await startFixtureServer({ port: DEFAULT_PORT });
+  } catch (e) {
+    console.error(`FATAL: Fixture server could not start: ${e && e.message ? e.message : String(e)}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "ect-suite-"));
+  console.log(`1..${total}`);
+  if (!fs.existsSync(chromium.executablePath())) {
+    console.log(`# Chromium not found at ${chromium.executablePath()}: flows that launch a browser will fail`);
+    console.log("# (install it with: npx playwright install chromium)");
+  }
+  let failed = 0;
+
+  try {
+    for (const [i, flowRel] of flows.entries()) {
+      const expect = SUITE_EXPECTATIONS[flowRel];
+      let failures;
+      if (!expect) {
+        failures = ["no expectation declared in tools/suite_expectations.js"];
+      } else {
+        const runDir = path.join(tmpRoot, String(i + 1).padStart(3, "0"));
+        const result = await runExecutor(flowRel, runDir);
+        failures = checkRun(expect, result, runDir);
+        if (failures.length && result.output.trim()) {
+          failures.push(...result.output.trim().split("\n").map((l) => `output: ${l}`));
+        }
+      }
+
+      if (failures.length) failed++;
+      console.log(`${failures.length ? "not ok" : "ok"} ${i + 1} - ${flowRel}`);
+      for (const f of failures) console.log(`  # ${f}`);
+    }
+
+    for (const [j, c] of cases.entries()) {
+      const n = flows.length + j + 1;
+      const work = path.join(tmpRoot, `cmd_${String(j + 1).padStart(2, "0")}`);
+      fs.mkdirSync(work);
+      const { failures, outputs } = await c.run(work);
+      if (failures.length) {
+        for (const out of outputs) if (out.trim()) failures.push(...out.trim().split("\n").map((l) => `output: ${l}`));
+        failed++;
+      }
+      console.log(`${failures.length ? "not ok" : "ok"} ${n} - ${c.name}`);
+      for (const f of failures) console.log(`  # ${f}`);
+    }
+  } finally {
+    server.close();
+    if (args.keep) console.log(`# run directories kept in ${tmpRoot}`);
+    else fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+
+  console.log(`# passed ${total - failed}/${total}`);
+  if (failed) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { checkRun, listFlows };
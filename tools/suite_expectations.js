@@ -0,0 +1,203 @@
+/**
+ * tools/suite_expectations.js
+ * Expected outcome of every stress_tests/*.json and tests/*.json flow, as asserted by
+ * tools/run_suite.js. Each entry restates what the PowerShell harnesses check
+ * (stress_tests/verify_*.ps1, stress_tests/verify_break, tests/run_test_*.ps1).
+ *
+ * Entry fields (all optional except packet/status):
+ *   packet       false when the executor must refuse the flow before creating a packet
+ *   output       regexes the executor's combined stdout/stderr must match
+ *   status       run_metadata.status
+ *   error_type   run_metadata.error_type
+ *   error        regexes run_metadata.error must match
+ *   status_txt   regexes STATUS.txt must match
+ *   run_id       regex run_metadata.run_id must match
+ *   log          interaction_log entries that must exist (fields compared exactly, or by regex)
+ *   deviations   number of entries in run_metadata.deviations
+ *   goal_observed  run_metadata.goal.observed
+ *
+ * Every flow that produces a packet is also verified with lib/packet_verify.js, and its
+ * manifest.json must list the files checked by verify_test_11..16.
+ */
+
+"use strict";
+
+const policyRejected = (pattern) => ({
+  status: "error",
+  error_type: "PolicyViolation",
+  error: [pattern],
+  log: [{ result: "rejected", error_type: "PolicyViolation" }],
+});
+
+const POINTER_IN_PASSIVE = /click_selector \(pointer\) is not permitted in passive capture mode/;
+
+const successfulRun = (log = []) => ({
+  status: "success",
+  error_type: null,
+  log: [
+    { step_index: 1, action: "provenance_start_url" },
+    { step_index: 1, action: "provenance_final_url", result: "success" },
+    ...log,
+  ],
+});
+
+const SUITE_EXPECTATIONS = {
+  "stress_tests/some_test.json": {
+    packet: false,
+    output: [/FATAL: flow invalid/, /\$\.flow_id: is required/, /\$\.example: is not a permitted property/],
+  },
+  "stress_tests/test_01_override_misuse_click.json": policyRejected(POINTER_IN_PASSIVE),
+  "stress_tests/test_02_override_misuse_type.json": policyRejected(
+    /type_selector \(input\) is not permitted in passive capture mode/
+  ),
+  "stress_tests/test_03_passive_ok.json": successfulRun([
+    { step_index: 2, action: "wait_selector", result: "success" },
+    { step_index: 3, action: "assert_text_present", result: "success" },
+    { step_index: 4, action: "scroll", result: "success" },
+    { step_index: 5, action: "assert_url_contains", result: "success" },
+  ]),
+  "stress_tests/test_03_passive_scroll_assert.json": successfulRun([
+    { step_index: 4, action: "scroll", result: "success" },
+  ]),
+  "stress_tests/test_03_visual_only_with_action.json": policyRejected(POINTER_IN_PASSIVE),
+  "stress_tests/test_03b_interactive_click.json": successfulRun([
+    { step_index: 3, action: "click_selector", result: "success" },
+  ]),
+  "stress_tests/test_04_passive_blocks_keyboard.json": policyRejected(
+    /press \(keyboard\) is not permitted in passive capture mode/
+  ),
+  "stress_tests/test_04_visual_only_keyboard_block.json": policyRejected(
+    /press \(keyboard\) is not permitted in passive capture mode/
+  ),
+  "stress_tests/test_04b_interactive_keyboard.json": successfulRun([
+    { step_index: 3, action: "tab", result: "success" },
+    { step_index: 4, action: "press", result: "success" },
+  ]),
+  "stress_tests/test_05_instability_logging.json": {
+    ...successfulRun([
+      { step_index: 2, action: "wait_selector", result: "success" },
+      { step_index: 3, action: "wait_selector", result: "success" },
+    ]),
+    deviations: 2,
+  },
+  "stress_tests/test_05_visual_only_click_reject.json": policyRejected(POINTER_IN_PASSIVE),
+  // verify_test_06.ps1
+  "stress_tests/test_06_ambiguity_failure.json": {
+    status: "error",
+    error_type: "SelectorAmbiguity",
+    error: [/Ambiguity Error/, /matched 3 elements/],
+    log: [{ step_index: 3, action: "click_selector", result: "error" }],
+  },
+  // verify_test_07.ps1
+  "stress_tests/test_07_goal_text_forbidden.json": {
+    ...policyRejected(/goal_text is forbidden in passive capture mode/),
+    output: [/goal_text is forbidden/],
+  },
+  // verify_test_08.ps1
+  "stress_tests/test_08_goal_step_naming.json": {
+    ...successfulRun([{ step_index: "GOAL", action: "verify_goal", result: "success" }]),
+    goal_observed: true,
+  },
+  // verify_test_09.ps1
+  "stress_tests/test_09_failed_run_sealed.json": {
+    status: "error",
+    error: [/#definitely_not_real_12345/],
+    status_txt: [/RUN STATUS:\s*ERROR/],
+    log: [{ step_index: 3, action: "wait_selector", result: "error" }],
+  },
+  // verify_test_10.ps1: start URL (redirect endpoint) and final URL are both logged
+  "stress_tests/test_10_url_provenance_logging.json": successfulRun([
+    { step_index: 1, action: "provenance_start_url", url: /\/redirect-to\?url=/ },
+    { step_index: 1, action: "provenance_final_url", url: /\/stress_tests\/html\/example_com\.html$/ },
+  ]),
+  // verify_test_11..16.ps1: manifest entries, checked for every packet
+  "stress_tests/test_11_manifest_requires_status_banner.json": successfulRun(),
+  "stress_tests/test_12_manifest_includes_interaction_log.json": successfulRun(),
+  "stress_tests/test_13_manifest_includes_execution_report.json": successfulRun(),
+  "stress_tests/test_14_manifest_includes_flow_plan_sealed.json": successfulRun(),
+  "stress_tests/test_15_manifest_includes_run_metadata.json": successfulRun(),
+  "stress_tests/test_16_manifest_includes_packet_hash.json": successfulRun(),
+  // step types beyond the original set (no ps1 counterpart)
+  "stress_tests/test_17_interactive_step_types.json": successfulRun([
+    { step_index: 2, action: "hover", result: "success" },
+    { step_index: 4, action: "focus_selector", result: "success" },
+    { step_index: 5, action: "key_sequence", result: "success" },
+    { step_index: 6, action: "select_option", result: "success" },
+    { step_index: 7, action: "check", result: "success" },
+    { step_index: 8, action: "check", result: "success" },
+    { step_index: 10, action: "key_sequence", result: "success" },
+    { step_index: 11, action: "navigate", result: "success", url: /example_com\.html$/ },
+    { step_index: 12, action: "wait_for_url", result: "success" },
+  ]),
+  "stress_tests/test_17_passive_blocks_navigate.json": policyRejected(
+    /navigate \(navigation\) is not permitted in passive capture mode/
+  ),
+  // matchMedia that never matches: the requested media feature cannot be observed
+  "stress_tests/test_18_media_feature_mismatch.json": {
+    status: "error",
+    error_type: "IntegrityError",
+    error: [/Media feature prefers-reduced-motion: requested "reduce", matchMedia reported "null"/],
+    status_txt: [/RUN STATUS:\s*ERROR/],
+    log: [{ step_index: 2, action: "wait_selector", result: "success" }],
+  },
+  // allow_multiple_matches on an acting step, honored in interactive mode for the named match
+  "stress_tests/test_19_interactive_match_override.json": {
+    ...successfulRun([{ step_index: 2, action: "click_selector", result: "success" }]),
+    deviations: 1,
+  },
+  "stress_tests/test_19_match_override_without_index.json": policyRejected(
+    /allow_multiple_matches is only permitted for wait_selector \(click_selector acts on the matched element\)/
+  ),
+  // verify_break
+  "stress_tests/test_break_01_wait_selector_timeout.json": {
+    status: "error",
+    error: [/wait_selector|Timeout|not found|Selector/],
+    status_txt: [/RUN STATUS:\s*ERROR/],
+    log: [{ action: "wait_selector", result: "error" }],
+  },
+  // verify_break_02_goal_selector_ambiguity.ps1
+  "stress_tests/test_break_02_goal_selector_ambiguity.json": {
+    status: "error",
+    error: [/Goal Failed: Selector/, /matched\s+2/],
+    run_id: /stress_break_goal_selector_ambiguity/,
+    log: [{ step_index: "GOAL", action: "verify_goal", result: "error" }],
+    goal_observed: false,
+  },
+  // verify_break_ambiguous_click.ps1
+  "stress_tests/test_break_ambiguous_click_interactive.json": {
+    status: "error",
+    error_type: "SelectorAmbiguity",
+    error: [/matched\s+2/],
+    status_txt: [/RUN STATUS:\s*ERROR/],
+    log: [{ action: "click_selector", result: "error" }],
+  },
+  "stress_tests/test_break_invalid_json.json": { packet: false, output: [/Could not parse flow JSON/] },
+  "stress_tests/test_break_passive_has_click.json": policyRejected(POINTER_IN_PASSIVE),
+  // press_key is not a step type: refused by the flow schema before any packet exists
+  "stress_tests/test_break_unknown_step_type.json": {
+    packet: false,
+    output: [/\$\.steps\[0\]\.type: must be one of/, /\$\.steps\[1\]\.type: must be one of/],
+  },
+
+  // run_test_01.ps1
+  "tests/test_01_policy_gate_misuse.json": {
+    ...policyRejected(/allow_multiple_matches is only permitted for wait_selector/),
+    status_txt: [/ERROR TYPE:\s+PolicyViolation/, /allow_multiple_matches is only permitted for wait_selector/],
+  },
+  // run_test_02.ps1: Step 001 is navigation provenance, plan steps start at 002
+  "tests/test_02_step_indexing.json": successfulRun([
+    { step_index: 1, action: "provenance_resolved_start_url" },
+    { step_index: 2, action: "wait_selector", result: "success" },
+    { step_index: 3, action: "click_selector", result: "success" },
+  ]),
+  "tests/test_02_strict_selector_violation.json": policyRejected(POINTER_IN_PASSIVE),
+  // run_test_03.ps1
+  "tests/test_03_selector_ambiguity.json": {
+    status: "error",
+    error_type: "SelectorAmbiguity",
+    status_txt: [/ERROR TYPE:\s+SelectorAmbiguity/, /matched 2 elements/],
+    log: [{ step_index: 2, action: "click_selector", result: "error" }],
+  },
+};
+
+module.exports = { SUITE_EXPECTATIONS };
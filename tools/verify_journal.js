@@ -0,0 +1,104 @@
+/**
+ * tools/verify_journal.js
+ * Offline journal chain verifier.
+ *
+ * USAGE:
+ *   node tools/verify_journal.js <journal.ndjson | Deliverable_Packet dir | run dir> [--seed <hash>] [--json]
+ *
+ * Walks every line, recomputes each hash and reports the first broken link. The first
+ * prev_hash must equal the seed (--seed, else the packet's run_metadata.journal_chain.seed,
+ * else the genesis value), which catches lines deleted from the start of the journal.
+ * Given a packet, the seed, length and head are also compared against run_metadata.json
+ * (journal_chain) and the head against manifest.json (journal_chain_head), which catches
+ * lines deleted from the end of the journal.
+ *
+ * Exit codes: 0 chain intact, 1 chain broken, 2 usage or read error.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { PACKET_DIR, PACKET_FILES, readJson } = require("../lib/packet_io");
+const { GENESIS_HASH, verifyJournalFile } = require("../lib/journal_chain");
+
+function parseArgs(argv) {
+  const args = { target: null, seed: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--seed") args.seed = argv[++i] || null;
+    else if (argv[i] === "--json") args.json = true;
+    else if (!args.target) args.target = argv[i];
+  }
+  return args;
+}
+
+// Accepts a journal file, a Deliverable_Packet directory, or the run directory above it.
+function resolveTarget(target) {
+  const st = fs.statSync(target);
+  if (st.isFile()) return { journalPath: target, packetDir: null };
+
+  const packetDir = fs.existsSync(path.join(target, PACKET_DIR)) ? path.join(target, PACKET_DIR) : target;
+  return { journalPath: path.join(packetDir, PACKET_FILES.journal_ndjson), packetDir };
+}
+
+// The seed the executor recorded for the packet's journal (GENESIS_HASH when none is recorded)
+function recordedSeed(packetDir) {
+  const meta = readJson(path.join(packetDir, PACKET_FILES.run_metadata));
+  return meta.journal_chain && typeof meta.journal_chain.seed === "string" ? meta.journal_chain.seed : GENESIS_HASH;
+}
+
+function checkRecordedChain(result, packetDir) {
+  const meta = readJson(path.join(packetDir, PACKET_FILES.run_metadata));
+  const manifest = readJson(path.join(packetDir, PACKET_FILES.manifest));
+  const chain = meta.journal_chain || {};
+  const recorded = [
+    ["run_metadata.journal_chain.seed", "seed", chain.seed],
+    ["run_metadata.journal_chain.length", "length", chain.length],
+    ["run_metadata.journal_chain.head", "head", chain.head],
+    ["manifest.journal_chain_head", "head", manifest.journal_chain_head],
+  ];
+
+  for (const [label, key, value] of recorded) {
+    if (value !== result[key]) {
+      result.ok = false;
+      result.broken_at_line = result.length + 1;
+      result.reason = `Chain ${key} ${result[key]} does not match ${label} ${value}.`;
+      return result;
+    }
+  }
+  return result;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.target) {
+    console.error("USAGE: node tools/verify_journal.js <journal.ndjson | packet dir> [--seed <hash>] [--json]");
+    process.exitCode = 2;
+    return;
+  }
+
+  let result;
+  try {
+    const { journalPath, packetDir } = resolveTarget(args.target);
+    const seed = args.seed || (packetDir ? recordedSeed(packetDir) : GENESIS_HASH);
+    result = verifyJournalFile(journalPath, seed);
+    result.journal = journalPath;
+    if (result.ok && packetDir) checkRecordedChain(result, packetDir);
+  } catch (e) {
+    console.error("JOURNAL READ ERROR:", e && e.message ? e.message : String(e));
+    process.exitCode = 2;
+    return;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.ok) {
+    console.log(`JOURNAL CHAIN: INTACT | entries: ${result.length} | head: ${result.head}`);
+  } else {
+    console.log(`JOURNAL CHAIN: BROKEN at line ${result.broken_at_line} | ${result.reason}`);
+  }
+
+  process.exitCode = result.ok ? 0 : 1;
+}
+
+main();
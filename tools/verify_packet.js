@@ -0,0 +1,72 @@
+/**
+ * tools/verify_packet.js
+ * Offline Deliverable_Packet verifier. Requires only Node.
+ *
+ * USAGE:
+ *   node tools/verify_packet.js <run dir | Deliverable_Packet dir> [--json] [--out <result.json>]
+ *
+ * --json prints the machine-readable result to stdout; --out also writes it to a file.
+ *
+ * Exit codes:
+ *   0 verified            5 extra_file         8 evidence_mismatch
+ *   1 unexpected error    6 hash_mismatch      9 journal_broken
+ *   2 usage_error         7 seal_mismatch     10 redaction_mismatch
+ *   3 manifest_invalid
+ *   4 missing_file
+ * With several failure classes, the lowest code is returned; all failures are listed.
+ * Absent 04_Restricted/ files (a sanitized copy) are reported as withheld, not as failures.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const { verifyPacket, VERIFY_EXIT_CODES } = require("../lib/packet_verify");
+const { REPORT_FORMAT } = require("../lib/report");
+
+function parseArgs(argv) {
+  const args = { target: null, json: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--json") args.json = true;
+    else if (argv[i] === "--out") args.out = argv[++i] || null;
+    else if (!args.target) args.target = argv[i];
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.target) {
+    console.error("USAGE: node tools/verify_packet.js <run dir | Deliverable_Packet dir> [--json] [--out <result.json>]");
+    process.exitCode = VERIFY_EXIT_CODES.usage_error;
+    return;
+  }
+
+  const result = verifyPacket(args.target);
+  const resultJson = JSON.stringify(result, null, 2) + "\n";
+
+  if (args.out) fs.writeFileSync(args.out, resultJson, "utf-8");
+
+  if (args.json) {
+    process.stdout.write(resultJson);
+  } else if (result.ok) {
+    console.log(`PACKET VERIFIED | files: ${result.files_checked} | packet hash: ${result.packet_hash.recomputed}`);
+    if (result.withheld.length) console.log(`  WITHHELD (restricted tier): ${result.withheld.length} files`);
+    if (result.reports && !result.reports.rerendered) {
+      console.log(`  REPORTS NOT RE-RENDERED: report format ${result.reports.report_format} (this verifier renders ${REPORT_FORMAT})`);
+    }
+  } else {
+    console.log(`PACKET VERIFICATION FAILED: ${result.failure_class} (exit ${result.exit_code})`);
+    for (const f of result.failures) {
+      console.log(`  [${f.class}] ${f.path || "-"}: ${f.detail}`);
+    }
+  }
+
+  process.exitCode = result.exit_code;
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("VERIFY ERROR:", e && e.message ? e.message : String(e));
+  process.exitCode = 1;
+}
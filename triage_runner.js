@@ -1,55 +1,195 @@
-const SKUAEngine = require('./ect.js');
+/**
+ * triage_runner.js
+ * Intake triage: does the manifest's allowed_selectors behavior reproduce on the live page?
+ *
+ * USAGE:
+ *   node triage_runner.js [triage_manifest.json]
+ *
+ * Each allowed selector is checked for presence, then the page is tabbed through until
+ * every present selector has received focus or the tab cycle completes (focus returns
+ * to <body>, an element repeats, or the press limit is reached). Every selector outcome
+ * is journaled via SKUAEngine.captureStep, and the run is written as a sealed result:
+ *
+ *   artifacts/<matter_id>_<ms>/
+ *     triage_manifest.json   (intake manifest bytes, as read)
+ *     journal.ndjson         (hash-chained, seeded from manifest.hash)
+ *                            (manifest.css_allowlist: each present selector's entry carries
+ *                             the allow-listed computed styles and boxes, lib/computed_styles.js)
+ *     triage_result.json
+ *     mirror/                (manifest.mirror: true; verification_mirror.html, resources/,
+ *                             mirror_manifest.json with the resource map)
+ *     triage_seal.json       (sha256 + size of every file above, chain head)
+ *     triage_hash.txt        (sha256(triage_seal.json bytes))
+ *   artifacts/<matter_id>_<ms>_restricted/
+ *     redaction_salt.txt     (salt of the journaled redaction hashes; withheld, not sealed)
+ */
+
 const fs = require('fs');
+const path = require('path');
+const SKUAEngine = require('./ect.js');
+const { hashTree, sha256Bytes, writeJson, writeStableJson } = require('./lib/packet_io');
+const { countTabbable, readFocus } = require('./lib/focus_order');
+
+const TAB_DELAY_MS = 80;
+// Presses beyond the tabbable count, so a page whose count is low still completes a full cycle
+const PRESS_MARGIN = 5;
+
+const RESULT_FILE = 'triage_result.json';
+const INTAKE_FILE = 'triage_manifest.json';
+const SEAL_FILE = 'triage_seal.json';
+const HASH_FILE = 'triage_hash.txt';
+
+// Which still-unreached selectors contain the focused element (through open shadow roots)
+async function matchFocused(page, selectors) {
+    return page.evaluate((sels) => {
+        let el = document.activeElement;
+        while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+        if (!el || el === document.body) return [];
+        const out = [];
+        for (const sel of sels) {
+            let hit = null;
+            try { hit = el.closest(sel); } catch (_) { continue; }
+            if (hit) out.push({ selector: sel, relation: hit === el ? 'focused_element' : 'focused_descendant' });
+        }
+        return out;
+    }, selectors);
+}
+
+async function tabCycle(engine, outcomes) {
+    const page = engine.page;
+    const tabbableCount = await page.evaluate(countTabbable);
+    const limit = tabbableCount + PRESS_MARGIN;
+    const presses = [];
+    const seen = new Set();
+    let leftBody = false;
+    let endReason = 'press_limit';
+
+    const pending = () => outcomes.filter(o => o.outcome === 'pending');
+
+    for (let press = 1; press <= limit && pending().length; press++) {
+        await page.keyboard.press('Tab');
+        await page.waitForTimeout(TAB_DELAY_MS);
+
+        const focus = await readFocus(page);
+        const matched = await matchFocused(page, pending().map(o => o.selector));
+        presses.push({ press, ...focus, matched_selectors: matched.map(m => m.selector) });
+
+        for (const m of matched) {
+            const o = outcomes.find(x => x.selector === m.selector);
+            o.outcome = 'reached';
+            o.reached_at_press = press;
+            o.relation = m.relation;
+            await engine.captureStep(m.selector, { phase: 'focus_reached', press, relation: m.relation });
+        }
+
+        if (!pending().length) { endReason = 'all_reached'; break; }
+        if (focus.focus_on_body) {
+            if (leftBody) { endReason = 'returned_to_body'; break; }
+            continue;
+        }
+        leftBody = true;
+        if (seen.has(focus.selector_path)) { endReason = 'element_repeated'; break; }
+        seen.add(focus.selector_path);
+    }
+
+    for (const o of pending()) {
+        o.outcome = 'not_reached';
+        await engine.captureStep(o.selector, { phase: 'cycle_complete', outcome: 'not_reached', presses: presses.length });
+    }
+
+    return { document_tabbable_count: tabbableCount, press_limit: limit, end_reason: endReason, presses };
+}
+
+function seal(outputDir, chainHead) {
+    const files = hashTree(outputDir, [SEAL_FILE, HASH_FILE]);
+    const sealBytes = writeStableJson(path.join(outputDir, SEAL_FILE), { journal_chain_head: chainHead, files });
+    const hash = sha256Bytes(sealBytes);
+    fs.writeFileSync(path.join(outputDir, HASH_FILE), hash + '\n', 'utf-8');
+    return hash;
+}
+
+async function runTriage(manifestPath) {
+    const intakeBytes = fs.readFileSync(manifestPath);
+    const manifest = JSON.parse(intakeBytes.toString('utf8').trim());
+    const engine = new SKUAEngine(manifest);
+    fs.writeFileSync(path.join(engine.outputDir, INTAKE_FILE), intakeBytes);
+    // The journal is part of the sealed result even when no observation was reached
+    fs.closeSync(fs.openSync(path.join(engine.outputDir, 'journal.ndjson'), 'a'));
+
+    const outcomes = engine.allowedSelectorList.map(selector => ({
+        selector, match_count: null, outcome: 'not_evaluated', reached_at_press: null, relation: null,
+    }));
+    const result = {
+        matter_id: manifest.matter_id || null,
+        url: manifest.url,
+        started_at_utc: new Date().toISOString(),
+        finished_at_utc: null,
+        status: 'running',
+        error: null,
+        intake_manifest: { path: INTAKE_FILE, sha256: sha256Bytes(intakeBytes) },
+        viewport: manifest.viewport || null,
+        selectors: outcomes,
+        settle: null,
+        mirror: null,
+        cycle: null,
+        result: null,
+        signals: [],
+        journal_chain_head: null,
+    };
 
-async function runTriage() {
     try {
-        const manifest = JSON.parse(fs.readFileSync('triage_manifest.json', 'utf8').trim());
-        const engine = new SKUAEngine(manifest);
         await engine.initialize();
-        
-        console.log(`NAVIGATING: ${manifest.url}`);
         await engine.page.goto(manifest.url, { waitUntil: 'networkidle', timeout: 30000 });
+        result.settle = await engine.waitForSettled();
+        if (manifest.mirror === true) {
+            await engine.captureMirror();
+            result.mirror = { path: 'mirror/verification_mirror.html', resource_map: 'mirror/mirror_manifest.json' };
+        }
 
-        let confirmationFound = false;
-        let mechanicalVerb = "NONE";
-
-        for (const selector of manifest.allowed_selectors) {
-            try {
-                await engine.waitForSettled();
-                const node = await engine.page.$(selector);
-                
-                // PANEL FIX: If selector is missing, that is a reproduction of a broken path/site state.
-                if (!node) {
-                    confirmationFound = true;
-                    mechanicalVerb = `SELECTOR_ABSENT: ${selector}`;
-                    break;
-                }
-
-                // PANEL FIX: Real keyboard simulation to detect focusability
-                await engine.page.keyboard.press('Tab');
-                const isFocused = await engine.page.evaluate((s) => {
-                    const el = document.querySelector(s);
-                    return document.activeElement === el;
-                }, selector);
-
-                // If element exists but refuses focus, reproduction confirmed.
-                if (!isFocused) {
-                    confirmationFound = true;
-                    mechanicalVerb = `FOCUS_DENIED: ${selector}`;
-                    break; 
-                }
-            } catch (e) { continue; }
+        for (const o of outcomes) {
+            o.match_count = await engine.page.locator(o.selector).count();
+            o.outcome = o.match_count === 0 ? 'absent' : 'pending';
+            await engine.captureStep(o.selector, { phase: 'presence', match_count: o.match_count });
         }
-        await engine.browser.close();
-        
-        console.log("\n------------------------------------------------------------");
-        if (confirmationFound) {
-            console.log(`RESULT: [ YES ] - REPRODUCIBILITY CONFIRMED`);
-            console.log(`SIGNAL: ${mechanicalVerb}`);
-        } else {
-            console.log("RESULT: [ NO ] - NOT REPRODUCED");
+
+        result.cycle = await tabCycle(engine, outcomes);
+
+        for (const o of outcomes) {
+            if (o.outcome === 'absent') result.signals.push(`SELECTOR_ABSENT: ${o.selector}`);
+            if (o.outcome === 'not_reached') result.signals.push(`NOT_REACHED_IN_TAB_CYCLE: ${o.selector}`);
         }
-        console.log("------------------------------------------------------------\n");
-    } catch (err) { console.error("CRITICAL_FAIL: " + err.message); }
+        result.result = result.signals.length ? 'REPRODUCED' : 'NOT_REPRODUCED';
+        result.status = 'complete';
+    } catch (err) {
+        result.status = 'error';
+        result.error = err && err.message ? err.message : String(err);
+    } finally {
+        if (engine.browser) await engine.browser.close().catch(() => {});
+    }
+
+    result.finished_at_utc = new Date().toISOString();
+    result.journal_chain_head = engine.prevHash;
+    writeJson(path.join(engine.outputDir, RESULT_FILE), result);
+    const hash = seal(engine.outputDir, engine.prevHash);
+
+    return { outputDir: engine.outputDir, result, hash };
+}
+
+async function main() {
+    const manifestPath = process.argv[2] || 'triage_manifest.json';
+    try {
+        const { outputDir, result, hash } = await runTriage(manifestPath);
+        console.log(`TRIAGE ${result.status.toUpperCase()}: ${result.result || 'NO RESULT'} | Dir: ${outputDir}`);
+        if (result.error) console.log(`ERROR: ${result.error}`);
+        console.log(`TRIAGE HASH: ${hash}`);
+        if (result.status !== 'complete') process.exitCode = 1;
+    } catch (err) {
+        // Nothing could be sealed (manifest unreadable or allow-list malformed)
+        console.error('CRITICAL_FAIL: ' + (err && err.message ? err.message : String(err)));
+        process.exitCode = 1;
+    }
 }
-runTriage();
\ No newline at end of file
+
+if (require.main === module) main();
+
+module.exports = { runTriage };